@@ -0,0 +1,18 @@
+/**
+ * The RDF axes (r: resource-typed, d: dotted predicates, v: value-typed choices, c: rdf:Lists, h: hoisted primitives)
+ * as a string like "RDVch", upper-case for on and lower-case for off, or as an object like
+ * {r: true, d: true, v: true, c: false, h: false}, which is returned unchanged.
+ */
+function parseAxes (axes = 'RDVch') {
+  if (typeof axes !== 'string')
+    return axes;
+  if (!axes.match(/^rdvch$/i))
+    throw Error(`expected axes string "${axes}" to match /rdvch/i`);
+  return Array.from(axes).reduce((acc, l) => {
+    acc[l.toLowerCase()] = l === l.toUpperCase();
+    return acc;
+  }, {});
+}
+
+if (typeof module !== 'undefined')
+  module.exports = {parseAxes};
@@ -42,7 +42,11 @@ class BundleDefinitionLoader extends DefinitionLoader {
   }
 
   async getStructureDefinitionByName (target) { return this.structureDefinitions.get(target); }
-  async getCodesystemByUrl (target) { return this.codesystemUrls.get(target); }
+  async getCodesystemByUrl (target) { return this.codesystemUrls.getByCanonical(target); }
+  async getDefinitionByCanonical (canonical, version) {
+    return this.structureDefinitions.getByCanonical(canonical, version)
+      || this.codesystemUrls.getByCanonical(canonical, version);
+  }
 }
 
 if (typeof module !== 'undefined')
@@ -1,23 +1,120 @@
+/**
+ * Index FHIR definitions by id (or some other key) and by canonical URL and version.
+ * Canonical lookups follow FHIR's rules: "url|version" gets that version; a bare "url" gets the latest version.
+ */
 class DefinitionIndex {
   constructor () {
-    this.index = new Map();
+    this.index = new Map(); // key -> {where, entry}
+    this.canonicals = new Map(); // url -> [{version, where, entry}], latest first
   }
 
   add (id, entry, where) {
+    const replaced = this.addCanonical(entry, where);
     if (this.index.has(id)) {
       const old = this.index.get(id)
-      console.warn(`duplicate ${id}
+      if (old.entry.url !== undefined && old.entry.url === entry.url && old.entry.version !== entry.version) {
+        // Another version of the same definition; `id` gets the latest.
+        if (DefinitionIndex.compareVersions(entry.version, old.entry.version) < 0)
+          return;
+      } else if (!replaced) { // addCanonical already reported duplicate url|version
+        console.warn(`duplicate ${id}
 old: ${old.entry.resourceType} ${old.entry.kind} at ${old.where},
 new: ${entry.resourceType} ${entry.kind} at ${where}`);
+      }
     }
     this.index.set(id, {where, entry});
   }
 
+  /**
+   * @returns {boolean} true if entry replaced an entry with the same url and version.
+   */
+  addCanonical (entry, where) {
+    if (typeof entry.url !== 'string')
+      return false;
+    if (!this.canonicals.has(entry.url))
+      this.canonicals.set(entry.url, []);
+    const versions = this.canonicals.get(entry.url);
+    const oldIdx = versions.findIndex(v => v.version === entry.version);
+    if (oldIdx !== -1) {
+      const old = versions[oldIdx];
+      console.warn(`duplicate ${entry.url}|${entry.version}
+old: ${old.entry.resourceType} ${old.entry.id} at ${old.where},
+new: ${entry.resourceType} ${entry.id} at ${where}`);
+      versions.splice(oldIdx, 1);
+    }
+    versions.push({version: entry.version, where, entry});
+    versions.sort((l, r) => DefinitionIndex.compareVersions(r.version, l.version));
+    return oldIdx !== -1;
+  }
+
   get (target) {
     return this.index.has(target)
         ? this.index.get(target).entry
         : undefined;
   }
+
+  /**
+   * Look up a canonical reference.
+   * @param canonical e.g. "http://hl7.org/fhir/ValueSet/medicationrequest-status|4.6.0"
+   * @param version used if canonical isn't pinned to a version.
+   * @returns the pinned version, else the latest version, else undefined.
+   */
+  getByCanonical (canonical, version = undefined) {
+    const parsed = DefinitionIndex.parseCanonical(canonical);
+    const pinned = parsed.version !== undefined ? parsed.version : version;
+    const versions = this.canonicals.get(parsed.url) || [];
+    const match = pinned === undefined
+          ? versions[0]
+          : versions.find(v => v.version === pinned);
+    return match ? match.entry : undefined;
+  }
+
+  /**
+   * Versions of `url` in the index, latest first.
+   */
+  getVersions (url) {
+    return (this.canonicals.get(DefinitionIndex.parseCanonical(url).url) || []).map(v => v.version);
+  }
+
+  /**
+   * Split a canonical reference into its url and (optional) version.
+   * @param canonical e.g. "http://hl7.org/fhir/ValueSet/medicationrequest-status|4.6.0"
+   * @returns {{url: string, version: (string|undefined)}}
+   */
+  static parseCanonical (canonical) {
+    const bar = canonical.indexOf('|');
+    return bar === -1
+      ? {url: canonical, version: undefined}
+      : {url: canonical.substr(0, bar), version: canonical.substr(bar + 1)};
+  }
+
+  /**
+   * Compare semver-ish versions like "4.0.1", "5.0.0-ballot" and "1.0.0-snapshot1".
+   * Missing versions sort before everything else.
+   */
+  static compareVersions (l, r) {
+    if (l === r) return 0;
+    if (l === undefined) return -1;
+    if (r === undefined) return 1;
+    const [lRelease, lPre] = l.split('-', 2);
+    const [rRelease, rPre] = r.split('-', 2);
+    const lParts = lRelease.split('.');
+    const rParts = rRelease.split('.');
+    for (let i = 0; i < Math.max(lParts.length, rParts.length); ++i) {
+      const lNum = parseInt(lParts[i] || '0');
+      const rNum = parseInt(rParts[i] || '0');
+      if (isNaN(lNum) || isNaN(rNum)) {
+        if ((lParts[i] || '') !== (rParts[i] || ''))
+          return (lParts[i] || '') < (rParts[i] || '') ? -1 : 1;
+      } else if (lNum !== rNum) {
+        return lNum - rNum;
+      }
+    }
+    // a pre-release (5.0.0-ballot) precedes the release (5.0.0)
+    if (lPre === undefined) return rPre === undefined ? 0 : 1;
+    if (rPre === undefined) return -1;
+    return lPre < rPre ? -1 : lPre > rPre ? 1 : 0;
+  }
 }
 
 if (typeof module !== 'undefined')
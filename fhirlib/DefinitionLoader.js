@@ -6,6 +6,11 @@ class DefinitionLoader {
 
   async getStructureDefinitionByName (target) { throw new Error(`DefinitionLoader.getStructureDefinitionByName(${target}) must be overloaded`); }
   async getCodesystemByUrl (target) { throw new Error(`DefinitionLoader.getCodesystemByUrl(${target}) must be overloaded`); }
+  /**
+   * Resolve a canonical reference like "http://hl7.org/fhir/ValueSet/medicationrequest-status|4.6.0".
+   * @param version version to use if canonical isn't pinned; if neither is given, get the latest.
+   */
+  async getDefinitionByCanonical (canonical, version) { throw new Error(`DefinitionLoader.getDefinitionByCanonical(${canonical}) must be overloaded`); }
 }
 
 if (typeof module !== 'undefined')
@@ -0,0 +1,112 @@
+/**
+ * A problem found while walking or generating from a StructureDefinition.
+ */
+class Diagnostic {
+  constructor (code, severity, structureDefinition, path, message) {
+    this.code = code;                               // e.g. "missing-valueset"
+    this.severity = severity;                       // one of Diagnostics.SEVERITIES
+    this.structureDefinition = structureDefinition; // id of the StructureDefinition (or ValueSet), or null
+    this.path = path;                               // element id, e.g. "Observation.value[x]", or null
+    this.message = message;
+  }
+}
+
+/**
+ * Collect Diagnostics from e.g. FhirRdfModelGenerator and FhirShExJGenerator (opts.diagnostics) so that they can be
+ * triaged together instead of from stderr. Problems the generators would otherwise throw are recorded as errors.
+ * A definition may be walked more than once (e.g. for its ContentModel), so repeated diagnostics are recorded once.
+ */
+class Diagnostics {
+  static ERROR = 'error';
+  static WARNING = 'warning';
+  static NOTE = 'note';
+  static SEVERITIES = [Diagnostics.ERROR, Diagnostics.WARNING, Diagnostics.NOTE]; // SARIF levels
+
+  constructor () {
+    this.diagnostics = [];
+    this.byKey = new Map(); // JSON of a Diagnostic -> Diagnostic
+  }
+
+  add (code, severity, structureDefinition, path, message) {
+    if (Diagnostics.SEVERITIES.indexOf(severity) === -1)
+      throw new Error(`severity ${severity} not in ${Diagnostics.SEVERITIES.join(', ')}`);
+    const ret = new Diagnostic(code, severity, structureDefinition || null, path || null, message);
+    const key = JSON.stringify(ret);
+    if (this.byKey.has(key))
+      return this.byKey.get(key);
+    this.byKey.set(key, ret);
+    this.diagnostics.push(ret);
+    return ret;
+  }
+
+  /**
+   * Record an Error, e.g. a FhirElementDefinitionError, using its code, resourceDef and elt if it has them.
+   * @param structureDefinition, path where the problem was found if error doesn't say.
+   */
+  report (error, severity = Diagnostics.ERROR, structureDefinition = null, path = null) {
+    return this.add(
+      error.code || 'error',
+      severity,
+      error.resourceDef ? error.resourceDef.id : structureDefinition,
+      error.elt ? error.elt.id : path,
+      error.message
+    );
+  }
+
+  /**
+   * Number of diagnostics by severity, e.g. {error: 0, warning: 3, note: 1}.
+   */
+  counts () {
+    return Diagnostics.SEVERITIES.reduce((acc, severity) => {
+      acc[severity] = this.diagnostics.filter(d => d.severity === severity).length;
+      return acc;
+    }, {});
+  }
+
+  toJSON () {
+    return this.diagnostics.map(d => Object.assign({}, d));
+  }
+
+  /**
+   * Render as a SARIF 2.1.0 log (https://docs.oasis-open.org/sarif/sarif/v2.1.0/sarif-v2.1.0.html).
+   * Results are located by StructureDefinition id and element path.
+   */
+  toSarif (toolName, toolVersion = undefined) {
+    const codes = this.diagnostics.reduce((acc, d) => acc.indexOf(d.code) === -1 ? acc.concat([d.code]) : acc, []);
+    return {
+      $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+      version: '2.1.0',
+      runs: [{
+        tool: {
+          driver: Object.assign(
+            { name: toolName },
+            toolVersion ? { version: toolVersion } : {},
+            { rules: codes.map(id => ({ id })) }
+          )
+        },
+        results: this.diagnostics.map(d => Object.assign(
+          {
+            ruleId: d.code,
+            ruleIndex: codes.indexOf(d.code),
+            level: d.severity,
+            message: { text: d.message },
+          },
+          d.structureDefinition
+            ? {
+              locations: [{
+                logicalLocations: [{
+                  name: d.path || d.structureDefinition,
+                  fullyQualifiedName: d.path ? `${d.structureDefinition}/${d.path}` : d.structureDefinition,
+                  kind: d.path ? 'member' : 'type',
+                }]
+              }]
+            }
+            : {}
+        ))
+      }]
+    };
+  }
+}
+
+if (typeof module !== 'undefined')
+  module.exports = {Diagnostics, Diagnostic};
@@ -0,0 +1,92 @@
+const {ModelVisitor} = require('./FhirRdfModelGenerator');
+const {DefinitionIndex} = require('./DefinitionIndex');
+const {Diagnostics} = require('./Diagnostics');
+const {ValueSetExpander} = require('./ValueSetExpander');
+const {parseAxes} = require('./Axes');
+
+/**
+ * What the schema and ontology generators (FhirShExJGenerator, FhirShaclGenerator, FhirOwlGenerator,
+ * FhirJsonSchemaGenerator) share: config (axes, diagnostics, error, warn, quiet), reporting problems against the
+ * StructureDefinition being generated (this.currentDef) and expanding the ValueSets which elements are bound to.
+ */
+class FhirGenerator extends ModelVisitor {
+
+  constructor (definitionLoader, config = {}) {
+    super(definitionLoader);
+    this.config = config;
+    config.axes = parseAxes(config.axes);
+    // expand ValueSets against the loaded CodeSystems.
+    this.valueSetExpander = new ValueSetExpander(this.definitionLoader);
+    // StructureDefinition being generated, for diagnostics.
+    this.currentDef = null;
+  }
+
+  /**
+   * Report a problem with the definitions: record it in config.diagnostics and/or pass it to config.error, or throw
+   * it if there's neither.
+   */
+  myError (error) {
+    if ('diagnostics' in this.config)
+      this.config.diagnostics.report(error, Diagnostics.ERROR, this.currentDef ? this.currentDef.id : null);
+    if ('error' in this.config) {
+      this.config.error(error);
+    } else if (!('diagnostics' in this.config)) {
+      throw error;
+    }
+  }
+
+  /**
+   * Report something which isn't a problem with the definitions but which users may want to know about.
+   */
+  note (code, path, message) {
+    if ('diagnostics' in this.config)
+      this.config.diagnostics.add(code, Diagnostics.NOTE, this.currentDef ? this.currentDef.id : null, path, message);
+  }
+
+  /**
+   * Report a problem which doesn't stop generation, to config.diagnostics, config.warn or, unless config.quiet, stderr.
+   * @param path element id or null.
+   */
+  warn (code, path, message) {
+    if ('diagnostics' in this.config)
+      this.config.diagnostics.add(code, Diagnostics.WARNING, this.currentDef ? this.currentDef.id : null, path, message);
+    else if ('warn' in this.config)
+      this.config.warn(message);
+    else if (!this.config.quiet)
+      console.warn(message);
+  }
+
+  /**
+   * Find and expand the ValueSet an element is bound to. A binding pinned to a version we don't have falls back to
+   * the one we have, with a warning.
+   * @param canonical ValueSet canonical, e.g. "http://hl7.org/fhir/ValueSet/observation-status|4.6.0"
+   * @param path id of the bound element, for diagnostics.
+   * @returns {Promise<{valueSet: object, latest: boolean, codes: string[]}|null>} the ValueSet, whether it's the latest
+   *   version loaded, and its codes; or null (after a warning) if it isn't loaded or can't be expanded offline.
+   */
+  async expandBoundValueSet (canonical, path) {
+    const {url, version} = DefinitionIndex.parseCanonical(canonical);
+    let valueSet = await this.definitionLoader.getDefinitionByCanonical(url, version);
+    if (!valueSet && version !== undefined) {
+      this.warn('missing-valueset', path, `can't find definition for valuesets ${canonical}, using ${url}`);
+      valueSet = await this.definitionLoader.getDefinitionByCanonical(url);
+    }
+    if (!valueSet || valueSet.resourceType !== 'ValueSet') {
+      this.warn('missing-valueset', path, `can't find definition for valuesets ${url}`);
+      return null;
+    }
+    const expansion = await this.valueSetExpander.expand(valueSet);
+    if (!expansion.complete) {
+      this.warn('valueset-not-expandable', path, `can't expand ValueSet ${canonical} offline: ${expansion.issues.join('; ')}`);
+      return null;
+    }
+    const codes = expansion.codes
+          .map(c => c.code)
+          .filter((code, idx, all) => all.indexOf(code) === idx); // same code from different systems
+    const latest = (await this.definitionLoader.getDefinitionByCanonical(url)) === valueSet;
+    return {valueSet, latest, codes};
+  }
+}
+
+if (typeof module !== 'undefined')
+  module.exports = {FhirGenerator};
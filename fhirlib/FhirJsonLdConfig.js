@@ -0,0 +1,59 @@
+const {parseAxes} = require('./Axes');
+
+/**
+ * Where FHIR JSON-LD contexts live, which base IRI resources get and which RDF axes they're for, shared by the context
+ * generators, the preprocessors which reference the contexts and document loaders (e.g. the playground's) which
+ * intercept them. Point contextStem at your own copy of bin/fhirToJsonLdContexts's output to run offline.
+ */
+class FhirJsonLdConfig {
+
+  static SUFFIX = ".context.jsonld";
+
+  /**
+   * @param opts {contextStem, base, axes}
+   *   contextStem: URL the context names are appended to, e.g. "https://fhircat.org/fhir-r4/original/contexts/";
+   *   base: IRI relative resource IRIs, e.g. "Observation/obs1", resolve against;
+   *   axes: axes of the contexts, e.g. "RDVch" (the default) or {r:true, d:true, v:true, c:false, h:false}.
+   */
+  constructor (opts = {}) {
+    this.contextStem = opts.contextStem || FhirJsonLdConfig.R4_CONTEXT_STEM;
+    this.base = opts.base || FhirJsonLdConfig.FHIR_BASE;
+    this.axes = parseAxes(opts.axes || 'RDVch');
+  }
+
+  /**
+   * @param opts {contextStem, base, axes} as for the constructor; missing or empty values keep this config's.
+   * @returns {FhirJsonLdConfig} a copy of this config with opts applied, e.g. FhirJsonLdConfig.R5.override({base}).
+   */
+  override (opts) {
+    const set = Object.keys(opts).filter(key => opts[key]).reduce((acc, key) => Object.assign(acc, {[key]: opts[key]}), {});
+    return new FhirJsonLdConfig(Object.assign({contextStem: this.contextStem, base: this.base, axes: this.axes}, set));
+  }
+
+  /**
+   * @param name context name, e.g. "Observation" or "root".
+   * @returns {string} URL of the context, e.g. "https://fhircat.org/fhir-r4/original/contexts/Observation.context.jsonld".
+   */
+  contextUrl (name) {
+    return this.contextStem + name + FhirJsonLdConfig.SUFFIX;
+  }
+
+  /**
+   * Inverse of contextUrl.
+   * @returns {string|null} context name or null if url isn't one of this config's contexts.
+   */
+  contextName (url) {
+    return url.startsWith(this.contextStem) && url.endsWith(FhirJsonLdConfig.SUFFIX)
+      ? url.substr(this.contextStem.length, url.length - this.contextStem.length - FhirJsonLdConfig.SUFFIX.length)
+      : null;
+  }
+
+  static FHIR_BASE = "http://hl7.org/fhir/";
+  static R4_CONTEXT_STEM = "https://fhircat.org/fhir-r4/original/contexts/";
+  static R5_CONTEXT_STEM = "https://fhircat.org/fhir-r5/original/contexts/";
+  static R4 = new FhirJsonLdConfig({contextStem: FhirJsonLdConfig.R4_CONTEXT_STEM});
+  static R5 = new FhirJsonLdConfig({contextStem: FhirJsonLdConfig.R5_CONTEXT_STEM});
+};
+
+if (typeof module !== 'undefined')
+  module.exports = {FhirJsonLdConfig};
@@ -56,16 +56,20 @@ class FhirJsonLdContextGenerator {
 
   static GEND_CONTEXT_SUFFIX = ".context.jsonld";
 
-  static STEM = "https://fhircat.org/fhir-r4/original/contexts/"; // could be a parameter but convenient to write in one place
-  static SUFFIX = ".context.jsonld";
-
   constructor(shexj, index) {
     this.shexj = shexj;
-    this.index = index || shexj._index || ShExUtil.index(shexj);
+    this.index = index || shexj._index || FhirJsonLdContextGenerator.index(shexj);
     this.cache = new Map();
     this.cache.set("root", FhirJsonLdContextGenerator.ROOT);
   }
 
+  // ShExUtil.index is gone from newer @shexjs/util releases; genJsonldContext only needs the ShapeDecls.
+  static index (shexj) {
+    return ShExUtil.index
+      ? ShExUtil.index(shexj)
+      : {shapeExprs: shexj.shapes.reduce((acc, decl) => Object.assign(acc, {[decl.id]: decl}), {}), tripleExprs: {}};
+  }
+
   genJsonldContext (target, config) {
     if (!this.cache.has(target)) {
       const v = new Converter(this.shexj, config);
@@ -74,6 +78,60 @@ class FhirJsonLdContextGenerator {
     }
     return this.cache.get(target);
   }
+
+  /**
+   * Generate one context which a preprocessed document can embed in place of the context URLs, so expanding it
+   * doesn't need a document loader.
+   * resourceType is an alias for @type and each resource type's terms are in a (propagated) type-scoped context, so
+   * e.g. the Patients and Observations in a Bundle don't share property definitions. The datatypes' contexts are inlined
+   * as property-scoped contexts along the paths the document uses; inlining every context reachable from a type
+   * wouldn't end (e.g. Extension.extension).
+   * @param document preprocessed FHIR resource, e.g. from FhirR4Preprocessor, without its @context.
+   * @returns {object} {"@context": {...}}
+   */
+  genEmbeddedContext (document, config) {
+    const context = Object.assign(
+      {},
+      FhirJsonLdContextGenerator.HEADER,
+      FhirJsonLdContextGenerator.NAMESPACES,
+      FhirJsonLdContextGenerator.ROOT['@context'], // e.g. sct: for Coding types
+      {"resourceType": "@type", "index": FhirJsonLdContextGenerator.TYPE_AND_INDEX.index}
+    );
+    this.addEmbeddedResource(context, document, config);
+    return {'@context': context};
+  }
+
+  addEmbeddedResource (context, resource, config) {
+    const typeTerm = 'fhir:' + resource.resourceType.replace(/^fhir:/, '');
+    if (!(typeTerm in context))
+      context[typeTerm] = {'@id': typeTerm, '@context': {'@propagate': true}};
+    this.addEmbeddedTerms(context, context[typeTerm]['@context'], typeTerm.substr('fhir:'.length), resource, config);
+  }
+
+  /**
+   * Add to scope the terms of target (a type name) which node uses.
+   */
+  addEmbeddedTerms (context, scope, target, node, config) {
+    const terms = this.genJsonldContext(target, config)['@context'];
+    Object.keys(node).forEach(property => {
+      if (property === 'resourceType' || !(property in terms) || typeof terms[property] !== 'object')
+        return; // keywords, prefixes and terms from the preprocessor's context
+      const term = Object.assign({}, terms[property]);
+      delete term['@context'];
+      if (!(property in scope))
+        scope[property] = term;
+      const nested = terms[property]['@context'];
+      [].concat(node[property]).filter(value => value !== null && typeof value === 'object').forEach(value => {
+        if ('resourceType' in value) { // e.g. contained or Bundle.entry.resource
+          this.addEmbeddedResource(context, value, config);
+        } else if (typeof nested === 'string') {
+          if (!('@context' in scope[property]))
+            scope[property]['@context'] = {};
+          this.addEmbeddedTerms(context, scope[property]['@context'], nested.substr(0, nested.length - FhirJsonLdContextGenerator.GEND_CONTEXT_SUFFIX.length), value, config);
+        }
+      });
+    });
+  }
 };
 
 class Converter {
@@ -1,6 +1,8 @@
 const {DefinitionBundleLoader, ModelVisitor, FhirRdfModelGenerator} = require('./FhirRdfModelGenerator');
 const Prefixes = require('./Prefixes');
+const {FhirJsonLdConfig} = require('./FhirJsonLdConfig');
 const { StructureError } = require('./errors');
+const {parseAxes} = require('./Axes');
 
 class FhirJsonLdContextModelVisitor extends ModelVisitor {
 
@@ -31,13 +33,58 @@ class FhirJsonLdContextModelVisitor extends ModelVisitor {
 
   static GEND_CONTEXT_SUFFIX = ".context.jsonld";
 
-  static STEM = "https://fhircat.org/fhir-r4/original/contexts/"; // could be a parameter but convenient to write in one place
-  static SUFFIX = ".context.jsonld";
-
   constructor(definitionLoader, opts) {
     super(definitionLoader);
     this.cache = new Map(); // not used yet
-    this.opts = opts;
+    this.opts = typeof opts.axes === 'string'
+      ? Object.assign({}, opts, {axes: parseAxes(opts.axes)})
+      : opts;
+  }
+
+  /**
+   * Generate the context for every type (resources, datatypes, primitives and logical models) in sources, plus
+   * "root", i.e. every context which the preprocessors or other contexts reference.
+   * Profiles are left out; instances of them use their base type's context.
+   * @returns {Promise<Map<string, object>>} contexts by name, e.g. "Observation" for Observation.context.jsonld.
+   */
+  async genJsonldContexts (sources, config = {}) {
+    const ret = new Map();
+    ret.set('root', await this.genJsonldContext({id: 'root'}, config));
+    for (const source of sources) {
+      for (const {resource} of source.entry) {
+        if (resource.resourceType !== 'StructureDefinition' || resource.derivation === 'constraint' || ret.has(resource.id))
+          continue;
+        ret.set(resource.id, await this.genJsonldContext(resource, config));
+      }
+    }
+
+    // contentReferences refer to the context of the element they reuse, e.g. CodeSystem.concept.context.jsonld.
+    let pending;
+    while ((pending = FhirJsonLdContextModelVisitor.contextReferences(Array.from(ret.values()))
+            .filter(name => !ret.has(name) && name.indexOf('.') !== -1)).length > 0) {
+      pending.forEach(name => {
+        const [type, ...path] = name.split('.');
+        const nested = path.reduce((context, property) => context && context['@context'][property], ret.get(type));
+        ret.set(name, nested ? {'@context': nested['@context']} : null);
+      });
+    }
+    Array.from(ret.keys()).filter(name => ret.get(name) === null).forEach(name => ret.delete(name));
+    return ret;
+  }
+
+  /**
+   * Names of the contexts which contexts reference, e.g. "CodeableConcept" for "CodeableConcept.context.jsonld".
+   */
+  static contextReferences (contexts) {
+    const ret = new Set();
+    const walk = (obj) => Object.entries(obj).forEach(([key, value]) => {
+      if (key === '@context' && typeof value === 'string' && value.endsWith(FhirJsonLdConfig.SUFFIX))
+        ret.add(value.substr(0, value.length - FhirJsonLdConfig.SUFFIX.length));
+      else if (value !== null && typeof value === 'object')
+        walk(value);
+    });
+    contexts.filter(context => context !== null).forEach(walk);
+    return Array.from(ret);
   }
 
   async genJsonldContext (resourceDef, config) {
@@ -61,23 +108,31 @@ class FhirJsonLdContextModelVisitor extends ModelVisitor {
             throw e;
         }
         if ("baseDefinition" in resourceDef) {
-          if (!(resourceDef.baseDefinition.startsWith(FhirRdfModelGenerator.STRUCTURE_DEFN_ROOT)))
+          // Logical models may be based on other logical models, found by canonical URL.
+          const parentDef = resourceDef.baseDefinition.startsWith(FhirRdfModelGenerator.STRUCTURE_DEFN_ROOT) || FhirRdfModelGenerator.isLogical(resourceDef)
+                ? await modelGenerator.getBaseDefinition(resourceDef)
+                : null;
+          if (!parentDef)
             throw Error(`Don't know where to look for base structure ${resourceDef.baseDefinition}`, resourceDef);
 
-          const recursionTarget = resourceDef.baseDefinition.substr(FhirRdfModelGenerator.STRUCTURE_DEFN_ROOT.length);
-          const base = await this.getBaseContext(recursionTarget, config);
-          baseContext = base['@context'];
+          const base = await this.getBaseContext(parentDef, config);
+          baseContext = Object.assign({}, base['@context']);
+
+          // Drop inherited terms for elements this definition overrides; visiting resourceDef adds their replacements.
+          const contentModel = await modelGenerator.getContentModel(resourceDef, config);
+          contentModel.overrides().forEach(pMap => {
+            delete baseContext[pMap.isScalar && FhirJsonLdContextModelVisitor.shorten(pMap.predicate) === 'fhir:v' ? 'v' : pMap.property];
+          });
         }
+        Object.assign(this.ret[0]['@context'], baseContext);
         await modelGenerator.visitResource(resourceDef, this, config);
-        Object.assign(this.ret[0]['@context'], baseContext); // @@ neeeded? or does genJsonldContext leave ret[0] populated...
       }
       this.cache.set(resourceDef.id, this.ret[0]);
     }
     return this.cache.get(resourceDef.id);
   }
 
-  async getBaseContext(recursionTarget, config) {
-    const parentDef = await this.definitionLoader.getStructureDefinitionByName(recursionTarget);
+  async getBaseContext(parentDef, config) {
     // hide the stack, process parent, restore the stack
     const was = this.ret;
     const base = await this.genJsonldContext(parentDef, config);
@@ -92,7 +147,7 @@ class FhirJsonLdContextModelVisitor extends ModelVisitor {
       throw Error(`Don't know where to look for base structure ${propertyMapping.type}`, propertyMapping);
 
     const recursionTarget = propertyMapping.type.substr(FhirRdfModelGenerator.STRUCTURE_DEFN_ROOT.length);
-    const base = await this.getBaseContext(recursionTarget, config);
+    const base = await this.getBaseContext(await this.definitionLoader.getStructureDefinitionByName(recursionTarget), config);
     const nestedElt = {
       '@id': FhirJsonLdContextModelVisitor.shorten(propertyMapping.predicate),
       '@context': Object.assign({}, base['@context']),
@@ -113,6 +168,8 @@ class FhirJsonLdContextModelVisitor extends ModelVisitor {
       } else {
         const type = propertyMapping.type.startsWith(FhirRdfModelGenerator.FHIRPATH_ROOT)
               ? propertyMapping.type.substr(FhirRdfModelGenerator.FHIRPATH_ROOT.length)
+              : FhirRdfModelGenerator.isLogicalTypeCode(propertyMapping.type)
+              ? FhirRdfModelGenerator.logicalTypeName(propertyMapping.type) // contexts are named by id
               : propertyMapping.type;
         this.ret[0]["@context"][propertyMapping.property] = {
           '@id': FhirJsonLdContextModelVisitor.shorten(propertyMapping.predicate),
@@ -139,7 +196,7 @@ class FhirJsonLdContextModelVisitor extends ModelVisitor {
       const localName = p.substr(pair.ns.length) // .replace(/[a-zA-Z]+\./, '')
       const n = pair.prefix + ':' + escape(localName)
       return acc === null || n.length < acc.length ? n : acc
-    }, null)
+    }, null) || p // e.g. a logical model's predicates
   }
 };
 
@@ -0,0 +1,368 @@
+const {FhirRdfModelGenerator, FhirResourceDefinitionError} = require('./FhirRdfModelGenerator');
+const {FhirGenerator} = require('./FhirGenerator');
+
+/**
+ * Leverage a FhirRdfModelGenerator to traverse StructureDefinitions and generate a JSON Schema for FHIR JSON.
+ * The schema is draft-04 so the playground's tv4 can use it as well as CI tools like ajv.
+ *
+ * Each complex type, resource and nested structure gets a definition, e.g. "Observation_ReferenceRange", which lists
+ * the properties it inherits because additionalProperties is false. Primitive types are JSON values with a pattern;
+ * elements of primitive types get a "_" sibling for their id and extensions. The root is a "ResourceList" which
+ * discriminates resources by resourceType.
+ */
+class FhirJsonSchemaGenerator extends FhirGenerator {
+  static SCHEMA = 'http://json-schema.org/draft-04/schema#';
+
+  // JSON property names don't depend on the RDF axes, but choices must be curried (valueString, ...).
+  static AXES = {r: true, d: true, v: true, c: false, h: false};
+
+  // JSON types of primitive values by FHIRPath type; others are strings.
+  static JSON_TYPES = {
+    Boolean: 'boolean',
+    Integer: 'integer',
+    Decimal: 'number',
+  };
+
+  // Primitives which FHIR JSON represents as strings in spite of their FHIRPath type.
+  static STRING_PRIMITIVES = ['integer64'];
+
+  static REGEX_EXTENSION = 'http://hl7.org/fhir/StructureDefinition/regex';
+
+  constructor (definitionLoader, config = {}) {
+    super(definitionLoader, Object.assign({}, config, {axes: FhirJsonSchemaGenerator.AXES}));
+    // walk StructureDefinition, calling enter, element, exit.
+    this.modelGenerator = new FhirRdfModelGenerator(this.definitionLoader, this.config);
+    // schemas by definition name, in the order they were generated.
+    this.definitions = {};
+    // names of the concrete resources in ResourceList.
+    this.resources = [];
+    // codes (or null if the ValueSet can't be used) by canonical.
+    this.valueSets = new Map();
+    // primitive type names and whether they are, by type name.
+    this.primitives = new Map();
+    // definitions being populated, innermost first: {definition, path} where path is the element id of their properties' parent.
+    this.definitionStack = [];
+  }
+
+  /**
+   * Generate definitions for the StructureDefinitions in sources, a list of FHIR Bundles.
+   * Profiles (derivation=constraint) are skipped.
+   * @returns {object} the JSON Schema.
+   */
+  async genJsonSchema (sources, skip = []) {
+    for (const source of sources) {
+      for (const entry of source.entry) {
+        const resourceDef = entry.resource;
+        if (resourceDef.resourceType !== 'StructureDefinition'
+            || FhirRdfModelGenerator.isConstraint(resourceDef)
+            || skip.indexOf(resourceDef.id) !== -1)
+          continue;
+        if (resourceDef.kind === 'primitive-type')
+          await this.genPrimitive(resourceDef);
+        else
+          await this.genDefinition(resourceDef);
+      }
+    }
+    return this.getSchema();
+  }
+
+  /**
+   * The JSON Schema for the definitions generated so far.
+   */
+  getSchema () {
+    const resourceList = {
+      description: 'Any of the resources, discriminated by resourceType.',
+      properties: {resourceType: {enum: this.resources}},
+      required: ['resourceType'],
+      oneOf: this.resources.map(name => FhirJsonSchemaGenerator.ref(name)),
+    };
+    return Object.assign(
+      {$schema: FhirJsonSchemaGenerator.SCHEMA},
+      this.config.id ? {id: this.config.id} : {},
+      {
+        description: 'JSON Schema for FHIR JSON, generated from StructureDefinitions.',
+        oneOf: [FhirJsonSchemaGenerator.ref('ResourceList')],
+        definitions: Object.assign({ResourceList: resourceList}, this.definitions),
+      }
+    );
+  }
+
+  /**
+   * Generate a definition for a primitive type: a JSON value matching the type's regex.
+   */
+  async genPrimitive (resourceDef) {
+    this.currentDef = resourceDef;
+    const value = (await this.modelGenerator.getContentModel(resourceDef, this.config)).merged()
+          .reduce((acc, disjuncts) => acc.concat(disjuncts), [])
+          .find(pMap => pMap.isScalar && pMap.predicate === FhirRdfModelGenerator.NS_fhir + 'v');
+    if (!value) {
+      this.myError(new FhirResourceDefinitionError(`Expected primitive type ${resourceDef.id} to have a value`, resourceDef, 'no-primitive-value'));
+      return this;
+    }
+    const typeEntry = value.element.type[0];
+    const fhirPathType = typeEntry.code.substr(FhirRdfModelGenerator.FHIRPATH_ROOT.length);
+    const type = FhirJsonSchemaGenerator.STRING_PRIMITIVES.indexOf(resourceDef.id) === -1
+          ? FhirJsonSchemaGenerator.JSON_TYPES[fhirPathType] || 'string'
+          : 'string';
+    const regex = (typeEntry.extension || []).find(ext => ext.url === FhirJsonSchemaGenerator.REGEX_EXTENSION);
+    this.definitions[resourceDef.id] = Object.assign(
+      FhirJsonSchemaGenerator.describe(resourceDef.description),
+      {type},
+      type === 'string' && regex ? {pattern: `^(?:${regex.valueString})$`} : {}
+    );
+    this.primitives.set(resourceDef.id, true);
+    return this;
+  }
+
+  /**
+   * Generate a definition for a resource, complex type or logical model and, via the visitor calls, its nested
+   * structures.
+   */
+  async genDefinition (resourceDef) {
+    this.currentDef = resourceDef;
+    if ('baseDefinition' in resourceDef && !resourceDef.baseDefinition.startsWith(FhirRdfModelGenerator.STRUCTURE_DEFN_ROOT) && !FhirRdfModelGenerator.isLogical(resourceDef)) {
+      this.myError(new FhirResourceDefinitionError(`Unknown URL stem in ${resourceDef.baseDefinition}, expected ${FhirRdfModelGenerator.STRUCTURE_DEFN_ROOT}`, resourceDef, 'unknown-base'));
+      return this;
+    }
+    const name = FhirRdfModelGenerator.isLogical(resourceDef)
+          ? FhirRdfModelGenerator.logicalTypeName(resourceDef.url)
+          : resourceDef.id;
+    const definition = this.pushDefinition(name, resourceDef.id, resourceDef.description);
+    if (resourceDef.kind === 'resource') {
+      definition.properties.resourceType = {description: `This is a ${resourceDef.id} resource`, enum: [resourceDef.id]};
+      definition.required.push('resourceType');
+      if (!resourceDef.abstract)
+        this.resources.push(resourceDef.id);
+    }
+
+    // Inherited elements, then those resourceDef defines.
+    const contentModel = await this.modelGenerator.getContentModel(resourceDef, this.config);
+    await this.inheritElements(contentModel);
+    await this.modelGenerator.visitResource(resourceDef, this, this.config);
+    this.popDefinition();
+    return this;
+  }
+
+  /**
+   * Add properties for the elements a content model inherits, or for all of them if all is true.
+   * Nested structures reference the definition generated for the ancestor which defines them.
+   */
+  async inheritElements (contentModel, all = false) {
+    const own = all ? [] : contentModel.ownElements();
+    for (const propertyMappings of contentModel.merged().filter(disjuncts => own.indexOf(disjuncts) === -1)) {
+      const propertyMapping = propertyMappings[0];
+      const isNested = FhirRdfModelGenerator.NestedStructureTypeCodes
+            .map(code => FhirRdfModelGenerator.STRUCTURE_DEFN_ROOT + code)
+            .indexOf(propertyMapping.type) !== -1;
+      if (isNested)
+        this.addNestedProperty(propertyMapping);
+      else
+        await this.addElement(propertyMappings);
+    }
+  }
+
+  async enter (propertyMapping, config) {
+    const elt = propertyMapping.element;
+    if (this.owns(elt))
+      this.addNestedProperty(propertyMapping);
+    this.pushDefinition(FhirJsonSchemaGenerator.definitionName(elt.id), elt.id, elt.short);
+    // e.g. id, extension and modifierExtension from BackboneElement
+    for (const type of elt.type) {
+      const baseDef = await this.definitionLoader.getStructureDefinitionByName(type.code);
+      if (baseDef)
+        await this.inheritElements(await this.modelGenerator.getContentModel(baseDef, this.config), true);
+    }
+  }
+
+  async element (propertyMappings, config) {
+    if (this.owns(propertyMappings[0].element))
+      await this.addElement(propertyMappings);
+  }
+
+  exit (propertyMapping, config) {
+    this.popDefinition();
+  }
+
+  /**
+   * Whether elt belongs to the definition being populated, as opposed to e.g. BackboneElement.modifierExtension,
+   * which the walker visits when entering a nested structure and which enter() already added.
+   */
+  owns (elt) {
+    return this.definitionStack.length > 0
+      && elt.id.substr(0, elt.id.lastIndexOf('.')) === this.definitionStack[0].path;
+  }
+
+  pushDefinition (name, path, description) {
+    const definition = Object.assign(FhirJsonSchemaGenerator.describe(description), {
+      properties: {},
+      additionalProperties: false,
+      required: [],
+      allOf: [],
+    });
+    this.definitions[name] = definition;
+    this.definitionStack.unshift({definition, path});
+    return definition;
+  }
+
+  popDefinition () {
+    const {definition} = this.definitionStack.shift();
+    ['required', 'allOf'].forEach(key => {
+      if (definition[key].length === 0)
+        delete definition[key];
+    });
+    return definition;
+  }
+
+  addNestedProperty (propertyMapping) {
+    const elt = propertyMapping.element;
+    const schema = FhirJsonSchemaGenerator.ref(FhirJsonSchemaGenerator.definitionName(elt.id));
+    this.definitionStack[0].definition.properties[propertyMapping.property] = FhirJsonSchemaGenerator.cardinality(schema, elt, elt.short);
+    if (FhirJsonSchemaGenerator.min(elt.min) > 0)
+      this.definitionStack[0].definition.required.push(propertyMapping.property);
+  }
+
+  /**
+   * Add properties for an element's (disjoint) PropertyMappings, each curried choice getting its own property.
+   * Primitives may be present as just their "_" sibling, so they are required with anyOf rather than required.
+   */
+  async addElement (propertyMappings) {
+    const elt = propertyMappings[0].element;
+    const definition = this.definitionStack[0].definition;
+    const present = [];
+    for (const pMap of propertyMappings) {
+      const property = pMap.property;
+      const hasExtensions = await this.hasExtensions(pMap);
+      definition.properties[property] = FhirJsonSchemaGenerator.cardinality(await this.valueSchema(pMap), elt, elt.short, hasExtensions);
+      if (hasExtensions) {
+        definition.properties['_' + property] = FhirJsonSchemaGenerator.cardinality(FhirJsonSchemaGenerator.ref('Element'), elt, null, true);
+        present.push({anyOf: [{required: [property]}, {required: ['_' + property]}]});
+      } else {
+        present.push({required: [property]});
+      }
+    }
+
+    const min = FhirJsonSchemaGenerator.min(elt.min);
+    if (propertyMappings.length > 1) {
+      if (elt.max === '1') // exactly one of them, or of them and none
+        definition.allOf.push({oneOf: (min > 0 ? [] : [{not: {anyOf: present}}]).concat(present)});
+      else if (min > 0)
+        definition.allOf.push({anyOf: present});
+    } else if (min > 0) {
+      if ('required' in present[0])
+        definition.required.push(propertyMappings[0].property);
+      else
+        definition.allOf.push(present[0]);
+    }
+  }
+
+  /**
+   * Schema for a value of a PropertyMapping's type, including any required binding.
+   */
+  async valueSchema (propertyMapping) {
+    if (propertyMapping.isScalar) // e.g. Narrative.div
+      return {type: 'string'};
+    const typeName = this.typeName(propertyMapping);
+    const ret = FhirJsonSchemaGenerator.ref(typeName === 'Resource' ? 'ResourceList' : typeName);
+    return propertyMapping.binding && propertyMapping.binding.strength === 'required'
+      ? await this.bindingSchema(propertyMapping, typeName, ret)
+      : ret;
+  }
+
+  /**
+   * Definition name for a PropertyMapping's type, which may be a contentReference (element id) or logical model URL.
+   */
+  typeName (propertyMapping) {
+    if ('contentReference' in propertyMapping.element)
+      return FhirJsonSchemaGenerator.definitionName(propertyMapping.type);
+    return FhirRdfModelGenerator.isLogicalTypeCode(propertyMapping.type)
+      ? FhirRdfModelGenerator.logicalTypeName(propertyMapping.type)
+      : propertyMapping.type;
+  }
+
+  /**
+   * Whether a PropertyMapping's JSON value is a FHIR primitive, which has a "_" sibling for its id and extensions.
+   * Elements with FHIRPath types, e.g. Element.id and Extension.url, don't.
+   */
+  async hasExtensions (propertyMapping) {
+    if (propertyMapping.isScalar || 'contentReference' in propertyMapping.element
+        || propertyMapping.element.type.find(t => t.code.startsWith(FhirRdfModelGenerator.FHIRPATH_ROOT)))
+      return false;
+    return await this.isPrimitive(propertyMapping.type);
+  }
+
+  async isPrimitive (typeName) {
+    if (!this.primitives.has(typeName)) {
+      const resourceDef = FhirRdfModelGenerator.isLogicalTypeCode(typeName)
+            ? null
+            : await this.definitionLoader.getStructureDefinitionByName(typeName);
+      this.primitives.set(typeName, !!resourceDef && resourceDef.kind === 'primitive-type');
+    }
+    return this.primitives.get(typeName);
+  }
+
+  /**
+   * Constrain the codes of an element with a required binding to an enum of its ValueSet's codes.
+   * JSON Schema can't say that some coding of a CodeableConcept has one of them.
+   */
+  async bindingSchema (propertyMapping, typeName, schema) {
+    const isCoding = typeName === 'Coding';
+    if (!isCoding && !(await this.isPrimitive(typeName))) {
+      this.note('binding-not-checked', propertyMapping.element.id, `can't check the required binding of a ${typeName}`);
+      return schema;
+    }
+    const codes = await this.valueSetCodes(propertyMapping.binding.valueSet, propertyMapping.element.id);
+    if (codes === null)
+      return schema;
+    return isCoding
+      ? {allOf: [schema, {properties: {code: {enum: codes}}}]}
+      : {enum: codes};
+  }
+
+  /**
+   * The codes in a ValueSet, e.g. ["registered", "preliminary", ...] for observation-status.
+   * @returns {Promise<string[]|null>} codes, or null if the ValueSet isn't loaded or can't be expanded offline.
+   */
+  async valueSetCodes (canonical, path) {
+    if (!this.valueSets.has(canonical)) {
+      const bound = await this.expandBoundValueSet(canonical, path);
+      this.valueSets.set(canonical, bound === null ? null : bound.codes);
+    }
+    return this.valueSets.get(canonical);
+  }
+
+  /**
+   * Definition name for a nested structure's element id, e.g. "Observation_ReferenceRange" as in FHIR's own
+   * fhir.schema.json.
+   */
+  static definitionName (elementId) {
+    return elementId.split('.')
+      .map((segment, idx) => idx === 0 ? segment : segment.substr(0, 1).toUpperCase() + segment.substr(1))
+      .join('_');
+  }
+
+  static ref (name) {
+    return {$ref: '#/definitions/' + name};
+  }
+
+  static describe (description) {
+    return description ? {description} : {};
+  }
+
+  /**
+   * Wrap an element's value schema in an array if it repeats.
+   * Arrays of primitives and of their "_" siblings have nulls where the other has an entry.
+   */
+  static cardinality (schema, elt, description, isPrimitive = false) {
+    return Object.assign(FhirJsonSchemaGenerator.describe(description), elt.max === '1'
+      ? schema
+      : {type: 'array', items: isPrimitive ? {anyOf: [schema, {type: 'null'}]} : schema});
+  }
+
+  // ElementDefinition.min, defaulting as FhirShExJGenerator.makeCard does.
+  static min (min) {
+    return min === undefined ? 1 : min;
+  }
+}
+
+if (typeof module !== 'undefined')
+  module.exports = {FhirJsonSchemaGenerator};
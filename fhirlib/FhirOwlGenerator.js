@@ -0,0 +1,306 @@
+const {FhirRdfModelGenerator, FhirResourceDefinitionError} = require('./FhirRdfModelGenerator');
+const {FhirGenerator} = require('./FhirGenerator');
+const Prefixes = require('./Prefixes');
+const {Writer} = require('./NestedWriter');
+const {DataFactory} = require('n3');
+const {namedNode, blankNode, literal} = DataFactory;
+
+const P = Prefixes;
+
+/**
+ * Leverage a FhirRdfModelGenerator to traverse StructureDefinitions and generate an OWL ontology describing the same
+ * RDF: a class per resource, datatype and nested structure (BackboneElement) and an object or datatype property per
+ * predicate, with domains, ranges and cardinality restrictions. Predicates follow the same axes as FhirShExJGenerator.
+ */
+class FhirOwlGenerator extends FhirGenerator {
+
+  // FhirPreprocessors' output owl:imports this.
+  static ONTOLOGY_IRI = Prefixes.fhir + 'fhir.ttl';
+
+  // Predicates which don't come from StructureDefinitions.
+  static COMMON_PROPERTIES = [
+    {iri: Prefixes.fhir + 'nodeRole', kind: 'ObjectProperty', ranges: []},
+    {iri: Prefixes.fhir + 'link', kind: 'ObjectProperty', ranges: []},
+  ];
+  static INDEX_PROPERTY = {iri: Prefixes.fhir + 'index', kind: 'DatatypeProperty', ranges: [Prefixes.xsd + 'integer']};
+
+  constructor (definitionLoader, config = {}) {
+    super(definitionLoader, config);
+    // walk StructureDefinition, calling enter, element, exit.
+    this.modelGenerator = new FhirRdfModelGenerator(this.definitionLoader, config);
+    // owl:Classes by IRI: {iri, comment, parents, restrictions: [{property, kind, value}]}
+    this.classes = new Map();
+    // owl:ObjectProperties and owl:DatatypeProperties by IRI: {iri, kind, comment, domains, ranges}; comment is null
+    // if the elements using a predicate describe it differently.
+    this.properties = new Map();
+    // classes being populated, innermost first: {iri, path} where path is the element id of their children's parent.
+    this.classStack = [];
+    // xsd datatypes of primitive types, for hoisted scalars (axes.h).
+    this.primitiveDatatypes = new Map();
+  }
+
+  /**
+   * Add classes and properties for the StructureDefinitions in sources, a list of FHIR Bundles.
+   * Profiles (derivation=constraint) describe no new RDF and are skipped, as are other resources.
+   * @returns {FhirOwlGenerator} this.
+   */
+  async genOntology (sources, skip = []) {
+    for (const source of sources) {
+      for (const entry of source.entry) {
+        const resourceDef = entry.resource;
+        if (resourceDef.resourceType !== 'StructureDefinition'
+            || FhirRdfModelGenerator.isConstraint(resourceDef)
+            || skip.indexOf(resourceDef.id) !== -1)
+          continue;
+        await this.genClass(resourceDef);
+      }
+    }
+    FhirOwlGenerator.COMMON_PROPERTIES
+      .concat(this.config.axes.c ? [] : [FhirOwlGenerator.INDEX_PROPERTY])
+      .forEach(p => {
+        if (!this.properties.has(p.iri))
+          this.properties.set(p.iri, Object.assign({domains: []}, p, {ranges: p.ranges.slice()}));
+      });
+    return this;
+  }
+
+  /**
+   * Add an owl:Class for resourceDef and properties for the elements it defines. Inherited elements come from the
+   * rdfs:subClassOf its base.
+   */
+  async genClass (resourceDef) {
+    this.currentDef = resourceDef;
+    const classIri = this.typeIri(FhirRdfModelGenerator.isLogical(resourceDef) ? resourceDef.url : resourceDef.id);
+    const parents = [];
+    if ('baseDefinition' in resourceDef) {
+      if (!resourceDef.baseDefinition.startsWith(FhirRdfModelGenerator.STRUCTURE_DEFN_ROOT) && !FhirRdfModelGenerator.isLogical(resourceDef)) {
+        this.myError(new FhirResourceDefinitionError(`Unknown URL stem in ${resourceDef.baseDefinition}, expected ${FhirRdfModelGenerator.STRUCTURE_DEFN_ROOT}`, resourceDef, 'unknown-base'));
+        return this;
+      }
+      parents.push(this.typeIri(resourceDef.baseDefinition));
+    }
+    const root = resourceDef.differential.element[0];
+    this.addClass(classIri, parents, root && root.id.indexOf('.') === -1 ? root.short : undefined);
+    this.classStack = [{iri: classIri, path: resourceDef.id}];
+    await this.modelGenerator.visitResource(resourceDef, this, this.config);
+    this.classStack = [];
+    return this;
+  }
+
+  /**
+   * Class IRI for a type name, StructureDefinition URL or logical model URL, e.g. fhir:Observation.
+   */
+  typeIri (typeName) {
+    if (typeName.startsWith(FhirRdfModelGenerator.STRUCTURE_DEFN_ROOT))
+      typeName = typeName.substr(FhirRdfModelGenerator.STRUCTURE_DEFN_ROOT.length);
+    return FhirRdfModelGenerator.isLogicalTypeCode(typeName)
+      ? this.modelGenerator.logicalNamespace(typeName) + FhirRdfModelGenerator.logicalTypeName(typeName)
+      : Prefixes.fhir + typeName;
+  }
+
+  /**
+   * Class IRI for a nested structure, e.g. fhir:Observation.component. Logical models' live in their namespace.
+   */
+  nestedIri (elementId) {
+    return FhirRdfModelGenerator.isLogical(this.currentDef)
+      ? this.modelGenerator.logicalNamespace(this.currentDef.url) + elementId
+      : Prefixes.fhir + elementId;
+  }
+
+  addClass (iri, parents, comment) {
+    if (!this.classes.has(iri))
+      this.classes.set(iri, {iri, comment, parents, restrictions: []});
+    return this.classes.get(iri);
+  }
+
+  addProperty (iri, kind, domain, ranges, comment) {
+    if (!this.properties.has(iri))
+      this.properties.set(iri, {iri, kind, comment, domains: [], ranges: []});
+    const property = this.properties.get(iri);
+    if (property.comment !== comment) // e.g. fhir:status under lowercase axes.r means different things in each domain
+      property.comment = null;
+    if (property.kind !== kind)
+      this.myError(new FhirResourceDefinitionError(`${iri} is used as both an owl:${property.kind} and an owl:${kind}`, this.currentDef, 'property-kind'));
+    if (property.domains.indexOf(domain) === -1)
+      property.domains.push(domain);
+    ranges.filter(r => property.ranges.indexOf(r) === -1).forEach(r => property.ranges.push(r));
+    return property;
+  }
+
+  async enter (propertyMapping, config) {
+    const elt = propertyMapping.element;
+    const classIri = this.nestedIri(elt.id);
+    if (this.owns(elt)) {
+      this.addClass(classIri, elt.type.map(t => this.typeIri(t.code)), elt.short);
+      await this.addPropertyMappings([propertyMapping], [classIri]);
+    }
+    this.classStack.unshift({iri: classIri, path: elt.id});
+  }
+
+  async element (propertyMappings, config) {
+    if (!this.owns(propertyMappings[0].element))
+      return;
+    const ranges = await Promise.all(propertyMappings.map(pMap => this.ranges(pMap)));
+    await this.addPropertyMappings(propertyMappings, ranges.reduce((acc, r) => acc.concat(r), []));
+  }
+
+  exit (propertyMapping, config) {
+    this.classStack.shift();
+  }
+
+  /**
+   * Whether elt belongs to the class being populated, as opposed to e.g. BackboneElement.modifierExtension, which
+   * the walker visits when entering a nested structure and which the nested class inherits from fhir:BackboneElement.
+   */
+  owns (elt) {
+    return this.classStack.length > 0
+      && elt.id.substr(0, elt.id.lastIndexOf('.')) === this.classStack[0].path;
+  }
+
+  /**
+   * Declare the (disjoint) properties of one element and restrict their cardinality on the current class.
+   * With axes.v, each type of a choice has its own predicate; otherwise they share one.
+   */
+  async addPropertyMappings (propertyMappings, ranges) {
+    const domain = this.classStack[0].iri;
+    const elt = propertyMappings[0].element;
+    const predicates = propertyMappings.map(pMap => pMap.predicate)
+          .filter((p, idx, all) => all.indexOf(p) === idx);
+    const isList = this.config.axes.c && elt.max !== '1';
+    for (const predicate of predicates) {
+      const pMaps = propertyMappings.filter(pMap => pMap.predicate === predicate);
+      const kind = await this.isDatatypeProperty(pMaps[0]) ? 'DatatypeProperty' : 'ObjectProperty';
+      const pRanges = isList
+            ? [P.rdf + 'List']
+            : predicates.length === 1
+            ? ranges
+            : (await Promise.all(pMaps.map(pMap => this.ranges(pMap)))).reduce((acc, r) => acc.concat(r), []);
+      this.addProperty(predicate, kind, domain, pRanges, elt.short);
+      // Each of several curried predicates may be absent; only the element's max applies to each.
+      const min = predicates.length === 1 ? elt.min : 0;
+      const max = isList ? (elt.max === '0' ? '0' : '1') : elt.max;
+      this.restrictCardinality(domain, predicate, isList && min > 0 ? 1 : min, max);
+    }
+  }
+
+  restrictCardinality (classIri, property, min, max) {
+    const restrictions = this.classes.get(classIri).restrictions;
+    if (max !== '*' && String(min) === max) {
+      restrictions.push({property, kind: 'cardinality', value: min});
+      return;
+    }
+    if (min > 0)
+      restrictions.push({property, kind: 'minCardinality', value: min});
+    if (max !== '*' && max !== undefined)
+      restrictions.push({property, kind: 'maxCardinality', value: parseInt(max)});
+  }
+
+  /**
+   * Scalars (fhir:v, Narrative.div) and, with axes.h, properties of primitive types have literal values.
+   */
+  async isDatatypeProperty (propertyMapping) {
+    return propertyMapping.isScalar
+      || this.config.axes.h && (await this.primitiveDatatype(propertyMapping.type)) !== null;
+  }
+
+  /**
+   * Range IRIs for a PropertyMapping: xsd datatypes for scalars, else class IRIs.
+   */
+  async ranges (propertyMapping) {
+    if (propertyMapping.isScalar)
+      return FhirRdfModelGenerator.datatypes(propertyMapping.type);
+    if (this.config.axes.h) {
+      const datatypes = await this.primitiveDatatype(propertyMapping.type);
+      if (datatypes !== null)
+        return datatypes;
+    }
+    const type = propertyMapping.type;
+    return [
+      type.startsWith(FhirRdfModelGenerator.FHIRPATH_ROOT)
+        ? this.typeIri(type.substr(FhirRdfModelGenerator.FHIRPATH_ROOT.length))
+        : FhirRdfModelGenerator.isLogicalTypeCode(type) || type.startsWith(FhirRdfModelGenerator.STRUCTURE_DEFN_ROOT)
+        ? this.typeIri(type)
+        : type.indexOf('.') !== -1 // contentReference, e.g. Observation.referenceRange
+        ? this.nestedIri(type)
+        : this.typeIri(type)
+    ];
+  }
+
+  /**
+   * The xsd datatypes of a primitive type's value, e.g. [xsd:anyURI] for "uri", or null if typeName isn't primitive.
+   */
+  async primitiveDatatype (typeName) {
+    if (!this.primitiveDatatypes.has(typeName)) {
+      const valueType = await this.modelGenerator.primitiveValueType(typeName, this.config);
+      this.primitiveDatatypes.set(typeName, valueType === null ? null : FhirRdfModelGenerator.datatypes(valueType));
+    }
+    return this.primitiveDatatypes.get(typeName);
+  }
+
+  /**
+   * Serialize the ontology as Turtle.
+   * @param outputStream stream to write to, or null to resolve to a string.
+   * @returns {Promise<string|undefined>}
+   */
+  async writeTurtle (outputStream = null) {
+    const writer = new Writer(outputStream, {
+      format: 'text/turtle',
+      prefixes: Prefixes,
+      version: 1.1,
+      checkCorefs: n => false, // restrictions and unions are trees
+    });
+    this.writeQuads(writer);
+    return new Promise((resolve, reject) => writer.end((error, result) => error ? reject(error) : resolve(result)));
+  }
+
+  /**
+   * Add the ontology's quads to a NestedWriter, ordered so that restrictions nest in their classes.
+   */
+  writeQuads (writer) {
+    const q = (s, p, o) => writer.addQuad(s, namedNode(p), o);
+    let bnodes = 0;
+    const bnode = () => blankNode('b' + bnodes++);
+    const nonNegativeInteger = n => literal(String(n), namedNode(P.xsd + 'nonNegativeInteger'));
+    // A single class or datatype, or an anonymous union of them.
+    const union = (subject, predicate, iris, unionType) => {
+      if (iris.length === 1) {
+        q(subject, predicate, namedNode(iris[0]));
+      } else if (iris.length > 1) {
+        const u = bnode();
+        q(subject, predicate, u);
+        q(u, P.rdf + 'type', namedNode(unionType));
+        q(u, P.owl + 'unionOf', writer.list(iris.map(iri => namedNode(iri))));
+      }
+    };
+
+    const ontology = namedNode(FhirOwlGenerator.ONTOLOGY_IRI);
+    q(ontology, P.rdf + 'type', namedNode(P.owl + 'Ontology'));
+
+    this.classes.forEach(cls => {
+      const subject = namedNode(cls.iri);
+      q(subject, P.rdf + 'type', namedNode(P.owl + 'Class'));
+      if (cls.comment)
+        q(subject, P.rdfs + 'comment', literal(cls.comment));
+      cls.parents.forEach(parent => q(subject, P.rdfs + 'subClassOf', namedNode(parent)));
+      cls.restrictions.forEach(r => {
+        const restriction = bnode();
+        q(subject, P.rdfs + 'subClassOf', restriction);
+        q(restriction, P.rdf + 'type', namedNode(P.owl + 'Restriction'));
+        q(restriction, P.owl + 'onProperty', namedNode(r.property));
+        q(restriction, P.owl + r.kind, nonNegativeInteger(r.value));
+      });
+    });
+
+    this.properties.forEach(property => {
+      const subject = namedNode(property.iri);
+      q(subject, P.rdf + 'type', namedNode(P.owl + property.kind));
+      if (property.comment)
+        q(subject, P.rdfs + 'comment', literal(property.comment));
+      union(subject, P.rdfs + 'domain', property.domains, P.owl + 'Class');
+      union(subject, P.rdfs + 'range', property.ranges, property.kind === 'DatatypeProperty' ? P.rdfs + 'Datatype' : P.owl + 'Class');
+    });
+  }
+}
+
+if (typeof module !== 'undefined')
+  module.exports = {FhirOwlGenerator};
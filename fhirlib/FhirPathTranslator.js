@@ -0,0 +1,157 @@
+/**
+ * Translate the common subset of FHIRPath invariants into ShEx shape expressions:
+ *   <property>.exists(), <property>.empty(), (...).not(), and, or, implies
+ * where each property is one of the focus node's own, e.g. obs-6 "dataAbsentReason.empty() or value.empty()".
+ * Anything else (multi-step paths, where(), matches(), comparisons, %resource...) isn't translated.
+ */
+class FhirPathTranslator {
+  static KEYWORDS = ['and', 'or', 'implies'];
+
+  /**
+   * @param resolve function from a property name, e.g. "value", to the predicates it may use, e.g.
+   *   [fhir:Observation.valueQuantity, ...], or null if the focus node has no such property.
+   */
+  constructor (resolve) {
+    this.resolve = resolve;
+  }
+
+  /**
+   * @returns shape expression or null if expression isn't in the supported subset.
+   */
+  translate (expression) {
+    const ast = FhirPathTranslator.parse(expression);
+    if (ast === null)
+      return null;
+    try {
+      return this.toShEx(ast);
+    } catch (e) {
+      if (e instanceof UnsupportedExpression)
+        return null;
+      throw e;
+    }
+  }
+
+  toShEx (ast) {
+    switch (ast.op) {
+    case 'and': return { type: "ShapeAnd", shapeExprs: ast.args.map(arg => this.toShEx(arg)) };
+    case 'or': return { type: "ShapeOr", shapeExprs: ast.args.map(arg => this.toShEx(arg)) };
+    case 'implies': return { type: "ShapeOr", shapeExprs: [{ type: "ShapeNot", shapeExpr: this.toShEx(ast.args[0]) }, this.toShEx(ast.args[1])] };
+    case 'not': return { type: "ShapeNot", shapeExpr: this.toShEx(ast.arg) };
+    case 'exists': {
+      const shapes = this.predicates(ast.property).map(predicate => ({
+        type: "Shape",
+        expression: { type: "TripleConstraint", predicate, min: 1, max: -1 }
+      }));
+      return shapes.length === 1 ? shapes[0] : { type: "ShapeOr", shapeExprs: shapes };
+    }
+    case 'empty': {
+      const tcs = this.predicates(ast.property).map(predicate => ({ type: "TripleConstraint", predicate, min: 0, max: 0 }));
+      return { type: "Shape", expression: tcs.length === 1 ? tcs[0] : { type: "EachOf", expressions: tcs } };
+    }
+    default: throw new Error(`unexpected FHIRPath AST node ${ast.op}`);
+    }
+  }
+
+  predicates (property) {
+    const predicates = this.resolve(property);
+    if (!predicates || predicates.length === 0)
+      throw new UnsupportedExpression(property);
+    return predicates.filter((p, idx) => predicates.indexOf(p) === idx); // un-curried choices share a predicate
+  }
+
+  /**
+   * Parse expression into e.g. {op: "or", args: [{op: "empty", property: "dataAbsentReason"}, ...]}.
+   * @returns AST or null if expression isn't in the supported subset.
+   */
+  static parse (expression) {
+    const tokens = FhirPathTranslator.tokenize(expression);
+    if (tokens === null)
+      return null;
+    let pos = 0;
+    const peek = () => tokens[pos];
+    const expect = token => {
+      if (tokens[pos] !== token)
+        throw new UnsupportedExpression(expression);
+      ++pos;
+    };
+    const binary = (op, operand) => () => {
+      const args = [operand()];
+      while (peek() === op) {
+        ++pos;
+        args.push(operand());
+      }
+      return args.length === 1 ? args[0] : { op, args };
+    };
+    const postfix = () => {
+      let ret;
+      if (peek() === '(') {
+        ++pos;
+        ret = implies();
+        expect(')');
+      } else {
+        const property = tokens[pos++];
+        if (!FhirPathTranslator.isIdentifier(property))
+          throw new UnsupportedExpression(expression);
+        expect('.');
+        const fn = tokens[pos++];
+        if (fn !== 'exists' && fn !== 'empty')
+          throw new UnsupportedExpression(expression);
+        expect('(');
+        expect(')');
+        ret = { op: fn, property: property.replace(/^`(.*)`$/, '$1') };
+      }
+      while (peek() === '.') {
+        ++pos;
+        expect('not');
+        expect('(');
+        expect(')');
+        ret = { op: 'not', arg: ret };
+      }
+      return ret;
+    };
+    const and = binary('and', postfix);
+    const or = binary('or', and);
+    const implies = () => {
+      const left = or();
+      if (peek() !== 'implies')
+        return left;
+      ++pos;
+      return { op: 'implies', args: [left, or()] };
+    };
+
+    try {
+      const ret = implies();
+      return pos === tokens.length ? ret : null;
+    } catch (e) {
+      if (e instanceof UnsupportedExpression)
+        return null;
+      throw e;
+    }
+  }
+
+  /**
+   * @returns {string[]|null} identifiers, keywords and punctuation, or null if there's anything else, e.g. "'#'" or "<=".
+   */
+  static tokenize (expression) {
+    const token = /\s*(`[^`]+`|[A-Za-z_][A-Za-z0-9_]*|[().])\s*/y;
+    const ret = [];
+    while (token.lastIndex < expression.length) {
+      const m = token.exec(expression);
+      if (m === null)
+        return null;
+      ret.push(m[1]);
+    }
+    return ret;
+  }
+
+  static isIdentifier (token) {
+    return token !== undefined
+      && (token.startsWith('`') || /^[A-Za-z_]/.test(token))
+      && FhirPathTranslator.KEYWORDS.indexOf(token) === -1;
+  }
+}
+
+class UnsupportedExpression extends Error {}
+
+if (typeof module !== 'undefined')
+  module.exports = {FhirPathTranslator};
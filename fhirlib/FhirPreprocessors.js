@@ -1,19 +1,35 @@
+const {FhirJsonLdConfig} = require('./FhirJsonLdConfig');
+const FhirJsonLdContextGenerator = require('./FhirJsonLdContextGenerator');
+
 const CODE_SYSTEM_MAP = {
   "http://snomed.info/sct": "sct",
   "http://loinc.org": "loinc"
 };
 const NS_fhir = "http://hl7.org/fhir/shape/";
 const NS_xsd = "http://www.w3.org/2001/XMLSchema#";
+const ABSOLUTE_IRI = /^[A-Za-z][A-Za-z0-9+.-]*:/; // e.g. "http://..." or "urn:uuid:..."
+const RESTFUL_URL = /^https?:\/\/.*\/[A-Z][A-Za-z]+\/[A-Za-z0-9\-.]{1,64}$/; // e.g. "https://example.com/base/Patient/347"
 
 function parseResourceType(resourceType) {
   return resourceType.includes(':') ? resourceType.split(':')[1] : resourceType
 }
 
 class FhirR5Preprocessor {
-  constructor (shexj, opts = {axes: {r:true, d:true, v:true, c:false, h:false}}) {
+  /**
+   * @param opts {axes, jsonLdConfig, embedContext} where jsonLdConfig is a FhirJsonLdConfig for the context URLs,
+   *   @base and, unless opts gives them, axes, and embedContext embeds a context generated from shexj instead of
+   *   referencing the context URLs.
+   */
+  constructor (shexj, opts = {}) {
     this.shexj = shexj;
-    this.opts = opts;
+    this.jsonLdConfig = opts.jsonLdConfig || this.defaultJsonLdConfig();
+    this.opts = Object.assign({axes: this.jsonLdConfig.axes}, opts);
     this.resourceTypeSet = new Set();
+    this.fullUrl = null; // Bundle.entry.fullUrl of the resource being processed
+  }
+
+  defaultJsonLdConfig () {
+    return FhirJsonLdConfig.R5;
   }
 
   preprocess(input) {
@@ -43,14 +59,16 @@ class FhirR5Preprocessor {
     let output = { ...graph, "@included": hdr };
 
     let context = [];
-    if (this.resourceTypeSet.size > 0) {
+    if (this.opts.embedContext) {
+      context.push(new FhirJsonLdContextGenerator(this.shexj).genEmbeddedContext(graph, {axes: this.opts.axes})['@context']);
+    } else if (this.resourceTypeSet.size > 0) {
       Array.from(this.resourceTypeSet).sort().forEach(rt => {
         context.push(this.getFhirContextUrl(rt));
       })
       context.push(this.getFhirContextUrl('root'));
     }
     context.push({
-      '@base': 'http://hl7.org/fhir/',
+      '@base': this.jsonLdConfig.base,
       'nodeRole': { '@type': '@id', '@id': 'fhir:nodeRole' },
       'owl:imports': { '@type': '@id' },
       'owl:versionIRI': { '@type': '@id' },
@@ -61,9 +79,7 @@ class FhirR5Preprocessor {
   }
 
   getFhirContextUrl(resourceType) {
-    return `https://fhircat.org/fhir-r5/original/contexts/${resourceType}.context.jsonld`
-    // return `https://fhircat.org/fhir/contexts/r5/${resourceType}.context.jsonld`
-    // return `https://raw.githubusercontent.com/fhircat/jsonld_context_files/master/contextFiles/${resourceType}.context.jsonld`;
+    return this.jsonLdConfig.contextUrl(resourceType);
   }
 
   fromFhirValue(value) {
@@ -92,11 +108,12 @@ class FhirR5Preprocessor {
   }
 
   valueOf (v) {
-    if (this.opts.axes.h) { return v; }
+    if (this.opts.axes.h || typeof v !== 'object') { return v; } // R5's toFhirValue leaves scalars as they are
     return v['@value'];
   }
 
   processFhirObject(fhirObj, schemaObject, resourceType, inside = false, injectTypeArc = false) {
+    const fullUrl = typeof fhirObj.fullUrl === 'string' ? fhirObj.fullUrl : null; // before it's turned into a value below
     for (let key in fhirObj) {
       let value = fhirObj[key];
       if (key.startsWith('@')) {
@@ -108,7 +125,9 @@ class FhirR5Preprocessor {
         }
       } else if (key === 'contained') {
         value.forEach(contained => this.processAbstractReference(contained, schemaObject, resourceType, inside));
-      } else if (key === 'resource' /* TODO: make sure in a Bundle.entry? */) {
+      } else if (key === 'resource' && fullUrl !== null) { // Bundle.entry
+        this.processBundleEntryResource(value, fullUrl, schemaObject, resourceType);
+      } else if (key === 'resource') {
         this.processAbstractReference(value, schemaObject, resourceType, inside);
       } else {
         if (injectTypeArc) {
@@ -120,7 +139,8 @@ class FhirR5Preprocessor {
         } else if (typeof value === 'object') {
           fhirObj[key] = this.processFhirObject(value, nestObject, nestType, true, nestInjectTypeArc);
         } else if (key === 'id') {
-          fhirObj['@id'] = (inside && !value.startsWith('#') ? '#' : resourceType + '/') + value
+          if (!('@id' in fhirObj)) // i.e. not a Bundle.entry.resource
+            fhirObj['@id'] = (inside && !value.startsWith('#') ? '#' : resourceType + '/') + value
           fhirObj.id = this.toFhirValue(fhirObj.id, nestObject, nestType)
         } else if (key === 'reference') {
           if (!('link' in fhirObj)) {
@@ -145,7 +165,33 @@ class FhirR5Preprocessor {
     const shapeForContained = this.shexj.shapes.find(se => se.id === Prefixes.fhirshex + containedType);
     if (!shapeForContained)
       throw Error(`no ShEx shape found for ${containedType}`);
-    this.processFhirObject(contained, shapeForContained, containedType, true, false);
+    this.processFhirObject(contained, shapeForContained.shapeExpr, containedType, true, false);
+  }
+
+  /**
+   * Bundle.entry.resources are tree roots identified by their fullUrl, e.g. "urn:uuid:..." in a transaction. Relative
+   * references in them resolve against a RESTful fullUrl, see resolveInBundle.
+   */
+  processBundleEntryResource (resource, fullUrl, schemaObject, resourceType) {
+    resource['@id'] = fullUrl;
+    resource['nodeRole'] = 'fhir:treeRoot';
+    const outerFullUrl = this.fullUrl;
+    this.fullUrl = fullUrl;
+    try {
+      this.processAbstractReference(resource, schemaObject, resourceType, true);
+    } finally {
+      this.fullUrl = outerFullUrl;
+    }
+  }
+
+  /**
+   * IRI a relative reference, e.g. "Patient/347", has in a Bundle.entry.resource with a RESTful fullUrl, e.g.
+   * "https://example.com/base/Patient/347" in "https://example.com/base/Observation/1"; otherwise null.
+   */
+  resolveInBundle (reference) {
+    return this.fullUrl !== null && RESTFUL_URL.test(this.fullUrl) && !reference.startsWith('#')
+      ? new URL('../' + reference, this.fullUrl).href
+      : null;
   }
 
   lookupNestedObject (schemaObject, resourceType, key) {
@@ -270,9 +316,9 @@ class FhirR5Preprocessor {
 
   genFhirReference(fhirObj) {
     let typ, link
-    if (!fhirObj.reference.includes('://') && !fhirObj.reference.startsWith('/')) {
+    if (!ABSOLUTE_IRI.test(fhirObj.reference) && !fhirObj.reference.startsWith('/')) {
       typ = 'type' in fhirObj ? fhirObj.type : fhirObj.reference.split('/', 1)[0]
-      link = '../' + fhirObj.reference
+      link = this.resolveInBundle(fhirObj.reference) || '../' + fhirObj.reference
     } else {
       link = fhirObj.reference;
       typ = fhirObj.type
@@ -323,10 +369,8 @@ class FhirR4Preprocessor extends FhirR5Preprocessor {
     return fhirObj;
   }
 
-  getFhirContextUrl(resourceType) {
-    return `https://fhircat.org/fhir-r4/original/contexts/${resourceType}.context.jsonld`
-    // return `https://fhircat.org/fhir/contexts/r5/${resourceType}.context.jsonld`
-    // return `https://raw.githubusercontent.com/fhircat/jsonld_context_files/master/contextFiles/${resourceType}.context.jsonld`;
+  defaultJsonLdConfig () {
+    return FhirJsonLdConfig.R4;
   }
 }
 
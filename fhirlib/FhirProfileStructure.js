@@ -1,57 +1,162 @@
-/*
- obsolete - enter/element/exit actions may be handy later but feel free to delete.
+const {FhirRdfModelGenerator, ModelVisitor} = require('./FhirRdfModelGenerator');
+const {parseAxes} = require('./Axes');
+
+/**
+ * One way to represent an element: a type and the property and predicate it gets with that type.
+ * Choice elements like Observation.value[x] have one per type; with the "v" axis, each has its own curried property
+ * and predicate, e.g. valueQuantity and fhir:Observation.valueQuantity.
+ */
+class ContentChoice {
+  constructor (property, predicate, type, datatype) {
+    this.property = property;   // JSON property, e.g. "valueQuantity"
+    this.predicate = predicate; // RDF predicate, e.g. "http://hl7.org/fhir/Observation.valueQuantity"
+    this.type = type;           // FHIR type, e.g. "Quantity", "BackboneElement" or a logical model's URL
+    this.datatype = datatype;   // NodeConstraint for scalars (e.g. string.value), else null
+  }
+}
+
+/**
+ * A node in a content model tree, e.g.:
+ *   {
+ *     id: "Observation.component", property: "component", predicate: "http://hl7.org/fhir/Observation.component",
+ *     min: 0, max: "*", sliceName: null, binding: null, definedIn: "Observation",
+ *     choices: [{property: "component", predicate: "http://hl7.org/fhir/Observation.component", type: "BackboneElement", datatype: null}],
+ *     children: [{id: "BackboneElement.modifierExtension", ...}, {id: "Observation.component.code", ...}, ...]
+ *   }
  */
+class ContentNode {
+  constructor (id, property, predicate, min, max, choices, binding, sliceName, definedIn, children = null) {
+    this.id = id;                 // element id
+    this.property = property;     // un-curried property name, e.g. "value" for Observation.value[x]
+    this.predicate = predicate;   // RDF predicate shared by all choices, else null (see choices)
+    this.min = min;               // cardinality as in the ElementDefinition, e.g. 0 and "*"
+    this.max = max;
+    this.choices = choices;       // [ContentChoice]
+    this.binding = binding;       // ElementDefinition.binding, e.g. {strength: "required", valueSet: "..."}, or null
+    this.sliceName = sliceName;   // profile slice, e.g. "systolic", or null
+    this.definedIn = definedIn;   // id of the StructureDefinition defining this element, e.g. "BackboneElement"
+    this.children = children;     // [ContentNode] for nested structures (BackboneElements), else null
+  }
+
+  get isChoice () {
+    return this.choices.length > 1;
+  }
 
-const {FhirRdfModelGenerator, PropertyMapping, ModelVisitor} = require('./FhirRdfModelGenerator');
+  get isNested () {
+    return this.children !== null;
+  }
+}
 
 /**
- * produce a FHIR content model of RdfPropertyMappings collected in contentModels, e.g.:
- *   [
- *     {
- *       "propertyMapping": {
- *         "element": { "id": "Resource.id", "path": "Resource.id", ... },
- *         "property": "id",
- *         "predicate": "http://hl7.org/fhir/Resource.id",
- *         "type": "string.context.jsonld"
- *       }
- *     },
- *     {
- *       "propertyMapping": {...},
- *       "contentModel": [
- *         { "propertyMapping": {...} }
- *         ...
- *       ]
- *     },
- *     ...
- *   ]
+ * Produce the content model of a StructureDefinition as a tree of ContentNodes, using the same walk
+ * (FhirRdfModelGenerator) and config (axes, logicalNamespace) as the generators, e.g. to build documentation tables
+ * and mapping spreadsheets.
  */
 class FhirProfileStructure extends ModelVisitor {
 
-    constructor(resources, datatypes, valuesets) {
-        super(resources, datatypes, valuesets);
-    }
+  /**
+   * @param definitionLoader DefinitionLoader for the StructureDefinitions and their bases.
+   * @param opts FhirRdfModelGenerator opts, e.g. {axes: 'RDVch', error: e => ...}; inherited: false omits elements
+   *   inherited from base definitions.
+   */
+  constructor (definitionLoader, opts = {}) {
+    super(definitionLoader);
+    this.opts = Object.assign({}, opts, {axes: parseAxes(opts.axes)});
+  }
 
-    async walk (target, config) {
-        this.ret = [[]];
-        const modelGenerator = new FhirRdfModelGenerator(this.resources, this.datatypes, this.valuesets);
-        await modelGenerator.visitResource(target, this, config);
-        return this.ret[0];
-    }
+  /**
+   * @param target a StructureDefinition or its name, e.g. "Observation".
+   * @returns {Promise<ContentNode[]>} the content model, starting with inherited elements unless opts.inherited === false.
+   */
+  async walk (target, config = this.opts) {
+    const resourceDef = typeof target === 'string'
+          ? await this.definitionLoader.getStructureDefinitionByName(target)
+          : target;
+    if (!resourceDef)
+      throw new Error(`StructureDefinition ${target} not found`);
 
-    enter (propertyMapping) {
-        const contentModel = []
-        this.ret[0].push({propertyMappings: [propertyMapping], contentModel});
-        this.ret.unshift(contentModel);
-    }
+    const modelGenerator = new FhirRdfModelGenerator(this.definitionLoader, this.opts);
+    const own = await this.walkOwn(resourceDef, modelGenerator, config);
+    if (this.opts.inherited === false
+        || FhirRdfModelGenerator.isConstraint(resourceDef) // snapshots include inherited elements
+        || !("baseDefinition" in resourceDef))
+      return own;
 
-    element (propertyMappings) {
-        this.ret[0].push({propertyMappings});
-    }
+    const baseDef = await modelGenerator.getBaseDefinition(resourceDef);
+    if (!baseDef)
+      return own;
+    const overridden = (await modelGenerator.getContentModel(resourceDef, config)).overrides().map(pMap => pMap.element.id);
+    const inherited = await this.walk(baseDef, config);
+    return inherited.filter(node => overridden.indexOf(node.id) === -1).concat(own);
+  }
+
+  async walkOwn (resourceDef, modelGenerator, config) {
+    this.ret = [[]];
+    await modelGenerator.visitResource(resourceDef, this, config);
+    return this.ret[0];
+  }
+
+  async enter (propertyMapping, config) {
+    const node = FhirProfileStructure.makeNode([propertyMapping]);
+    node.children = [];
+    this.ret[0].push(node);
+    this.ret.unshift(node.children);
+  }
 
-    exit (propertyMappings) {
-        this.ret.shift();
+  async element (propertyMappings, config) {
+    this.ret[0].push(FhirProfileStructure.makeNode(propertyMappings));
+  }
+
+  async exit (propertyMapping, config) {
+    this.ret.shift();
+  }
+
+  static makeNode (propertyMappings) {
+    const first = propertyMappings[0];
+    const elt = first.element;
+    // Profile snapshot elements are defined by the profile; others by the definition their id starts with.
+    const definedIn = first.restrictions ? first.restrictions.profile : elt.id.split('.')[0];
+    const predicates = propertyMappings.map(pMap => pMap.predicate);
+    return new ContentNode(
+      elt.id,
+      FhirRdfModelGenerator.elementName(first),
+      predicates.every(p => p === predicates[0]) ? predicates[0] : null,
+      elt.min,
+      elt.max,
+      propertyMappings.map(pMap => FhirProfileStructure.makeChoice(pMap)),
+      first.binding,
+      first.restrictions ? first.restrictions.sliceName : null,
+      definedIn
+    );
+  }
+
+  static makeChoice (propertyMapping) {
+    if (propertyMapping.isScalar) {
+      const code = propertyMapping.element.type[0].code;
+      return new ContentChoice(
+        propertyMapping.property,
+        propertyMapping.predicate,
+        code.startsWith(FhirRdfModelGenerator.FHIRPATH_ROOT) ? code.substr(FhirRdfModelGenerator.FHIRPATH_ROOT.length) : code,
+        propertyMapping.type
+      );
     }
+    const type = propertyMapping.type.startsWith(FhirRdfModelGenerator.STRUCTURE_DEFN_ROOT)
+          ? propertyMapping.type.substr(FhirRdfModelGenerator.STRUCTURE_DEFN_ROOT.length) // nested structures
+          : propertyMapping.type;
+    return new ContentChoice(propertyMapping.property, propertyMapping.predicate, type, null);
+  }
+
+  /**
+   * Flatten a content model tree into rows, e.g. for a table.
+   * @returns {{depth: number, node: ContentNode}[]} nodes in document order.
+   */
+  static rows (nodes, depth = 0) {
+    return nodes.reduce(
+      (acc, node) => acc.concat([{depth, node}], node.children ? FhirProfileStructure.rows(node.children, depth + 1) : []),
+      []
+    );
+  }
 };
 
 if (typeof module !== 'undefined')
-    module.exports = {FhirProfileStructure};
+  module.exports = {FhirProfileStructure, ContentNode, ContentChoice};
@@ -8,9 +8,20 @@ const DatatypeTypes = [
 
 /**
  * Used in the visitor API to communicate JSON properties definitions mapped to RDF.
+ * `restrictions` is null except when walking a profile (derivation=constraint) snapshot, where it is e.g.:
+ *   {
+ *     profile: "us-core-blood-pressure",     // id of the constraining StructureDefinition
+ *     sliceName: "systolic",                 // or null
+ *     min: 1, max: "1",                      // cardinality in the profile
+ *     baseMin: 0, baseMax: "*",              // cardinality in the base definition
+ *     fixed: {type: "Uri", value: "http://loinc.org"}, // from e.g. fixedUri, or null
+ *     pattern: {type: "CodeableConcept", value: {...}}, // from e.g. patternCodeableConcept, or null
+ *     nested: [{id: "Observation.code.coding.system", min, max, fixed, pattern}] // constraints inside datatypes
+ *   }
+ * `invariants` are the element's FHIRPath constraints (see FhirRdfModelGenerator.elementInvariants).
  */
 class PropertyMapping {
-  constructor(isScalar, element, property, predicate, type, binding, specializes) {
+  constructor(isScalar, element, property, predicate, type, binding, specializes, restrictions = null, invariants = []) {
     this.isScalar = isScalar;
     this.element = element;
     this.property = property;
@@ -18,6 +29,21 @@ class PropertyMapping {
     this.type = type;
     this.binding = binding;
     this.specializes = specializes;
+    this.restrictions = restrictions;
+    this.invariants = invariants;
+  }
+}
+
+/**
+ * A FHIRPath constraint from ElementDefinition.constraint, e.g. obs-6.
+ */
+class Invariant {
+  constructor (key, severity, human, expression, source) {
+    this.key = key;               // e.g. "obs-6"
+    this.severity = severity;     // "error" or "warning"
+    this.human = human;           // e.g. "dataAbsentReason SHALL only be present if Observation.value[x] is not present"
+    this.expression = expression; // FHIRPath, e.g. "dataAbsentReason.empty() or value.empty()"
+    this.source = source;         // canonical of the defining StructureDefinition, or null
   }
 }
 
@@ -31,10 +57,84 @@ class ModelVisitor {
   async exit (propertyMapping, config) { throw new Error(`ModelVistor.exit(${propertyMapping}) must be overloaded`); }
 }
 
+/**
+ * The content model of a StructureDefinition: the visitor calls it produces and the content model of its base.
+ * FhirRdfModelGenerator.getContentModel() builds these so visitors can see what an element inherits or overrides.
+ */
+class ContentModel {
+  constructor (resourceDef, base) {
+    this.resourceDef = resourceDef;
+    this.base = base; // ContentModel or null
+    this.events = []; // [{type: 'enter'|'element'|'exit', propertyMappings: [PropertyMapping]}]
+  }
+
+  /**
+   * Top-level properties defined by this StructureDefinition, each a list of disjoint PropertyMappings.
+   * Nested structures (BackboneElements) appear as their entering PropertyMapping.
+   */
+  ownElements () {
+    let depth = 0;
+    return this.events.reduce((acc, event) => {
+      if (event.type === 'exit') {
+        --depth;
+        return acc;
+      }
+      const ret = depth === 0 ? acc.concat([event.propertyMappings]) : acc;
+      if (event.type === 'enter')
+        ++depth;
+      return ret;
+    }, []);
+  }
+
+  /**
+   * PropertyMappings from ancestors which this StructureDefinition overrides.
+   */
+  overrides () {
+    return this.ownElements().reduce(
+      (acc, disjuncts) => acc.concat(...disjuncts.map(pMap => pMap.specializes)),
+      []
+    );
+  }
+
+  /**
+   * The merged model: inherited properties (minus overridden ones) followed by those defined here.
+   */
+  merged () {
+    const own = this.ownElements();
+    const overridden = this.overrides();
+    const inherited = this.base ? this.base.merged() : [];
+    return inherited
+      .filter(disjuncts => !disjuncts.find(pMap => overridden.indexOf(pMap) !== -1))
+      .concat(own);
+  }
+
+  /**
+   * Ancestor ContentModels, nearest first.
+   */
+  ancestors () {
+    return this.base ? [this.base].concat(this.base.ancestors()) : [];
+  }
+}
+
+/**
+ * ModelVisitor which records a ContentModel.
+ */
+class ContentModelRecorder extends ModelVisitor {
+  constructor (definitionLoader, contentModel) {
+    super(definitionLoader);
+    this.contentModel = contentModel;
+  }
+
+  async enter (propertyMapping, config) { this.contentModel.events.push({type: 'enter', propertyMappings: [propertyMapping]}); }
+  async element (propertyMappings, config) { this.contentModel.events.push({type: 'element', propertyMappings}); }
+  async exit (propertyMapping, config) { this.contentModel.events.push({type: 'exit', propertyMappings: [propertyMapping]}); }
+}
+
 class FhirResourceDefinitionError extends StructureError {
-  constructor (msg, resourceDef) {
+  constructor (msg, resourceDef, code = 'resource-definition') {
     super(`Error in ${resourceDef.id}: ${msg}`);
     this.resourceDef = resourceDef;
+    this.code = code;
   }
 
   logMessage (log) {
@@ -43,16 +143,19 @@ class FhirResourceDefinitionError extends StructureError {
 }
 
 class FhirElementDefinitionError extends StructureError {
-  constructor (msg, resourceDef, elt) {
-    const ordinal = resourceDef.differential.element.indexOf(elt);
-    super(`Error in ${resourceDef.id} differential.element[${ordinal}] ${elt.id}: ${msg}`);
+  constructor (msg, resourceDef, elt, code = 'element-definition') {
+    const list = FhirRdfModelGenerator.isConstraint(resourceDef) ? 'snapshot' : 'differential';
+    const ordinal = resourceDef[list].element.indexOf(elt);
+    super(`Error in ${resourceDef.id} ${list}.element[${ordinal}] ${elt.id}: ${msg}`);
     this.resourceDef = resourceDef;
     this.elt = elt;
+    this.list = list;
     this.ordinal = ordinal;
+    this.code = code;
   }
 
   logMessage (log) {
-    log(`Bad element in resource differential.element[${this.ordinal}]`, this.resourceDef);
+    log(`Bad element in resource ${this.list}.element[${this.ordinal}]`, this.resourceDef);
   }
 }
 
@@ -103,12 +206,11 @@ class FhirRdfModelGenerator {
   };
 
   // fault-tolerance - construct name with "UNKNOWN" in it if missing from fhirScalarTypeToXsd
-  static synthesizeScalarTypeName (resourceDef, elt, typeString) {
+  static synthesizeScalarTypeName (resourceDef, elt, typeString, warn = e => console.warn(e.stack)) {
     if (typeString in FhirRdfModelGenerator.fhirScalarTypeToXsd)
       return FhirRdfModelGenerator.fhirScalarTypeToXsd[typeString];
 
-    const e = new FhirElementDefinitionError(`unknown mapping to XSD for target: ${resourceDef.id}, id: ${elt.id}, code: ${typeString}`, resourceDef, elt);
-    console.warn(e.stack);
+    warn(new FhirElementDefinitionError(`unknown mapping to XSD for target: ${resourceDef.id}, id: ${elt.id}, code: ${typeString}`, resourceDef, elt, 'unknown-xsd-mapping'));
     return `UNKNOWN-${resourceDef.id}-${elt.id}-${typeString}`;
   }
 
@@ -121,16 +223,31 @@ class FhirRdfModelGenerator {
     this.definitionLoader = definitionLoader;
     this.stack = [];
     this.opts = opts;
+    this.contentModels = new Map(); // ContentModels by StructureDefinition id
   }
 
   myError (error) {
+    if ('diagnostics' in this.opts)
+      this.opts.diagnostics.report(error);
     if ('error' in this.opts) {
       this.opts.error(error);
-    } else {
+    } else if (!('diagnostics' in this.opts)) {
       throw error;
     }
   }
 
+  /**
+   * Report a problem which doesn't stop the walk, to opts.diagnostics, opts.warn or, unless opts.quiet, stderr.
+   */
+  warn (error) {
+    if ('diagnostics' in this.opts)
+      this.opts.diagnostics.report(error, 'warning');
+    else if ('warn' in this.opts)
+      this.opts.warn(error.message);
+    else if (!this.opts.quiet)
+      console.warn(error.message);
+  }
+
   /**
    * Recursive function to generate a content model for a FHIR Resource
    */
@@ -140,6 +257,71 @@ class FhirRdfModelGenerator {
     this.stack = [];
   }
 
+  /**
+   * Get the (cached) ContentModel for resourceDef, including the ContentModels of its bases.
+   * This walks the definitions without calling any visitor other than a ContentModelRecorder.
+   */
+  async getContentModel (resourceDef, config) {
+    if (!this.contentModels.has(resourceDef.id)) {
+      const base = await this.getBaseContentModel(resourceDef, config);
+      const contentModel = new ContentModel(resourceDef, base);
+      const walker = new FhirRdfModelGenerator(this.definitionLoader, this.opts);
+      walker.contentModels = this.contentModels; // share the cache
+      await walker.visitResource(resourceDef, new ContentModelRecorder(this.definitionLoader, contentModel), config);
+      this.contentModels.set(resourceDef.id, contentModel);
+    }
+    return this.contentModels.get(resourceDef.id);
+  }
+
+  async getBaseContentModel (resourceDef, config) {
+    if (FhirRdfModelGenerator.isConstraint(resourceDef) // snapshots already include everything they inherit
+        || !("baseDefinition" in resourceDef)
+        || !(resourceDef.baseDefinition.startsWith(FhirRdfModelGenerator.STRUCTURE_DEFN_ROOT) || FhirRdfModelGenerator.isLogical(resourceDef)))
+      return null;
+    const baseDef = await this.getBaseDefinition(resourceDef);
+    return baseDef
+      ? await this.getContentModel(baseDef, config)
+      : null;
+  }
+
+  /**
+   * The StructureDefinition resourceDef.baseDefinition refers to.
+   * Core definitions are found by name, others (e.g. a logical model's base model) by canonical URL.
+   */
+  async getBaseDefinition (resourceDef) {
+    const baseDefinition = resourceDef.baseDefinition;
+    return baseDefinition.startsWith(FhirRdfModelGenerator.STRUCTURE_DEFN_ROOT)
+      ? await this.definitionLoader.getStructureDefinitionByName(baseDefinition.substr(FhirRdfModelGenerator.STRUCTURE_DEFN_ROOT.length))
+      : await this.definitionLoader.getDefinitionByCanonical(baseDefinition);
+  }
+
+  /**
+   * The NodeConstraint (or ShapeOr of NodeConstraints) of a primitive type's fhir:v, e.g. xsd:anyURI for "uri", or
+   * null if typeName isn't a primitive type. Hoisted scalars (axes.h) are literals with these datatypes.
+   */
+  async primitiveValueType (typeName, config) {
+    if (FhirRdfModelGenerator.isLogicalTypeCode(typeName))
+      return null;
+    const resourceDef = await this.definitionLoader.getStructureDefinitionByName(typeName);
+    if (!resourceDef || resourceDef.kind !== 'primitive-type')
+      return null;
+    const value = (await this.getContentModel(resourceDef, config)).merged()
+          .reduce((acc, disjuncts) => acc.concat(disjuncts), [])
+          .find(pMap => pMap.isScalar && pMap.predicate === FhirRdfModelGenerator.NS_fhir + 'v');
+    return value ? value.type : null;
+  }
+
+  /**
+   * xsd datatypes of a scalar PropertyMapping's type, a NodeConstraint or ShapeOr of NodeConstraints.
+   */
+  static datatypes (nodeConstraint) {
+    if (typeof nodeConstraint !== 'object') // synthesizeScalarTypeName couldn't map it
+      return [];
+    return nodeConstraint.type === 'ShapeOr'
+      ? nodeConstraint.shapeExprs.map(nc => nc.datatype).filter(dt => dt !== undefined)
+      : 'datatype' in nodeConstraint ? [nodeConstraint.datatype] : [];
+  }
+
   async visitElementByName (target, visitor, config) {
     const resourceDef = await this.definitionLoader.getStructureDefinitionByName(target);
     if (resourceDef === null) {
@@ -150,51 +332,70 @@ class FhirRdfModelGenerator {
   }
 
   async visitElement (resourceDef, visitor, config) {
-    if ("baseDefinition" in resourceDef && !(resourceDef.baseDefinition.startsWith(FhirRdfModelGenerator.STRUCTURE_DEFN_ROOT))) {
-      this.myError(new FhirResourceDefinitionError(`Don't know where to look for base structure ${resourceDef.baseDefinition}`, resourceDef));
+    // Profiles (derivation=constraint) are walked by their snapshot, which includes all inherited elements.
+    const isConstraint = FhirRdfModelGenerator.isConstraint(resourceDef);
+    if (isConstraint && !("snapshot" in resourceDef)) {
+      this.myError(new FhirResourceDefinitionError(`Profile has no snapshot`, resourceDef, 'no-snapshot'));
       return [];
     }
 
-    let baseElts = [];
-    if (false && "baseDefinition" in resourceDef) {
-      const recursionTarget = resourceDef.baseDefinition.substr(FhirRdfModelGenerator.STRUCTURE_DEFN_ROOT.length);
-      if (recursionTarget !== 'base')
-        baseElts = await this.visitElementByName(recursionTarget, visitor, config); // Get content model from base type
+    if (!isConstraint && "baseDefinition" in resourceDef && !(resourceDef.baseDefinition.startsWith(FhirRdfModelGenerator.STRUCTURE_DEFN_ROOT))
+        && !(FhirRdfModelGenerator.isLogical(resourceDef) && await this.getBaseDefinition(resourceDef))) {
+      this.myError(new FhirResourceDefinitionError(`Don't know where to look for base structure ${resourceDef.baseDefinition}`, resourceDef, 'unknown-base'));
+      return [];
     }
 
-    // Walk differential elements
-    return await resourceDef.differential.element.slice(1).reduce(async (visitedEltsP, elt) => {
+    // Get inherited content model from base type so we can tell which elements override it.
+    const base = await this.getBaseContentModel(resourceDef, config);
+    const baseElts = base ? base.merged() : [];
+
+    const {walk, nested} = isConstraint
+          ? FhirRdfModelGenerator.partitionSnapshot(resourceDef.snapshot.element)
+          : {walk: resourceDef.differential.element.slice(1), nested: new Map()};
+    const rootName = isConstraint ? resourceDef.type : resourceDef.id;
+
+    // Walk differential (or snapshot) elements
+    return await walk.reduce(async (visitedEltsP, elt) => {
       const visitedElts = await visitedEltsP;
-      if (elt.id !== elt.path) { // test assumptions
-        this.myError(new FhirElementDefinitionError(`id !== path in ${resourceDef.id} ${elt.id}`, resourceDef, elt));
+      if (!isConstraint && elt.id !== elt.path) { // test assumptions
+        this.myError(new FhirElementDefinitionError(`id !== path in ${resourceDef.id} ${elt.id}`, resourceDef, elt, 'id-not-path'));
         return visitedElts;
       }
 
       // Early return for the first entry in a Resource's elements
       if (!(("type" in elt) ^ ("contentReference" in elt))) { // 1st elt points to itself or something like that. Anyways, it doesn't have a type.
-        this.myError(new FhirElementDefinitionError(`expected one of (type, contentReference)`, resourceDef, elt));
+        this.myError(new FhirElementDefinitionError(`expected one of (type, contentReference)`, resourceDef, elt, 'no-type'));
         return visitedElts;
       }
 
       // Calculate path components
       const path = elt.id.split('.');
       const resourceName = path.shift();
-      if (resourceName !== resourceDef.id)
-        console.warn(`property id ${elt.id} does not start with target \"${resourceDef.id}\" in ${resourceDef.id} structure def`);
-      let rawName = path.pop();
+      if (resourceName !== rootName)
+        this.warn(new FhirElementDefinitionError(`property id ${elt.id} does not start with target \"${rootName}\" in ${resourceDef.id} structure def`, resourceDef, elt, 'id-not-in-target'));
+      const [rawName, sliceName] = path.pop().split(':');
+
+      // Predicates come from where the element was defined, e.g. Observation.id -> Resource.id
+      const predicatePath = isConstraint && "base" in elt ? elt.base.path.split('.') : [resourceName].concat(path).concat([rawName]);
+      const predicateRoot = predicatePath.shift();
+      predicatePath.pop();
 
       // Handle curried datatype names
-      if ("type" in elt && rawName.endsWith("[x]") ^ elt.type.length > 1) { // assume "...[x]" only applies if you have multiple types
-        this.myError(new Error(`Not sure whether ${resourceDef.id}.${elt.id} is a curried property or not: '${JSON.stringify(typeEntry)}'`));
+      if (!isConstraint && "type" in elt && rawName.endsWith("[x]") ^ elt.type.length > 1) { // assume "...[x]" only applies if you have multiple types
+        this.myError(new FhirElementDefinitionError(`Not sure whether ${resourceDef.id}.${elt.id} is a curried property or not: '${JSON.stringify(elt.type)}'`, resourceDef, elt, 'ambiguous-choice'));
         return visitedElts;
       }
-      const [curried, name] = "type" in elt && elt.type.length > 1
+      const [curried, name] = "type" in elt && (isConstraint ? rawName.endsWith("[x]") : elt.type.length > 1)
             ? [true, rawName.substr(0, rawName.length - "[x]".length)]
             : [false, rawName];
+      const restrictions = isConstraint
+            ? FhirRdfModelGenerator.profileRestrictions(resourceDef, elt, sliceName, nested.get(elt.id) || [])
+            : null;
+      const invariants = FhirRdfModelGenerator.elementInvariants(elt);
 
       // Trim down any nested properties we've passed as evidenced by them not having a corresponding name in the path.
       for (let i = this.stack.length - 1; i >= 0; --i) {
-        if (this.stack[i].property !== path[i]) {
+        if (FhirRdfModelGenerator.pathSegment(this.stack[i]) !== path[i]) {
           // `i` has the index of the first Nesting not consistent with `path`.
           for (let n of this.stack.slice(i).reverse()) {await visitor.exit(n, config);} // call exit on each extra element in the stack
           this.stack = this.stack.slice(0, i); // trim down the stack
@@ -204,13 +405,13 @@ class FhirRdfModelGenerator {
 
       // aggregate element's types into a disjunction
       const disjointPMaps = "contentReference" in elt
-            ? [new PropertyMapping(false, elt, name, this.makePredicate(resourceDef, path, resourceName, name), elt.contentReference.slice(1), null, [])]
+            ? [new PropertyMapping(false, elt, name, this.makePredicate(resourceDef, predicatePath, predicateRoot, name), elt.contentReference.slice(elt.contentReference.indexOf('#') + 1), null, [], restrictions, invariants)]
             : await elt.type.reduce(async (accP, typeEntry, idx) => {
               const acc = await accP;
               if (typeof typeEntry !== "object"
                   || !("code" in typeEntry)
                   || typeof typeEntry.code !== "string") {
-                this.myError(new FhirElementDefinitionError(`${idx}th type entry not recognized '${JSON.stringify(typeEntry)}' in ${JSON.stringify(elt.id)}`, resourceDef, elt));
+                this.myError(new FhirElementDefinitionError(`${idx}th type entry not recognized '${JSON.stringify(typeEntry)}' in ${JSON.stringify(elt.id)}`, resourceDef, elt, 'bad-type-entry'));
                 return visitedElts;
               }
 
@@ -220,22 +421,26 @@ class FhirRdfModelGenerator {
                     ? name + typeCode.substr(0, 1).toUpperCase() + typeCode.substr(1)
                     : name;
               // Elements and BackboneElements indicate a nested structure.
-              const predicate = this.makePredicate(resourceDef, path, resourceName, curriedName);
+              const predicate = this.makePredicate(resourceDef, predicatePath, predicateRoot, curriedName);
 
               if (FhirRdfModelGenerator.NestedStructureTypeCodes.indexOf(typeCode) !== -1) {
                 if (elt.type.length > 1) {
-                  this.myError(new FhirElementDefinitionError(`expected exactly one type for nested structure '${elt.id}'`, resourceDef));
+                  this.myError(new FhirElementDefinitionError(`expected exactly one type for nested structure '${elt.id}'`, resourceDef, elt, 'nested-choice'));
                 }
 
                 // Construct a Nesting for this property and visitor.enter it.
-                const n = new PropertyMapping(false, elt, curriedName, predicate, FhirRdfModelGenerator.STRUCTURE_DEFN_ROOT + typeCode, null, []);
+                const n = new PropertyMapping(false, elt, curriedName, predicate, FhirRdfModelGenerator.STRUCTURE_DEFN_ROOT + typeCode, null, [], restrictions, invariants);
                 this.stack.push(n);
                 await visitor.enter(n, config);
 
+                // A snapshot already lists the nested structure's inherited elements (id, extension, ...).
+                if (isConstraint)
+                  return [];
+
                 // if this element extends another, process the base.
                 // This is probably always true BackboneElements extend DomainResource and Elements extend BackboneType or Datatype.
                 if (elt.id === resourceDef.id) {
-                  this.myError(new FhirElementDefinitionError(`Resource root element should not have a type and so shouldn't get here. got type '${elt.type}'`, resourceDef, elt));
+                  this.myError(new FhirElementDefinitionError(`Resource root element should not have a type and so shouldn't get here. got type '${elt.type}'`, resourceDef, elt, 'typed-root'));
                 }
                 const nestedTarget = typeCode;
 
@@ -257,16 +462,16 @@ class FhirRdfModelGenerator {
                       || !!propertyOverride;
                 const specializes = path.length > 0
                       ? []
-                      : baseElts.find(disjuncts => disjuncts.find(pMap => pMap.property === curriedName)) || [];
+                      : baseElts.find(disjuncts => disjuncts.find(pMap => FhirRdfModelGenerator.elementName(pMap) === name)) || [];
 
                 if (isScalar) {
                   if (elt.type.length > 1) {
-                    this.myError(new FhirElementDefinitionError(`expected exactly one type for scalar '${elt.id}'`, resourceDef, elt));
+                    this.myError(new FhirElementDefinitionError(`expected exactly one type for scalar '${elt.id}'`, resourceDef, elt, 'scalar-choice'));
                   }
 
                   // Calculate XML Schema datatype
                   const nodeConstraint = (propertyOverride ? propertyOverride.nodeConstraint : null)
-                        || FhirRdfModelGenerator.synthesizeScalarTypeName(resourceDef, elt, trimmedTypeCode);
+                        || FhirRdfModelGenerator.synthesizeScalarTypeName(resourceDef, elt, trimmedTypeCode, e => this.warn(e));
 
                   // A propertyOverride with normalPredicate === true says to use the calculated predicate, e.g. `Narrative.div`.
                   const overridePredicate = propertyOverride && propertyOverride.normalPredicate
@@ -274,14 +479,14 @@ class FhirRdfModelGenerator {
                   // otherwse construct from the bare curried name (e.g. string.value => value, integer64.value => value)
                         : FhirRdfModelGenerator.NS_fhir + 'v';
 
-                  const pMap = new PropertyMapping(true, elt, curriedName, overridePredicate, nodeConstraint, null, specializes);
+                  const pMap = new PropertyMapping(true, elt, curriedName, overridePredicate, nodeConstraint, null, specializes, restrictions, invariants);
                   return acc.concat([pMap]);
                 } else {
                   const binding = 'binding' in elt ? elt.binding : null;
                   const shapeLabel = isFhirPath
-                        ? FhirRdfModelGenerator.expectFhirType(resourceDef, elt, typeEntry)
+                        ? this.expectFhirType(resourceDef, elt, typeEntry)
                         : typeCode;
-                  const pMap = new PropertyMapping(false, elt, curriedName, predicate, shapeLabel, binding, specializes);
+                  const pMap = new PropertyMapping(false, elt, curriedName, predicate, shapeLabel, binding, specializes, restrictions, invariants);
                   return acc.concat([pMap]);
                 }
               }
@@ -293,13 +498,180 @@ class FhirRdfModelGenerator {
     }, Promise.resolve([]));
   }
 
+  /**
+   * Invariants an element adds, i.e. not those of its types, which apply wherever the type is used, or the ele-1
+   * every Element has.
+   */
+  static elementInvariants (elt) {
+    const typeDefinitions = ["Element", "BackboneElement"].concat((elt.type || []).map(t => t.code))
+          .map(code => FhirRdfModelGenerator.STRUCTURE_DEFN_ROOT + code);
+    return FhirRdfModelGenerator.invariants(elt)
+      .filter(invariant => typeDefinitions.indexOf(invariant.source) === -1);
+  }
+
+  /**
+   * Invariants on a StructureDefinition's root element, e.g. obs-6 on Observation.
+   * A profile's snapshot root includes those it inherits.
+   */
+  static rootInvariants (resourceDef) {
+    const elements = FhirRdfModelGenerator.isConstraint(resourceDef)
+          ? (resourceDef.snapshot || {element: []}).element
+          : resourceDef.differential.element;
+    return elements.length > 0 && elements[0].id.indexOf('.') === -1
+      ? FhirRdfModelGenerator.invariants(elements[0])
+      : [];
+  }
+
+  static invariants (elt) {
+    return (elt.constraint || []).map(c => new Invariant(c.key, c.severity, c.human, c.expression, c.source || null));
+  }
+
+  /**
+   * The un-curried property name of a PropertyMapping's element, e.g. "value" for Observation.value[x].
+   */
+  static elementName (propertyMapping) {
+    const id = propertyMapping.element.id;
+    return id.substr(id.lastIndexOf('.') + 1).split(':')[0].replace(/\[x\]$/, '');
+  }
+
+  static isConstraint (resourceDef) {
+    return resourceDef.derivation === 'constraint';
+  }
+
+  static isLogical (resourceDef) {
+    return resourceDef.kind === 'logical';
+  }
+
+  /**
+   * Logical models are referenced by canonical URL, e.g. a type code "http://example.org/fhir/StructureDefinition/Reading".
+   */
+  static isLogicalTypeCode (typeCode) {
+    return !!typeCode.match(/^[a-z][a-z0-9+.-]*:/i)
+      && !typeCode.startsWith(FhirRdfModelGenerator.FHIRPATH_ROOT)
+      && !typeCode.startsWith(FhirRdfModelGenerator.STRUCTURE_DEFN_ROOT);
+  }
+
+  /**
+   * Namespace for a logical model's predicates, types and JSON-LD contexts, from its canonical URL, e.g.
+   * "http://example.org/fhir/" for "http://example.org/fhir/StructureDefinition/BloodPressurePanelLM".
+   * opts.logicalNamespace overrides this with a namespace or a function from the canonical URL to a namespace.
+   */
+  logicalNamespace (canonical) {
+    const url = canonical.split('|')[0];
+    if (typeof this.opts.logicalNamespace === 'function')
+      return this.opts.logicalNamespace(url);
+    if (typeof this.opts.logicalNamespace === 'string')
+      return this.opts.logicalNamespace;
+    const sdIdx = url.lastIndexOf('/StructureDefinition/');
+    return sdIdx !== -1
+      ? url.substr(0, sdIdx + 1)
+      : url.substr(0, url.lastIndexOf('/') + 1);
+  }
+
+  /**
+   * The local name of a logical model's type, e.g. "BloodPressurePanelLM".
+   */
+  static logicalTypeName (canonical) {
+    const url = canonical.split('|')[0];
+    return url.substr(url.lastIndexOf('/') + 1);
+  }
+
+  /**
+   * The id segment a nested PropertyMapping occupies in its children's element ids, e.g. "component:systolic".
+   */
+  static pathSegment (propertyMapping) {
+    return propertyMapping.restrictions && propertyMapping.restrictions.sliceName
+      ? propertyMapping.property + ':' + propertyMapping.restrictions.sliceName
+      : propertyMapping.property;
+  }
+
+  /**
+   * Split a profile snapshot into elements to walk and constraints on their nested content.
+   * Elements are walked if their parent is the root or a nested structure (BackboneElement, Element).
+   * Others, e.g. Observation.code.coding.system or type slices like Observation.value[x]:valueQuantity,
+   * are indexed by the id of the closest walked ancestor.
+   * @returns {{walk: ElementDefinition[], nested: Map<string, ElementDefinition[]>}}
+   */
+  static partitionSnapshot (elements) {
+    const nestingIds = new Set([elements[0].id]);
+    const walkedIds = new Set();
+    const walk = [];
+    const nested = new Map();
+    elements.slice(1).forEach(elt => {
+      const parentId = elt.id.substr(0, elt.id.lastIndexOf('.'));
+      const [rawName, sliceName] = elt.id.substr(parentId.length + 1).split(':');
+      const isTypeSlice = !!sliceName && rawName.endsWith('[x]');
+      if (nestingIds.has(parentId) && !isTypeSlice) {
+        walk.push(elt);
+        walkedIds.add(elt.id);
+        if ((elt.type || []).length === 1 && FhirRdfModelGenerator.NestedStructureTypeCodes.indexOf(elt.type[0].code) !== -1)
+          nestingIds.add(elt.id);
+      } else {
+        let ancestor = elt.id;
+        while (ancestor.length > 0 && (ancestor === elt.id || !walkedIds.has(ancestor))) {
+          const lastDot = ancestor.lastIndexOf('.');
+          const lastColon = ancestor.lastIndexOf(':');
+          ancestor = ancestor.substr(0, Math.max(lastDot, lastColon, 0));
+        }
+        if (!nested.has(ancestor))
+          nested.set(ancestor, []);
+        nested.get(ancestor).push(elt);
+      }
+    });
+    return {walk, nested};
+  }
+
+  /**
+   * Collect the constraints a profile places on an element.
+   */
+  static profileRestrictions (resourceDef, elt, sliceName, nestedElts) {
+    return {
+      profile: resourceDef.id,
+      sliceName: sliceName || null,
+      min: elt.min,
+      max: elt.max,
+      baseMin: "base" in elt ? elt.base.min : undefined,
+      baseMax: "base" in elt ? elt.base.max : undefined,
+      fixed: FhirRdfModelGenerator.choiceValue(elt, 'fixed'),
+      pattern: FhirRdfModelGenerator.choiceValue(elt, 'pattern'),
+      nested: nestedElts.map(nestedElt => ({
+        id: nestedElt.id,
+        min: nestedElt.min,
+        max: nestedElt.max,
+        fixed: FhirRdfModelGenerator.choiceValue(nestedElt, 'fixed'),
+        pattern: FhirRdfModelGenerator.choiceValue(nestedElt, 'pattern'),
+      })),
+    };
+  }
+
+  /**
+   * Find a choice property like fixedUri or patternCodeableConcept.
+   * @returns {{type: string, value: *}|null} e.g. {type: "Uri", value: "http://loinc.org"}
+   */
+  static choiceValue (elt, prefix) {
+    const key = Object.keys(elt).find(k => k.startsWith(prefix) && k.length > prefix.length && k[prefix.length] === k[prefix.length].toUpperCase());
+    return key
+      ? {type: key.substr(prefix.length), value: elt[key]}
+      : null;
+  }
 
   makePredicate (resourceDef, path, resourceName, curriedName) {
+    // A logical model's elements, and a profile's elements which come from the logical model it constrains.
+    const logicalModel = FhirRdfModelGenerator.isLogical(resourceDef)
+          ? (FhirRdfModelGenerator.isConstraint(resourceDef) ? resourceDef.type : resourceDef.url)
+          : null;
+    if (logicalModel && (!FhirRdfModelGenerator.isConstraint(resourceDef) || resourceName === FhirRdfModelGenerator.logicalTypeName(logicalModel)))
+      return this.logicalNamespace(logicalModel) + (
+        this.opts.axes.r
+          ? [resourceName].concat(path).concat(curriedName).join('.')
+          : curriedName
+      );
     return FhirRdfModelGenerator.NS_fhir + // elt.id
       (
         DatatypeTypes.indexOf(resourceDef.baseDefinition) !== -1 || ([
           "Timing"
         ]).indexOf(resourceDef.id) !== -1
+          || (FhirRdfModelGenerator.isConstraint(resourceDef) && resourceDef.kind !== 'resource')
           ? (
             this.opts.axes.d
               ? [resourceName].concat(path).concat(curriedName).join('.')
@@ -312,10 +684,10 @@ class FhirRdfModelGenerator {
   }
 
 
-  static expectFhirType (resourceDef, elt, typeEntry) {
+  expectFhirType (resourceDef, elt, typeEntry) {
     const ft = (typeEntry.extension || []).find(ext => ext.url === FhirRdfModelGenerator.FhirTypeExtension);
     if (!ft) {
-      this.myError(FhirElementDefinitionError(`Expected ${elt.id} ${typeEntry.code} to have an <${FhirRdfModelGenerator.FhirTypeExtension}> extension`, resourceDef, elt));
+      this.myError(new FhirElementDefinitionError(`Expected ${elt.id} ${typeEntry.code} to have an <${FhirRdfModelGenerator.FhirTypeExtension}> extension`, resourceDef, elt, 'missing-fhir-type'));
       return 'UNKNOWN_FHIR_TYPE';
     }
     return ft.valueUrl || ft.valueUri; // latter is deprecated?
@@ -341,4 +713,4 @@ class FhirRdfModelGenerator {
 }
 
 if (typeof module !== 'undefined')
-  module.exports = {FhirRdfModelGenerator, FhirResourceDefinitionError, FhirElementDefinitionError, ModelVisitor, PropertyMapping, DatatypeTypes};
+  module.exports = {FhirRdfModelGenerator, FhirResourceDefinitionError, FhirElementDefinitionError, ModelVisitor, PropertyMapping, Invariant, ContentModel, DatatypeTypes};
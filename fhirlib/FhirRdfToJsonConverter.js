@@ -0,0 +1,334 @@
+/**
+ * Convert FHIR RDF (e.g. parsed by TurtleParser) back into FHIR JSON.
+ *
+ * This reverses the FhirPreprocessors + JSON-LD pipeline, using the ShExJ schema from FhirShExJGenerator
+ * to map predicates back to JSON property names and to know which properties are arrays.
+ */
+const P = require('./Prefixes');
+const {parseAxes} = require('./Axes');
+
+// Datatypes which become JSON numbers. xsd:decimal keeps its lexical form (e.g. "1.50") because FHIR decimals carry
+// their precision, which a JavaScript Number would lose.
+const XSD_NUMBERS = [
+  'integer', 'int', 'long', 'double', 'float',
+  'positiveInteger', 'nonNegativeInteger', 'unsignedInt', 'positiveInt',
+].map(l => P.xsd + l);
+
+// Predicates which are artifacts of the RDF representation and have no FHIR JSON property.
+const SKIP_PREDICATES = [
+  P.rdf + 'type',
+  P.fhir + 'nodeRole',
+  P.fhir + 'index',
+  P.fhir + 'link',
+];
+
+class FhirRdfToJsonConverter {
+  static LIST_PREFIX = 'OneOrMore_';
+
+  /**
+   * @param schema ShExJ schema generated by FhirShExJGenerator with the same axes as the RDF.
+   * @param opts {axes, error} where axes is e.g. 'RDVch' or {r:true, d:true, v:true, c:false, h:false}.
+   */
+  constructor (schema, opts = {}) {
+    this.schema = schema;
+    this.shapeDecls = new Map(schema.shapes.map(decl => [decl.id, decl]));
+    this.opts = opts;
+    this.axes = parseAxes(opts.axes);
+    this.tcCache = new Map();
+  }
+
+  myError (error) {
+    if ('error' in this.opts) {
+      this.opts.error(error);
+    } else {
+      throw error;
+    }
+  }
+
+  /**
+   * Convert the fhir:treeRoot resource in an RdfResource into a FHIR JSON object.
+   * Bundle entry resources are tree roots too; the one to convert is the root which isn't some Bundle's entry.
+   * @param resource RdfResource from TurtleParser.
+   * @returns {object} FHIR JSON resource.
+   */
+  convert (resource) {
+    const store = resource.store;
+    const entryResource = P.fhir + (this.axes.d ? 'Bundle.entry.resource' : 'resource');
+    const roots = store.getQuads(null, P.fhir + 'nodeRole', P.fhir + 'treeRoot')
+      .map(q => q.subject)
+      .filter(root => store.getQuads(null, entryResource, root).length === 0);
+    if (roots.length !== 1)
+      throw new Error(`Expected 1, got ${roots.length} matches for nodeRole treeRoot outside Bundle entries`);
+    return this.convertResource(roots[0], store);
+  }
+
+
+  /**
+   * Convert a node with an rdf:type of some FHIR Resource, e.g. a root, contained or Bundle.entry resource.
+   */
+  convertResource (node, store) {
+    const resourceType = this.findResourceType(node, store);
+    if (!resourceType) {
+      this.myError(new Error(`No rdf:type with a FHIR shape found for ${node.value}`));
+      return {};
+    }
+    const ret = Object.assign(
+      {resourceType},
+      this.convertObject(node, P.fhirshex + resourceType, store)
+    );
+
+    // The preprocessor mints resource IRIs like <Patient/123>; recover the id if there was no fhir:id arc.
+    if (!('id' in ret) && node.termType === 'NamedNode') {
+      const m = node.value.match(new RegExp(`/${resourceType}/([^/#]+)$`));
+      if (m) {
+        const {resourceType: rt, ...rest} = ret;
+        return Object.assign({resourceType: rt, id: m[1]}, rest);
+      }
+    }
+    return ret;
+  }
+
+  findResourceType (node, store) {
+    return store.getQuads(node, P.rdf + 'type', null)
+      .map(q => q.object.value)
+      .filter(t => t.startsWith(P.fhir))
+      .map(t => t.substr(P.fhir.length))
+      .find(t => this.shapeDecls.has(P.fhirshex + t));
+  }
+
+  /**
+   * Convert the arcs out of `node` according to the TripleConstraints in the shape labeled `shapeLabel`.
+   */
+  convertObject (node, shapeLabel, store, skip = SKIP_PREDICATES) {
+    const ret = {};
+    const tcs = this.getTripleConstraints(shapeLabel);
+    const quads = store.getQuads(node, null, null);
+    const byPredicate = quads.reduce((acc, q) => {
+      const p = q.predicate.value;
+      if (skip.indexOf(p) === -1) {
+        if (!acc.has(p))
+          acc.set(p, []);
+        acc.get(p).push(q.object);
+      }
+      return acc;
+    }, new Map());
+
+    // Walk TripleConstraints in schema order so JSON properties come out in FHIR definition order.
+    for (const tc of tcs) {
+      if (!byPredicate.has(tc.predicate))
+        continue;
+      const objects = byPredicate.get(tc.predicate);
+      byPredicate.delete(tc.predicate);
+      this.addProperty(ret, tc, objects, store);
+    }
+
+    for (const [predicate] of byPredicate) {
+      this.myError(new Error(`No TripleConstraint for ${predicate} in ${shapeLabel} for ${node.value}`));
+    }
+    return ret;
+  }
+
+  addProperty (ret, tc, objects, store) {
+    const name = FhirRdfToJsonConverter.localName(tc.predicate);
+    const {label, isList} = this.describeValueExpr(tc.valueExpr);
+    const isArray = isList || (tc.max !== undefined && tc.max !== 1);
+
+    const members = isList
+      ? objects.reduce((acc, o) => acc.concat(this.walkList(o, store)), [])
+      : this.sortByIndex(objects, store);
+
+    // group by JSON property name (differs from `name` only when !axes.v curries by rdf:type).
+    const byProperty = members.reduce((acc, object) => {
+      const choice = this.choiceType(tc, object, store);
+      const property = choice
+        ? name + choice.substr(0, 1).toUpperCase() + choice.substr(1)
+        : name;
+      const converted = this.convertValue(object, choice ? P.fhirshex + choice : label, store);
+      if (!acc.has(property))
+        acc.set(property, []);
+      acc.get(property).push(converted);
+      return acc;
+    }, new Map());
+
+    for (const [property, values] of byProperty) {
+      ret[property] = isArray
+        ? values.map(v => v.value)
+        : values[0].value;
+      if (values.find(v => v.extension)) {
+        ret['_' + property] = isArray
+          ? values.map(v => v.extension || null)
+          : values[0].extension;
+      }
+      if (!isArray && values.length > 1)
+        this.myError(new Error(`Expected at most one value for ${tc.predicate}, got ${values.length}`));
+    }
+  }
+
+  /**
+   * Convert one RDF object.
+   * @returns {{value: *, extension: (object|undefined)}} FHIR JSON value and, for primitives, the `_field` content.
+   */
+  convertValue (object, label, store) {
+    if (object.termType === 'Literal') // hoisted scalars (axes.h) and scalar properties like Narrative.div
+      return {value: FhirRdfToJsonConverter.literalToJson(object)};
+
+    if (label === P.fhirshex + 'Resource')
+      return {value: this.convertResource(object, store)};
+
+    if (this.isPrimitive(label, object, store)) {
+      const values = store.getQuads(object, P.fhir + 'v', null);
+      const value = values.length > 0
+        ? FhirRdfToJsonConverter.literalToJson(values[0].object)
+        : null;
+      // Anything else on a primitive, e.g. fhir:Element.extension, goes in the `_field` object.
+      const extension = this.convertObject(object, label, store, SKIP_PREDICATES.concat([P.fhir + 'v']));
+      return Object.keys(extension).length > 0
+        ? {value, extension}
+        : {value};
+    }
+
+    return {value: this.convertObject(object, label, store)};
+  }
+
+  /**
+   * A node is a FHIR primitive if its shape has an fhir:v property, or if it has fhir:v arcs.
+   */
+  isPrimitive (label, object, store) {
+    if (label && this.getTripleConstraints(label).find(tc => tc.predicate === P.fhir + 'v'))
+      return true;
+    return store.getQuads(object, P.fhir + 'v', null).length > 0;
+  }
+
+  /**
+   * With !axes.v, all choices of e.g. Observation.value[x] share the predicate fhir:Observation.value
+   * so the preprocessor's rdf:type arc distinguishes valueQuantity from valueString.
+   * @returns {string|null} the chosen FHIR type, or null if tc isn't a choice.
+   */
+  choiceType (tc, object, store) {
+    if (this.axes.v || typeof tc.valueExpr !== 'object' || tc.valueExpr.type !== 'ShapeOr')
+      return null;
+    const type = store.getQuads(object, P.rdf + 'type', null)
+      .map(q => q.object.value)
+      .find(t => t.startsWith(P.fhir));
+    if (!type) {
+      this.myError(new Error(`Can't determine choice type for ${tc.predicate} value ${object.value}`));
+      return null;
+    }
+    return type.substr(P.fhir.length);
+  }
+
+  /**
+   * Find the shape label and list-ness of a TripleConstraint's valueExpr.
+   */
+  describeValueExpr (valueExpr) {
+    const ref = FhirRdfToJsonConverter.firstRef(valueExpr);
+    if (ref && ref.startsWith(P.fhirshex + FhirRdfToJsonConverter.LIST_PREFIX)) {
+      const listShape = this.lookup(ref);
+      const first = listShape && listShape.expression.expressions
+        .find(te => te.predicate === P.rdf + 'first');
+      return {label: first ? FhirRdfToJsonConverter.firstRef(first.valueExpr) : null, isList: true};
+    }
+    return {label: ref, isList: false};
+  }
+
+  walkList (head, store) {
+    const ret = [];
+    for (let node = head; node.value !== P.rdf + 'nil';) {
+      const first = store.getQuads(node, P.rdf + 'first', null);
+      const rest = store.getQuads(node, P.rdf + 'rest', null);
+      if (first.length !== 1 || rest.length !== 1) {
+        this.myError(new Error(`Malformed rdf:List at ${node.value}`));
+        break;
+      }
+      ret.push(first[0].object);
+      node = rest[0].object;
+    }
+    return ret;
+  }
+
+  sortByIndex (objects, store) {
+    const indexOf = o => {
+      if (o.termType === 'Literal')
+        return 0;
+      const i = store.getQuads(o, P.fhir + 'index', null);
+      return i.length ? parseInt(i[0].object.value) : 0;
+    };
+    return objects.slice().sort((l, r) => indexOf(l) - indexOf(r));
+  }
+
+  /**
+   * Collect the TripleConstraints in a shape and the shapes it extends, parents first.
+   */
+  getTripleConstraints (label) {
+    if (!this.tcCache.has(label)) {
+      const shapeExpr = this.lookup(label);
+      const ret = [];
+      if (shapeExpr && shapeExpr.type === 'Shape') {
+        (shapeExpr.extends || []).forEach(parent => {
+          if (typeof parent === 'string')
+            Array.prototype.push.apply(ret, this.getTripleConstraints(parent));
+        });
+        FhirRdfToJsonConverter.collectTripleConstraints(shapeExpr.expression, ret);
+      } else if (shapeExpr && shapeExpr.type === 'ShapeOr') { // e.g. ExtensionChoice: union of the disjuncts' TCs
+        this.tcCache.set(label, ret); // guard against cycles
+        shapeExpr.shapeExprs.forEach(disjunct => {
+          if (typeof disjunct === 'string')
+            this.getTripleConstraints(disjunct)
+              .filter(tc => !ret.find(known => known.predicate === tc.predicate))
+              .forEach(tc => ret.push(tc));
+        });
+      }
+      this.tcCache.set(label, ret);
+    }
+    return this.tcCache.get(label);
+  }
+
+  lookup (label) {
+    if (typeof label !== 'string' || !this.shapeDecls.has(label))
+      return null;
+    const decl = this.shapeDecls.get(label);
+    return decl.type === 'ShapeDecl' ? decl.shapeExpr : decl;
+  }
+
+  static collectTripleConstraints (te, ret) {
+    if (!te)
+      return ret;
+    switch (te.type) {
+      case 'TripleConstraint':
+        ret.push(te);
+        break;
+      case 'EachOf':
+      case 'OneOf':
+        te.expressions.forEach(e => FhirRdfToJsonConverter.collectTripleConstraints(e, ret));
+        break;
+    }
+    return ret;
+  }
+
+  static firstRef (expr) {
+    if (typeof expr === 'string')
+      return expr;
+    if (expr && ['ShapeOr', 'ShapeAnd'].indexOf(expr.type) !== -1)
+      return expr.shapeExprs.find(se => typeof se === 'string') || null;
+    return null;
+  }
+
+  static localName (predicate) {
+    const localName = predicate.startsWith(P.fhir)
+      ? predicate.substr(P.fhir.length)
+      : predicate.substr(Math.max(predicate.lastIndexOf('/'), predicate.lastIndexOf('#')) + 1);
+    return localName.substr(localName.lastIndexOf('.') + 1);
+  }
+
+  static literalToJson (literal) {
+    const dt = literal.datatype ? literal.datatype.value : null;
+    if (dt === P.xsd + 'boolean')
+      return literal.value === 'true' || literal.value === '1';
+    if (XSD_NUMBERS.indexOf(dt) !== -1)
+      return Number(literal.value);
+    return literal.value;
+  }
+}
+
+if (typeof module !== 'undefined')
+  module.exports = {FhirRdfToJsonConverter};
@@ -1,7 +1,12 @@
 const Hierarchy = require('hierarchy-closure');
-const {FhirRdfModelGenerator, PropertyMapping, DefinitionBundleLoader, ModelVisitor, DatatypeTypes} = require('./FhirRdfModelGenerator');
+const {FhirRdfModelGenerator, FhirResourceDefinitionError, PropertyMapping, DefinitionBundleLoader, DatatypeTypes} = require('./FhirRdfModelGenerator');
+const {FhirGenerator} = require('./FhirGenerator');
 const Prefixes = require('./Prefixes');
+const {DefinitionIndex} = require('./DefinitionIndex');
+const {Diagnostics} = require('./Diagnostics');
+const {FhirPathTranslator} = require('./FhirPathTranslator');
 const ShExUtil = require("@shexjs/util");
+const {ShExVisitor} = require("@shexjs/visitor");
 const P = require("./Prefixes");
 
 const GEN_SHEXJ_STEM = 'http://hl7.org/fhir/StructureDefinition/';
@@ -11,7 +16,7 @@ const VALUE_SET_STEM = 'http://hl7.org/fhir/ValueSet/';
 /**
  * Leverage a FhirRdfModelGenerator to traverse StructureDefinitions and generate equivalent ShExJ.
  */
-class FhirShExJGenerator extends ModelVisitor {
+class FhirShExJGenerator extends FhirGenerator {
 
   // prototype for generated schema.
   static EMPTY_FHIR_RESOURCE_SCHEMA = {
@@ -53,29 +58,64 @@ class FhirShExJGenerator extends ModelVisitor {
     min: 0, max: 1 // TODO <- remove max
   };
 
+  // datatypes of fixed[x] and pattern[x] primitive values when they appear in RDF.
+  static FixedValueDatatypes = {
+    Boolean: P.xsd + 'boolean',
+    Integer: P.xsd + 'integer',
+    Decimal: P.xsd + 'decimal',
+    Uri: P.xsd + 'anyURI',
+    Url: P.xsd + 'anyURI',
+    Canonical: P.xsd + 'anyURI',
+    Oid: P.xsd + 'anyURI',
+    Uuid: P.xsd + 'anyURI',
+    Date: P.xsd + 'date',
+    DateTime: P.xsd + 'dateTime',
+  };
+
+  // Non-required bindings (extensible, preferred, example) are, per config.bindingPolicy:
+  //   ignore: left out; annotate: recorded in TripleConstraint annotations;
+  //   advisory: also given a shape, referenced by an ADVISORY_PREDICATE annotation, which a validator can check to
+  //     report warnings. Unlike required bindings, advisory shapes aren't part of the TripleConstraint's valueExpr.
+  static BINDING_POLICIES = ['ignore', 'annotate', 'advisory'];
+  static BINDING_STRENGTH_PREDICATE = Prefixes.fhir + 'ElementDefinition.binding.strength';
+  static BINDING_VALUESET_PREDICATE = Prefixes.fhir + 'ElementDefinition.binding.valueSet';
+  static ADVISORY_PREDICATE = Prefixes.fhirshex + 'advisory';
+
+  // FHIRPath invariants (ElementDefinition.constraint) are, per config.invariants:
+  //   ignore: left out; annotate: recorded as INVARIANT_SEMACT semantic actions on shapes and TripleExpressions;
+  //   translate: also conjoined to the shape of resources, datatypes and nested structures if FhirPathTranslator can
+  //     translate them. Only invariants with severity "error" are translated.
+  static INVARIANT_POLICIES = ['ignore', 'annotate', 'translate'];
+  static INVARIANT_SEMACT = Prefixes.fhir + 'invariant';
+
   static PARENT_TYPES = ['Resource'];
   static TODO_ABSTRACT_RESOURCES = ['Base', 'Resource', 'DomainResource', 'CanonicalResource'];
   static ResourcesThatNeedALink = ["Reference"];
 
+  // ShapeOr of the typed Extension shapes and Extensions with other URLs. Extension-typed elements reference this.
+  static EXTENSION_CHOICE = 'ExtensionChoice';
+
+  // annotations which vary between runs over the same definitions, e.g. with the package version; see canonicalize.
+  static VOLATILE_ANNOTATIONS = [Prefixes.fhir + 'version'];
+
   constructor (definitionLoader, config = {}) {
-    super(definitionLoader);
-    this.config = config;
-    if (typeof config.axes === "undefined")
-      config.axes = 'RDVch';
-    if (typeof config.axes === "string") {
-      if (!config.axes.match(/^rdvch$/i))
-        throw Error(`expected axes string "${rdvch}" to match /rdvch/i`);
-      config.axes = Array.from(config.axes).reduce((acc, l) => {
-        acc[l.toLowerCase()] = l === l.toUpperCase();
-        return acc;
-      }, {});
+    super(definitionLoader, config);
+    if (config.bindingPolicy !== undefined) {
+      const policies = typeof config.bindingPolicy === 'object' ? Object.values(config.bindingPolicy) : [config.bindingPolicy];
+      const bad = policies.find(policy => FhirShExJGenerator.BINDING_POLICIES.indexOf(policy) === -1);
+      if (bad !== undefined)
+        throw Error(`expected binding policy "${bad}" to be one of ${FhirShExJGenerator.BINDING_POLICIES.join(', ')}`);
     }
+    if (config.invariants !== undefined && FhirShExJGenerator.INVARIANT_POLICIES.indexOf(config.invariants) === -1)
+      throw Error(`expected invariants policy "${config.invariants}" to be one of ${FhirShExJGenerator.INVARIANT_POLICIES.join(', ')}`);
     // make a fresh copy of the prototype schema.
     this.schema = JSON.parse(JSON.stringify(FhirShExJGenerator.EMPTY_FHIR_RESOURCE_SCHEMA));
     // conjunctions of TripleExpressions to add to current shape.
     this.teListStack = [];
     // shift in nested shape on genShape and enter. unshift on exit and when done in genShape.
     this.shapeStack = [];
+    // PropertyMappings of the shapes in shapeStack, innermost first, to resolve properties in invariants.
+    this.shapeProperties = [];
     // list of top-level shape labels added to schema. differs from shapes.map(se => se.id) if nested shapes get top-level entries.
     this.added = [];
     // walk StructureDefinition, calling enter, scalar, complex, exit.
@@ -84,20 +124,43 @@ class FhirShExJGenerator extends ModelVisitor {
     this.pMap2TC = new Map();
     // rdf:Collection type to add
     this.lists = {};
+    // advisory shapes for non-required bindings, e.g. fhirshex:CodeableConcept_ADVISORY_observation-interpretation
+    this.advisories = {};
     // closure of strurecture definitition baseDefinitions
     this.extensions = Hierarchy.create();
+    // typed Extension shapes, [{url, label}], and TripleConstraints referencing the generic Extension shape
+    this.typedExtensions = [];
+    this.extensionRefs = [];
+    // namespace for the current genShape's nested shapes; logical models have their own.
+    this.nestedShapeNamespace = Prefixes.fhirshex;
+    // type names and ValueSet canonicals by shape label, so genShExJClosure can find the definitions of references.
+    this.typeNames = new Map();
+    this.valueSetCanonicals = new Map();
   }
 
-  listName (typeName) {
-    return 'OneOrMore_' + typeName;
+  /**
+   * Namespace of the shapes for a type: fhirshex: for FHIR types, <logical namespace>shape/ for logical models, which
+   * are referenced by canonical URL.
+   */
+  shapeNamespace (typeName) {
+    return FhirRdfModelGenerator.isLogicalTypeCode(typeName)
+      ? this.modelGenerator.logicalNamespace(typeName) + 'shape/'
+      : Prefixes.fhirshex;
   }
 
-  myError (error) {
-    if ('error' in this.config) {
-      this.config.error(error);
-    } else {
-      throw error;
-    }
+  /**
+   * Shape label for a type name or logical model URL.
+   */
+  typeLabel (typeName) {
+    const label = FhirRdfModelGenerator.isLogicalTypeCode(typeName)
+          ? this.shapeNamespace(typeName) + FhirRdfModelGenerator.logicalTypeName(typeName)
+          : Prefixes.fhirshex + typeName;
+    this.typeNames.set(label, typeName);
+    return label;
+  }
+
+  listName (typeName) {
+    return 'OneOrMore_' + typeName;
   }
 
   async genShExJ (sources, skip = []) {
@@ -118,12 +181,109 @@ class FhirShExJGenerator extends ModelVisitor {
         case "ValueSet": await this.genValueset(entry.resource, this.config); break;
         case "StructureDefinition": await this.genShape(entry.resource, true, this.config); break;
         default:
-          this.myError(Error(`Unknown resourceType: ${entry.resource.resourceType} for ${entry.fullUrl}`));
+          this.myError(Object.assign(Error(`Unknown resourceType: ${entry.resource.resourceType} for ${entry.fullUrl}`), {code: 'unknown-resource-type'}));
           return generated2;
         }
         return generated2.concat(genMe);
       }, generated1);
     }, Promise.resolve([]));
+    return this.finishSchema();
+  }
+
+  /**
+   * Generate shapes for root types, e.g. ["Patient", "Observation"] (or logical model URLs), and for the transitive
+   * closure of the shapes and ValueSets they reference, rather than for every definition in the loaded sources.
+   * References with no definition are reported and left dangling.
+   * @returns {Promise<object>} the ShExJ schema.
+   */
+  async genShExJClosure (roots) {
+    const unresolved = new Set();
+    let pending = roots.map(root => this.typeLabel(root));
+    while (pending.length > 0) {
+      for (const label of pending) {
+        const resourceDef = await this.referencedDefinition(label);
+        if (!resourceDef) {
+          // Missing ValueSets were reported when they were bound; finishSchema supplies a Base for older FHIR versions.
+          if (!this.valueSetCanonicals.has(label) && label !== P.fhirshex + 'Base')
+            this.warn('unresolved-reference', null, `can't find a definition for ${label}`);
+          unresolved.add(label);
+        } else if (resourceDef.resourceType === 'ValueSet') {
+          await this.genValueset(resourceDef, this.config);
+        } else {
+          await this.genShape(resourceDef, true, this.config);
+        }
+      }
+      pending = this.danglingReferences().filter(label => !unresolved.has(label));
+    }
+    return this.finishSchema();
+  }
+
+  /**
+   * The StructureDefinition or ValueSet for a shape label from typeLabel or bindingValueSet.
+   */
+  async referencedDefinition (label) {
+    if (this.valueSetCanonicals.has(label)) {
+      const {url, version} = DefinitionIndex.parseCanonical(this.valueSetCanonicals.get(label));
+      return await this.definitionLoader.getDefinitionByCanonical(url, version)
+        || await this.definitionLoader.getDefinitionByCanonical(url);
+    }
+    const typeName = this.typeNames.has(label)
+          ? this.typeNames.get(label)
+          : label.startsWith(Prefixes.fhirshex) ? label.substr(Prefixes.fhirshex.length) : null;
+    if (typeName === null)
+      return null;
+    return FhirRdfModelGenerator.isLogicalTypeCode(typeName)
+      ? await this.definitionLoader.getDefinitionByCanonical(typeName)
+      : await this.definitionLoader.getStructureDefinitionByName(typeName);
+  }
+
+  /**
+   * Shape labels referenced by the schema so far which neither it nor finishSchema declares.
+   */
+  danglingReferences () {
+    const declared = new Set(this.schema.shapes.map(decl => decl.id)
+                             .concat(Object.keys(this.lists), Object.keys(this.advisories))
+                             .concat([Prefixes.fhirshex + FhirShExJGenerator.EXTENSION_CHOICE]));
+    const referenced = [this.schema.start]
+          .concat(this.schema.shapes.map(decl => decl.type === 'ShapeDecl' ? decl.shapeExpr : decl))
+          .concat(Object.values(this.lists), Object.values(this.advisories))
+          .reduce((acc, shapeExpr) => acc.concat(FhirShExJGenerator.shapeReferences(shapeExpr)), []);
+    return referenced.filter((label, idx) => !declared.has(label) && referenced.indexOf(label) === idx);
+  }
+
+  /**
+   * Shape labels a shape expression references, including those of the shapes it extends.
+   */
+  static shapeReferences (shapeExpr) {
+    if (shapeExpr === undefined)
+      return [];
+    if (typeof shapeExpr === 'string')
+      return [shapeExpr];
+    switch (shapeExpr.type) {
+    case 'ShapeAnd':
+    case 'ShapeOr':
+      return shapeExpr.shapeExprs.reduce((acc, se) => acc.concat(FhirShExJGenerator.shapeReferences(se)), []);
+    case 'ShapeNot':
+      return FhirShExJGenerator.shapeReferences(shapeExpr.shapeExpr);
+    case 'Shape': {
+      const walk = te => !te || typeof te === 'string'
+            ? []
+            : te.type === 'TripleConstraint'
+            ? FhirShExJGenerator.shapeReferences(te.valueExpr)
+            : te.expressions.reduce((acc, nested) => acc.concat(walk(nested)), []);
+      return (shapeExpr.extends || []).concat(walk(shapeExpr.expression));
+    }
+    default: // NodeConstraint, ShapeExternal
+      return [];
+    }
+  }
+
+  /**
+   * Add the shapes which genShape and genValueset calls have collected: rdf:List shapes, advisory shapes and so on.
+   * @returns {object} the ShExJ schema.
+   */
+  finishSchema () {
+    this.addExtensionChoice();
     Array.prototype.push.apply(
       this.schema.shapes,
       Object.entries(this.lists)
@@ -151,6 +311,11 @@ class FhirShExJGenerator extends ModelVisitor {
           } } ) )
     );
 
+    Array.prototype.push.apply(
+      this.schema.shapes,
+      Object.entries(this.advisories).map(([id, shapeExpr]) => ({type: 'ShapeDecl', id, shapeExpr}))
+    );
+
     // < 4.5 FHIR resources-types didn't have a 'Base'
     // c.f. https://github.com/fhircat/fhir-rdf-playground/issues/10
     if (!this.schema.shapes.find(se => se.id === P.fhirshex + 'Base'))
@@ -166,23 +331,46 @@ class FhirShExJGenerator extends ModelVisitor {
    * @returns {FhirShExJGenerator} this.
    */
   async genShape (resourceDef, root, generatorConfig = this.config) {
-    const isParent = FhirShExJGenerator.PARENT_TYPES.indexOf(resourceDef.id) === -1;
-    const label = Prefixes.fhirshex + resourceDef.id;
+    // A profile's snapshot includes everything it inherits so it doesn't extend its base.
+    const isConstraint = FhirRdfModelGenerator.isConstraint(resourceDef);
+    this.currentDef = resourceDef;
+    this.nestedShapeNamespace = Prefixes.fhirshex;
+    if (isConstraint && resourceDef.type === 'Extension')
+      return await this.genExtension(resourceDef);
+    const typeName = isConstraint ? resourceDef.type : resourceDef.id;
+    const isParent = FhirShExJGenerator.PARENT_TYPES.indexOf(typeName) === -1;
+    // Logical models' shapes and types live in a namespace from their canonical URL.
+    const isLogical = FhirRdfModelGenerator.isLogical(resourceDef);
+    if (isLogical)
+      this.nestedShapeNamespace = this.modelGenerator.logicalNamespace(resourceDef.url) + 'shape/';
+    const logicalModel = isConstraint ? resourceDef.type : resourceDef.url;
+    const typeIri = isLogical
+          ? this.modelGenerator.logicalNamespace(logicalModel) + FhirRdfModelGenerator.logicalTypeName(logicalModel)
+          : Prefixes.fhir + typeName;
+    const label = this.nestedShapeNamespace + resourceDef.id;
     const parents = [];
-    if ('baseDefinition' in resourceDef) {
-      if (!resourceDef.baseDefinition.startsWith(GEN_SHEXJ_STEM))
-        throw Error(`Unknown URL stem in ${resourceDef.baseDefinition}, expected ${GEN_SHEXJ_STEM}`);
-      const base = resourceDef.baseDefinition.substr(GEN_SHEXJ_STEM.length);
-      parents.push(Prefixes.fhirshex + base);
+    let inherited = [];
+    if ('baseDefinition' in resourceDef && !isConstraint) {
+      if (!resourceDef.baseDefinition.startsWith(GEN_SHEXJ_STEM) && !isLogical) {
+        this.myError(new FhirResourceDefinitionError(`Unknown URL stem in ${resourceDef.baseDefinition}, expected ${GEN_SHEXJ_STEM}`, resourceDef, 'unknown-base'));
+        return this;
+      }
+      const contentModel = await this.modelGenerator.getContentModel(resourceDef, generatorConfig);
+      const {extend, inline} = FhirShExJGenerator.planInheritance(contentModel);
+      const base = extend || resourceDef.baseDefinition;
+      parents.push(base.startsWith(GEN_SHEXJ_STEM)
+                   ? Prefixes.fhirshex + base.substr(GEN_SHEXJ_STEM.length)
+                   : this.typeLabel(base));
+      inherited = inline;
     }
     this.added.push(label);
     this.pushShape(label, isParent, parents);
-    if (resourceDef.kind === 'resource') {
+    if (resourceDef.kind === 'resource' || isLogical && root) {
       if (isParent) {
         this.add(this.makeTripleConstraint(
           Prefixes.rdf + 'type',
-          { "type": "NodeConstraint", "values": [Prefixes.fhir + resourceDef.id] },
-          null));
+          { "type": "NodeConstraint", "values": [typeIri] },
+          isLogical ? {min: 0, max: 1} : null)); // logical model instances don't have a resourceType
         if (root) {
           this.add(this.makeTripleConstraint(
             Prefixes.fhir + 'nodeRole',
@@ -198,64 +386,265 @@ class FhirShExJGenerator extends ModelVisitor {
         ));
       }
     }
-    if ("addTypesTo" in this.config && this.config.addTypesTo.indexOf(resourceDef.id) !== -1) {
+    if ("addTypesTo" in this.config && this.config.addTypesTo.indexOf(typeName) !== -1) {
       this.add(this.makeTripleConstraint(
           Prefixes.rdf + 'type',
           { "type": "NodeConstraint", "nodeKind": 'iri' },
           {min: 0, max: 1}
       ));
-    } else if (!this.config.axes.v) {
+    } else if (!this.config.axes.v && !(isLogical && root)) {
       this.add(this.makeTripleConstraint(
           Prefixes.rdf + 'type',
-          { "type": "NodeConstraint", "values": [Prefixes.fhir + resourceDef.id] },
+          { "type": "NodeConstraint", "values": [typeIri] },
           {min: 0, max: 1}
       ));
     }
 
-    if (FhirShExJGenerator.ResourcesThatNeedALink.indexOf(resourceDef.id) !== -1) {
+    if (FhirShExJGenerator.ResourcesThatNeedALink.indexOf(typeName) !== -1) {
       this.add(this.makeTripleConstraint(
         Prefixes.fhir + 'link',
         { "type": "NodeConstraint", "nodeKind": "iri" },
         {min: 0, max: 1}
       ));
     }
+    for (const disjuncts of inherited)
+      await this.inheritElement(disjuncts, generatorConfig);
     await this.modelGenerator.visitResource(resourceDef, this, generatorConfig);
     // this.resources._index.entries.forEach(
     //   entry => { if (this.skip.indexOf(entry)) modelGenerator.visitResource(target, this, generatorConfig); }
     // );
-    this.popShape(resourceDef.id);
+    const decl = this.popShape(resourceDef.id);
+    await this.addInvariants(
+      decl,
+      FhirRdfModelGenerator.rootInvariants(resourceDef),
+      async () => [].concat(...(await this.modelGenerator.getContentModel(resourceDef, generatorConfig)).merged()),
+      resourceDef.id
+    );
     return this;
   }
 
+  /**
+   * Generate a shape for an Extension StructureDefinition with its url pinned and value[x] restricted to the
+   * allowed types. Complex extensions get a nested shape for each sub-extension slice, e.g. us-core-race.ombCategory .
+   * Uses the snapshot if there is one, else the differential (e.g. from SUSHI).
+   */
+  async genExtension (resourceDef) {
+    const elements = ("snapshot" in resourceDef ? resourceDef.snapshot : resourceDef.differential).element;
+    const byId = new Map(elements.map(elt => [elt.id, elt]));
+    const extensionDef = await this.definitionLoader.getStructureDefinitionByName('Extension');
+    const anyValue = extensionDef
+          ? extensionDef.differential.element.find(elt => elt.id === 'Extension.value[x]')
+          : null;
+    const label = Prefixes.fhirshex + resourceDef.id;
+    this.added.push(label);
+    this.typedExtensions.push({url: resourceDef.url, label});
+    this.genExtensionShape(label, resourceDef.url, 'Extension', byId, anyValue);
+    return this;
+  }
+
+  genExtensionShape (label, url, path, byId, anyValue) {
+    const axes = this.config.axes;
+    const pred = (type, name) => Prefixes.fhir + (axes.d ? type + '.' + name : name);
+    this.pushShape(label, true, []);
+    if (!axes.v)
+      this.add(this.makeTripleConstraint(
+        Prefixes.rdf + 'type',
+        { "type": "NodeConstraint", "values": [Prefixes.fhir + 'Extension'] },
+        {min: 0, max: 1}
+      ));
+    this.add(this.makeTripleConstraint(pred('Element', 'id'), Prefixes.fhirshex + 'string', {min: 0, max: 1}));
+
+    // sub-extensions
+    const extensionElt = byId.get(path + '.extension');
+    const slices = Array.from(byId.values())
+          .filter(elt => elt.id.startsWith(path + '.extension:') && elt.id.indexOf('.', path.length + '.extension:'.length) === -1)
+          .filter(slice => slice.max !== '0')
+          .map(slice => {
+            const sliceName = slice.id.substr(path.length + '.extension:'.length);
+            const sliceUrlElt = byId.get(slice.id + '.url');
+            return {
+              slice,
+              label: label + '.' + sliceName,
+              url: sliceUrlElt && (sliceUrlElt.fixedUri || sliceUrlElt.fixedUrl) || sliceName,
+            };
+          });
+    const isOpen = !(extensionElt && (extensionElt.max === '0' || (extensionElt.slicing && extensionElt.slicing.rules === 'closed')));
+    if (axes.c) {
+      // All of the sub-extensions are in one rdf:List so we can't constrain the cardinality of each slice.
+      const members = slices.map(({label}) => label).concat(isOpen ? [Prefixes.fhirshex + 'Extension'] : []);
+      if (members.length > 0) {
+        const listLabel = Prefixes.fhirshex + this.listName(label.substr(Prefixes.fhirshex.length) + '.extension');
+        this.lists[listLabel] = members.length === 1 ? members[0] : {type: "ShapeOr", shapeExprs: members};
+        this.add(this.makeTripleConstraint(pred('Element', 'extension'), listLabel,
+                                           {min: extensionElt && extensionElt.min > 0 ? 1 : 0, max: 1}));
+      }
+    } else {
+      slices.forEach(({slice, label}) => this.add(this.makeTripleConstraint(
+        pred('Element', 'extension'), label, this.makeCard(slice.min, slice.max)
+      )));
+      if (isOpen) {
+        const tc = this.makeTripleConstraint(pred('Element', 'extension'), Prefixes.fhirshex + 'Extension', {min: 0, max: -1});
+        this.extensionRefs.push(tc);
+        this.add(tc);
+      }
+    }
+    slices.forEach(({slice, label, url}) => this.genExtensionShape(label, url, slice.id, byId, anyValue));
+
+    // pinned url
+    this.add(this.makeTripleConstraint(
+      pred('Extension', 'url'),
+      this.addFixedValue(Prefixes.fhirshex + 'uri', {fixed: {type: 'Uri', value: url}}),
+      {}
+    ));
+
+    // value[x] restricted to the allowed types
+    const valueElt = byId.get(path + '.value[x]') || anyValue;
+    if (valueElt && valueElt.max !== '0') {
+      const restrictions = {
+        fixed: FhirRdfModelGenerator.choiceValue(valueElt, 'fixed'),
+        pattern: FhirRdfModelGenerator.choiceValue(valueElt, 'pattern'),
+      };
+      const types = (valueElt.type || []).map(t => t.code);
+      const valueExprs = types.map(t => this.addFixedValue(Prefixes.fhirshex + t, restrictions));
+      const card = this.makeCard(valueElt.min, valueElt.max);
+      if (axes.v) {
+        const tcs = types.map((t, idx) => this.makeTripleConstraint(
+          pred('Extension', 'value' + t.substr(0, 1).toUpperCase() + t.substr(1)), valueExprs[idx], {}
+        ));
+        this.add(Object.assign(tcs.length === 1 ? tcs[0] : {type: "OneOf", expressions: tcs}, card));
+      } else {
+        this.add(this.makeTripleConstraint(
+          pred('Extension', 'value'),
+          valueExprs.length === 1 ? valueExprs[0] : {type: "ShapeOr", shapeExprs: valueExprs},
+          card
+        ));
+      }
+    }
+    this.popShape(label);
+  }
+
+  /**
+   * If typed Extension shapes were generated, have Extension-typed elements reference a ShapeOr of them and of
+   * Extensions with other URLs.
+   */
+  addExtensionChoice () {
+    if (this.typedExtensions.length === 0)
+      return;
+    const choice = Prefixes.fhirshex + FhirShExJGenerator.EXTENSION_CHOICE;
+    const urlPred = Prefixes.fhir + (this.config.axes.d ? 'Extension.url' : 'url');
+    const knownUrls = {
+      type: "NodeConstraint",
+      values: this.typedExtensions.map(({url}) => ({value: url, type: FhirShExJGenerator.FixedValueDatatypes.Uri}))
+    };
+    const otherExtension = {
+      type: "ShapeAnd",
+      shapeExprs: [
+        Prefixes.fhirshex + 'Extension',
+        {
+          type: "ShapeNot",
+          shapeExpr: {
+            type: "Shape",
+            expression: this.makeTripleConstraint(
+              urlPred,
+              this.config.axes.h
+                ? knownUrls
+                : { type: "Shape", expression: this.makeTripleConstraint(Prefixes.fhir + 'v', knownUrls, {}) },
+              {}
+            )
+          }
+        }
+      ]
+    };
+    this.schema.shapes.push({
+      type: "ShapeDecl",
+      id: choice,
+      shapeExpr: {
+        type: "ShapeOr",
+        shapeExprs: this.typedExtensions.map(({label}) => label).concat([otherExtension])
+      }
+    });
+    this.extensionRefs.forEach(tc => { tc.valueExpr = choice; });
+    const extensionList = Prefixes.fhirshex + this.listName('Extension');
+    if (extensionList in this.lists)
+      this.lists[extensionList] = choice;
+  }
+
+  /**
+   * Decide how a specialization inherits from its ancestors.
+   * ShExJ `extends` can't replace an inherited TripleConstraint: an instance's triples are split between the base
+   * shape and the extension, so a required inherited element needs its own triple even if resourceDef overrides it.
+   * If resourceDef overrides a required element of some ancestor, extend that ancestor's base instead and inline the
+   * elements inherited from the skipped ancestors. Overridden optional elements leave the hierarchy as it is.
+   * @param contentModel ContentModel from FhirRdfModelGenerator.getContentModel().
+   * @returns {{extend: (string|null), inline: PropertyMapping[][]}} baseDefinition URL to extend (null to extend
+   *   resourceDef.baseDefinition) and the inherited elements to inline.
+   */
+  static planInheritance (contentModel) {
+    const ancestors = contentModel.ancestors();
+    const overridden = contentModel.overrides();
+    const owners = ancestors.map(ancestor => [].concat(...ancestor.ownElements()));
+    const furthest = owners.reduce(
+      (acc, ownPMaps, idx) => ownPMaps.find(pMap => overridden.indexOf(pMap) !== -1 && pMap.element.min > 0) ? idx : acc,
+      -1
+    );
+    if (furthest === -1)
+      return { extend: null, inline: [] };
+
+    const skipped = [].concat(...owners.slice(0, furthest + 1));
+    const inline = contentModel.base.merged()
+          .filter(disjuncts => disjuncts.find(pMap => skipped.indexOf(pMap) !== -1))
+          .filter(disjuncts => !disjuncts.find(pMap => overridden.indexOf(pMap) !== -1));
+    return { extend: ancestors[furthest].resourceDef.baseDefinition, inline };
+  }
+
+  /**
+   * Add TripleConstraints for an element inherited from an ancestor that the current shape doesn't extend.
+   * Nested structures reference the shape generated for the ancestor.
+   */
+  async inheritElement (propertyMappings, config) {
+    const propertyMapping = propertyMappings[0];
+    if ('type' in propertyMapping.element
+        && FhirRdfModelGenerator.NestedStructureTypeCodes.indexOf(propertyMapping.element.type[0].code) !== -1) {
+      this.add(this.nestedTripleConstraint(propertyMapping, propertyMapping.element.id));
+    } else {
+      await this.element(propertyMappings, config);
+    }
+  }
+
   async enter (propertyMapping, config) {
-    const shapeName = Prefixes.fhirshex + propertyMapping.element.id;
-    const typeName = propertyMapping.element.id;
-    let valueExpr = Prefixes.fhirshex + typeName;
-    const parents = propertyMapping.element.type.map(t => Prefixes.fhirshex + t.code);
+    // Nested shapes in profiles are named after the profile, e.g. us-core-blood-pressure.component:systolic
+    const restrictions = propertyMapping.restrictions;
+    const typeName = restrictions
+          ? restrictions.profile + propertyMapping.element.id.substr(propertyMapping.element.id.indexOf('.'))
+          : propertyMapping.element.id;
+    const shapeName = this.nestedShapeNamespace + typeName;
+    const parents = restrictions
+          ? [] // the snapshot lists the inherited elements
+          : propertyMapping.element.type.map(t => Prefixes.fhirshex + t.code);
+    this.add(this.nestedTripleConstraint(propertyMapping, typeName));
+    this.shapeProperties[0].push(propertyMapping);
+    this.pushShape(shapeName, true, parents); // TODO: would break if nested *inside* a DomainResource.
+  }
+
+  nestedTripleConstraint (propertyMapping, typeName) {
+    const shapeNamespace = this.nestedShapeNamespace;
+    let valueExpr = shapeNamespace + typeName;
     if (this.config.axes.c && propertyMapping.element.max !== "1") {
-      valueExpr = Prefixes.fhirshex + this.listName(typeName);
-      this.lists[valueExpr] = Prefixes.fhirshex + typeName;
+      valueExpr = shapeNamespace + this.listName(typeName);
+      this.lists[valueExpr] = shapeNamespace + typeName;
     }
-    this.add(this.indexTripleConstraint(
+    return this.indexTripleConstraint(
       propertyMapping,
       valueExpr,
       this.makeCard(propertyMapping.element.min, propertyMapping.element.max)
-    ));
-    this.pushShape(shapeName, true, parents); // TODO: would break if nested *inside* a DomainResource.
+    );
   }
 
   async element (propertyMappings, config) {
-    const valueExprs = propertyMappings.reduce((acc, propertyMapping) => {
-      // Early return if this specializes another.
-      if (propertyMapping.specializes.length > 0) {
-        propertyMapping.specializes.forEach(specializes => {
-          const tc = this.pMap2TC.get(specializes);
-          tc.predicate = propertyMapping.predicate;
-          // TODO: what are the real semantics of specialization?
-        })
-        return acc; // no additional TCs
-      }
-
+    this.shapeProperties[0].push(...propertyMappings);
+    let bindingAnnotations = null; // for the combined TripleConstraint if !axes.v
+    const valueExprs = await propertyMappings.reduce(async (accP, propertyMapping) => {
+      const acc = await accP;
       let valueExpr;
       let annotations = null;
       if (propertyMapping.isScalar) {
@@ -266,18 +655,18 @@ class FhirShExJGenerator extends ModelVisitor {
           delete valueExpr.annotations;
         }
       } else {
-        let typeName = propertyMapping.type;
-        valueExpr = Prefixes.fhirshex + typeName;
-        if (propertyMapping.binding && propertyMapping.binding.strength === 'required') {
-          const bindingMap = FhirShExJGenerator.BindingMaps.find(
-            bindingMap => propertyMapping.binding.valueSet.startsWith(bindingMap.fhirStem)
-          );
-          if (!bindingMap) {
-            console.warn(`${propertyMapping.element.id} valueSet "${propertyMapping.binding.valueSet}" not an internal value set [${FhirShExJGenerator.BindingMaps.map(b => `"${b.fhirStem}"`).join(", ")}]:\n${JSON.stringify(propertyMapping.binding, null, 2).replace(/^/gm, "  ")}`);
-          } else {
-            const valueSetSpec = bindingMap.shexStem +
-                  propertyMapping.binding.valueSet.substr(bindingMap.fhirStem.length);
-            const [valueSet, version] = valueSetSpec.split(/\|/);
+        // Logical models are referenced by URL and have shapes in their own namespace.
+        const shapeNamespace = this.shapeNamespace(propertyMapping.type);
+        let typeName = FhirRdfModelGenerator.isLogicalTypeCode(propertyMapping.type)
+            ? FhirRdfModelGenerator.logicalTypeName(propertyMapping.type)
+            : propertyMapping.type;
+        valueExpr = shapeNamespace + typeName;
+        const isExtension = typeName === 'Extension';
+        const strength = propertyMapping.binding ? propertyMapping.binding.strength : null;
+        if (strength === 'required') {
+          const bound = await this.bindingValueSet(propertyMapping, true);
+          if (bound) {
+            const {valueSetLabel, valueSet, version} = bound;
             typeName = typeName + '_AND_' + valueSet;
             const annotations = this.config.addValueSetVersionAnnotation && version
                   ? {
@@ -291,7 +680,7 @@ class FhirShExJGenerator extends ModelVisitor {
             if (this.config.axes.h) {
               valueExpr = {
                 type: "ShapeAnd",
-                shapeExprs: [valueExpr, Prefixes.fhirvs + valueSet]
+                shapeExprs: [valueExpr, valueSetLabel]
                 // TODO: does not pass annotation into triple constraint
               };
             } else {
@@ -299,7 +688,7 @@ class FhirShExJGenerator extends ModelVisitor {
                 {
                   type: "TripleConstraint",
                   predicate: Prefixes.fhir + 'v',
-                  valueExpr: Prefixes.fhirvs + valueSet
+                  valueExpr: valueSetLabel
                 },
                 annotations
               );
@@ -309,11 +698,29 @@ class FhirShExJGenerator extends ModelVisitor {
               };
             }
           }
+        } else if (strength && this.bindingPolicy(strength) !== 'ignore') {
+          annotations = FhirShExJGenerator.bindingAnnotations(propertyMapping.binding);
+          const bound = this.bindingPolicy(strength) === 'advisory'
+                ? await this.bindingValueSet(propertyMapping, false)
+                : null;
+          const advisory = bound
+                ? this.advisoryShape(typeName, bound.valueSetLabel, bound.valueSet)
+                : null;
+          if (advisory)
+            annotations.push({type: "Annotation", predicate: FhirShExJGenerator.ADVISORY_PREDICATE, object: advisory});
+          bindingAnnotations = annotations;
+        }
+        if (propertyMapping.restrictions) {
+          valueExpr = this.addFixedValue(valueExpr, propertyMapping.restrictions);
         }
         if (this.config.axes.c && propertyMapping.element.max !== "1") {
           typeName = this.listName(typeName);
-          this.lists[Prefixes.fhirshex + typeName] = valueExpr;
-          valueExpr = Prefixes.fhirshex + typeName;
+          this.lists[shapeNamespace + typeName] = valueExpr;
+          valueExpr = shapeNamespace + typeName;
+        } else if (isExtension) {
+          const tc = this.indexTripleConstraint(propertyMapping, valueExpr, null, annotations);
+          this.extensionRefs.push(tc);
+          return acc.concat([tc]);
         }
       }
       return acc.concat([this.indexTripleConstraint(
@@ -322,9 +729,9 @@ class FhirShExJGenerator extends ModelVisitor {
         null,
         annotations
       )]);
-    }, []);
+    }, Promise.resolve([]));
 
-    if (valueExprs.length > 0) { // 0 if specializing an earlier element
+    if (valueExprs.length > 0) {
       if (this.config.axes.v) {
         const teDisjuncts = Object.assign(
           valueExprs.length > 1
@@ -333,7 +740,8 @@ class FhirShExJGenerator extends ModelVisitor {
               expressions: valueExprs
             }
           : valueExprs[0],
-          this.makeCard(propertyMappings[0].element.min, propertyMappings[0].element.max)
+          this.makeCard(propertyMappings[0].element.min, propertyMappings[0].element.max),
+          this.invariantSemActs(propertyMappings[0].invariants)
         );
         this.add(teDisjuncts); // e.g. MedicationRequest.dose.dosageInstruction
       } else {
@@ -350,15 +758,200 @@ class FhirShExJGenerator extends ModelVisitor {
             predicate: valueExprs[0].predicate, // if !axes.v, all predicates will be the same
             valueExpr: seDisjuncts
           },
-          this.makeCard(propertyMappings[0].element.min, propertyMappings[0].element.max)
+          this.makeCard(propertyMappings[0].element.min, propertyMappings[0].element.max),
+          bindingAnnotations
+            ? { annotations: bindingAnnotations }
+            : {},
+          this.invariantSemActs(propertyMappings[0].invariants)
         );
         this.add(tc);
       }
     }
   }
 
+  /**
+   * Shape label for the ValueSet of propertyMapping's binding.
+   * @param warnExternal whether to report ValueSets we don't generate shapes for.
+   * @returns {Promise<{valueSetLabel: string, valueSet: string, version: string}|null>} label, local name, e.g.
+   *   "observation-status", and pinned version, or null for external ValueSets.
+   */
+  async bindingValueSet (propertyMapping, warnExternal) {
+    const canonical = DefinitionIndex.parseCanonical(propertyMapping.binding.valueSet);
+    const bindingMap = FhirShExJGenerator.BindingMaps.find(
+      bindingMap => canonical.url.startsWith(bindingMap.fhirStem)
+    );
+    if (!bindingMap) {
+      if (warnExternal)
+        this.warn('external-valueset', propertyMapping.element.id, `${propertyMapping.element.id} valueSet "${propertyMapping.binding.valueSet}" not an internal value set [${FhirShExJGenerator.BindingMaps.map(b => `"${b.fhirStem}"`).join(", ")}]:\n${JSON.stringify(propertyMapping.binding, null, 2).replace(/^/gm, "  ")}`);
+      return null;
+    }
+    const valueSetLabel = await this.valueSetLabel(
+      bindingMap.shexStem + canonical.url.substr(bindingMap.fhirStem.length),
+      propertyMapping.binding.valueSet,
+      propertyMapping.element.id
+    );
+    this.valueSetCanonicals.set(valueSetLabel, propertyMapping.binding.valueSet);
+    return {valueSetLabel, valueSet: valueSetLabel.substr(Prefixes.fhirvs.length), version: canonical.version};
+  }
+
+  /**
+   * Advisory shape for a type bound to a ValueSet, e.g. fhirshex:Coding_ADVISORY_X = @fhirshex:Coding AND
+   * { fhir:Coding.code { fhir:v @fhirvs:X } }. CodeableConcepts need some coding to conform to the Coding's.
+   * @returns {string|null} shape label, shared by all elements with that type and ValueSet, or null for types other
+   *   than primitives, Coding, CodeableConcept and CodeableReference.
+   */
+  advisoryShape (typeName, valueSetLabel, valueSet) {
+    const label = Prefixes.fhirshex + typeName + '_ADVISORY_' + valueSet;
+    if (label in this.advisories)
+      return label;
+    const predicate = (type, property) => Prefixes.fhir + (this.config.axes.d ? type + '.' + property : property);
+    const valueConstraint = this.config.axes.h
+          ? valueSetLabel
+          : { type: "Shape", expression: this.makeTripleConstraint(Prefixes.fhir + 'v', valueSetLabel) };
+    let constraint;
+    switch (typeName) {
+    case 'Coding':
+      constraint = { type: "Shape", expression: this.makeTripleConstraint(predicate('Coding', 'code'), valueConstraint) };
+      break;
+    case 'CodeableConcept': {
+      const coding = this.advisoryShape('Coding', valueSetLabel, valueSet);
+      const codingPredicate = predicate('CodeableConcept', 'coding');
+      constraint = this.config.axes.c
+        ? { type: "Shape", expression: this.makeTripleConstraint(codingPredicate, this.someMemberList(coding)) }
+        : { type: "Shape", extra: [codingPredicate], expression: this.makeTripleConstraint(codingPredicate, coding, {min: 1, max: -1}) };
+      break;
+    }
+    case 'CodeableReference':
+      constraint = { type: "Shape", expression: this.makeTripleConstraint(
+        predicate('CodeableReference', 'concept'), this.advisoryShape('CodeableConcept', valueSetLabel, valueSet)
+      ) };
+      break;
+    default:
+      if (typeName.substr(0, 1) !== typeName.substr(0, 1).toLowerCase())
+        return null; // e.g. Quantity; only primitives have a fhir:v to check
+      constraint = valueConstraint;
+    }
+    this.advisories[label] = { type: "ShapeAnd", shapeExprs: [Prefixes.fhirshex + typeName, constraint] };
+    return label;
+  }
+
+  /**
+   * Shape for an rdf:Collection with some member conforming to memberLabel.
+   */
+  someMemberList (memberLabel) {
+    const label = Prefixes.fhirshex + 'SomeOf_' + memberLabel.substr(Prefixes.fhirshex.length);
+    if (!(label in this.advisories)) {
+      const member = (first, rest) => ({
+        type: "Shape",
+        expression: {
+          type: "EachOf",
+          expressions: [this.makeTripleConstraint(P.rdf + 'first', first), this.makeTripleConstraint(P.rdf + 'rest', rest)]
+        }
+      });
+      this.advisories[label] = { type: "ShapeOr", shapeExprs: [member(memberLabel, undefined), member(undefined, label)] };
+    }
+    return label;
+  }
+
+  /**
+   * What to do with a non-required binding: config.bindingPolicy is a policy for all of them or one per strength, e.g.
+   * {extensible: "advisory", preferred: "annotate"}.
+   * @param strength "extensible", "preferred" or "example".
+   * @returns {string} one of FhirShExJGenerator.BINDING_POLICIES.
+   */
+  bindingPolicy (strength) {
+    const policy = this.config.bindingPolicy;
+    const ret = typeof policy === 'object' && policy !== null
+          ? policy[strength]
+          : policy;
+    return ret || 'ignore';
+  }
+
+  /**
+   * Annotations recording a binding's strength and ValueSet.
+   */
+  static bindingAnnotations (binding) {
+    return [
+      {type: "Annotation", predicate: FhirShExJGenerator.BINDING_STRENGTH_PREDICATE, object: {value: binding.strength}},
+      {type: "Annotation", predicate: FhirShExJGenerator.BINDING_VALUESET_PREDICATE, object: binding.valueSet},
+    ];
+  }
+
+  /**
+   * Constrain valueExpr to a profile's fixed[x] or pattern[x] primitive value.
+   * Complex patterns (e.g. patternCodeableConcept) are left to the validator.
+   */
+  addFixedValue (valueExpr, restrictions) {
+    const fixed = restrictions.fixed || restrictions.pattern;
+    if (!fixed || typeof fixed.value === 'object')
+      return valueExpr;
+    const value = Object.assign(
+      { value: String(fixed.value) },
+      fixed.type in FhirShExJGenerator.FixedValueDatatypes
+        ? { type: FhirShExJGenerator.FixedValueDatatypes[fixed.type] }
+        : {}
+    );
+    const nodeConstraint = { type: "NodeConstraint", values: [value] };
+    return {
+      type: "ShapeAnd",
+      shapeExprs: [
+        valueExpr,
+        this.config.axes.h
+          ? nodeConstraint
+          : { type: "Shape", expression: { type: "TripleConstraint", predicate: Prefixes.fhir + 'v', valueExpr: nodeConstraint } }
+      ]
+    };
+  }
+
   async exit (propertyMapping, config) {
-    this.popShape(propertyMapping.type);
+    const properties = this.shapeProperties[0];
+    const decl = this.popShape(propertyMapping.type);
+    await this.addInvariants(decl, propertyMapping.invariants, async () => properties, propertyMapping.element.id);
+  }
+
+  /**
+   * Record a shape's invariants as semantic actions and, if config.invariants is "translate", conjoin those
+   * FhirPathTranslator understands.
+   * @param getProperties async function returning the shape's PropertyMappings, to resolve property names.
+   * @param path element id for diagnostics.
+   */
+  async addInvariants (decl, invariants, getProperties, path) {
+    const semActs = this.invariantSemActs(invariants);
+    if (!("semActs" in semActs))
+      return;
+    Object.assign(decl.shapeExpr, semActs);
+    if (this.config.invariants !== 'translate')
+      return;
+
+    const properties = await getProperties();
+    const translator = new FhirPathTranslator(name => properties
+      .filter(pMap => FhirRdfModelGenerator.elementName(pMap) === name)
+      .map(pMap => pMap.predicate));
+    const constraints = invariants.filter(invariant => invariant.severity === 'error').reduce((acc, invariant) => {
+      const shapeExpr = translator.translate(invariant.expression);
+      if (shapeExpr === null) {
+        this.note('invariant-not-translated', path, `${invariant.key} "${invariant.expression}" isn't in the subset of FHIRPath that can be translated to ShEx`);
+        return acc;
+      }
+      return acc.concat([shapeExpr]);
+    }, []);
+    if (constraints.length > 0)
+      decl.shapeExpr = { type: "ShapeAnd", shapeExprs: [decl.shapeExpr].concat(constraints) };
+  }
+
+  /**
+   * @returns {{semActs}|{}} semantic actions for invariants, or {} if there are none or config.invariants is "ignore".
+   */
+  invariantSemActs (invariants) {
+    if ((this.config.invariants || 'ignore') === 'ignore' || invariants.length === 0)
+      return {};
+    return {
+      semActs: invariants.map(({key, severity, human, expression}) => ({
+        type: "SemAct",
+        name: FhirShExJGenerator.INVARIANT_SEMACT,
+        code: JSON.stringify({key, severity, human, expression})
+      }))
+    };
   }
 
   pushShape (name, isClosed, parents) {
@@ -379,12 +972,14 @@ class FhirShExJGenerator extends ModelVisitor {
       shapeExpr: newShape,
     };
     this.teListStack.unshift([]);
+    this.shapeProperties.unshift([]);
     this.schema.shapes.push(newDecl);
     this.shapeStack.push(newDecl);
   }
 
   popShape (name) {
     const teList = this.teListStack.shift();
+    this.shapeProperties.shift();
     const newDecl = this.shapeStack.pop();
     // Base, Age, Count, DataType, Distance, Duration, PrimitiveType, MoneyQuantity, SimpleQuantity
     if (teList.length === 0 && name !== "Base" && !("extends" in newDecl.shapeExpr))
@@ -398,6 +993,7 @@ class FhirShExJGenerator extends ModelVisitor {
         type: "EachOf",
         expressions: teList
       };
+    return newDecl;
   }
 
   makeCard(minP, maxP) {
@@ -443,9 +1039,15 @@ class FhirShExJGenerator extends ModelVisitor {
    * @returns {FhirShExJGenerator}
    */
   async genValueset (resourceDef, generatorConfig = this.config) {
-    const label = Prefixes.fhirvs + resourceDef.id;
+    this.currentDef = resourceDef;
+    const latest = resourceDef.url
+          ? await this.definitionLoader.getDefinitionByCanonical(resourceDef.url)
+          : undefined;
+    const label = latest && latest !== resourceDef && resourceDef.version
+          ? FhirShExJGenerator.versionedValueSetLabel(resourceDef.id, resourceDef.version)
+          : Prefixes.fhirvs + resourceDef.id;
     if ("baseDefinition" in resourceDef && !(resourceDef.baseDefinition.startsWith(FhirRdfModelGenerator.STRUCTURE_DEFN_ROOT))) {
-      this.myError(Error(`Don't know where to look for base structure ${resourceDef.baseDefinition}`));
+      this.myError(new FhirResourceDefinitionError(`Don't know where to look for base structure ${resourceDef.baseDefinition}`, resourceDef, 'unknown-base'));
       return this;
     }
 
@@ -454,8 +1056,16 @@ class FhirShExJGenerator extends ModelVisitor {
       await this.visitElement(recursionTarget, visitor, generatorConfig); // Get content model from base type
     }
 
-    // added empty default because https://build.fhir.org/valueset-device-operational-state-mode.html has no expansion as of 2022-05-04
-    const values = await this.parseCompose(resourceDef.compose || {include:[]});
+    // A ValueSet we can't expand (e.g. SNOMED CT filters) gets no values so it accepts any code.
+    const expansion = await this.valueSetExpander.expand(resourceDef);
+    expansion.missing.codesystems.forEach(canonical => this.missing("codesystems", canonical));
+    expansion.missing.valuesets.forEach(canonical => this.missing("valuesets", canonical));
+    if (!expansion.complete)
+      this.warn('valueset-not-expandable', null, `can't expand ValueSet ${resourceDef.url || resourceDef.id} offline: ${expansion.issues.join('; ')}`);
+    const values = expansion.codes
+          .map(c => c.code)
+          .filter((code, idx, codes) => codes.indexOf(code) === idx) // same code from different systems
+          .map(code => ({value: code}));
     let nodeConstraint = {
       type: "NodeConstraint",
     };
@@ -472,36 +1082,50 @@ class FhirShExJGenerator extends ModelVisitor {
     return this;
   }
 
-  async parseCompose (compose) {
-    return await compose.include.reduce(async (accP, i) => {
-      let acc = await accP;
-      if ("system" in i) {
-        const cs = await this.definitionLoader.getCodesystemByUrl(i.system);
-        if (cs !== undefined) {
-          if ("concept" in cs) {
-            acc = acc.concat(this.parseConcept(cs.concept));
-          }
-          if ("property" in cs) {
-            acc = acc.concat(this.parseConcept(cs.property));
-          }
-        } else {
-          this.missing("codesystems", i.system);
-        }
-      }
-      return ("concept" in i)
-        ? acc.concat(i.concept.map(c => ({value: c.code})))
-        : acc;
-    }, Promise.resolve([]))
+  /**
+   * Shape label for a ValueSet binding.
+   * A binding pinned to a version other than the latest loaded one (e.g. an IG pinning an older version of a core
+   * ValueSet) gets a label with a version suffix, matching the one genValueset gives that version.
+   * @param localName e.g. "identifier-use" or "hl7-v3-TimingEvent"
+   * @param canonical ValueSet canonical, e.g. "http://hl7.org/fhir/ValueSet/identifier-use|4.5.0"
+   * @param path id of the bound element, for diagnostics.
+   * @returns {Promise<string>} label
+   */
+  async valueSetLabel (localName, canonical, path = null) {
+    const {url, version} = DefinitionIndex.parseCanonical(canonical);
+    if (version === undefined)
+      return Prefixes.fhirvs + localName;
+    const pinned = await this.definitionLoader.getDefinitionByCanonical(url, version);
+    if (pinned === undefined) {
+      // Report it rather than silently using whatever version we have.
+      this.missing("valuesets", canonical, path);
+      return Prefixes.fhirvs + localName;
+    }
+    const latest = await this.definitionLoader.getDefinitionByCanonical(url);
+    return latest === pinned
+      ? Prefixes.fhirvs + localName
+      : FhirShExJGenerator.versionedValueSetLabel(localName, version);
+  }
+
+  static versionedValueSetLabel (localName, version) {
+    return Prefixes.fhirvs + localName + '_v' + version;
   }
 
-  missing (type, missing) {
+  /**
+   * Record a missing definition in config.missing and config.diagnostics.
+   * @param type "valuesets" or "codesystems".
+   * @param path id of the element which needed it, or null.
+   */
+  missing (type, missing, path = null) {
+    const msg = `can't find definition for ${type} ${missing}`;
+    if ("diagnostics" in this.config)
+      this.config.diagnostics.add('missing-' + type.replace(/s$/, ''), Diagnostics.WARNING, this.currentDef ? this.currentDef.id : null, path, msg);
     if ("missing" in this.config) {
       if (!(type in this.config.missing)) {
         this.config.missing[type] = new Set();
       }
       this.config.missing[type].add(missing);
-    } else {
-      const msg = `can't find definition for ${type} ${missing}`;
+    } else if (!("diagnostics" in this.config)) {
       if (this.config.log) {
         console.log(msg);
       } else {
@@ -510,16 +1134,15 @@ class FhirShExJGenerator extends ModelVisitor {
     }
   }
 
-  parseConcept (concept) {
-    return concept.reduce((acc, c) => {
-      if ("code" in c) {
-        acc = acc.concat([{value: c.code}]);
-      }
-      if ("concept" in c) {
-        acc = acc.concat(this.parseConcept(c.concept));
-      }
-      return acc;
-    }, [])
+  // ShExUtil.index and ShExUtil.Visitor are gone from newer @shexjs/util releases; see FhirJsonLdContextGenerator.index.
+  static index (shexj) {
+    return ShExUtil.index
+      ? ShExUtil.index(shexj)
+      : {shapeExprs: shexj.shapes.reduce((acc, decl) => Object.assign(acc, {[decl.id]: decl}), {}), tripleExprs: {}};
+  }
+
+  static visitor () {
+    return ShExUtil.Visitor ? ShExUtil.Visitor() : new ShExVisitor();
   }
 
   /**
@@ -528,10 +1151,10 @@ class FhirShExJGenerator extends ModelVisitor {
    * @returns {schema} nested copy of schema
    */
   static nestShapes (schema) {
-    const index = schema._index || ShExUtil.index(schema);
+    const index = schema._index || FhirShExJGenerator.index(schema);
 
     // Create a visitor to count references to labeled (i.e. appearing in schema.shapes) ShapeExpressions.
-    const seFinder = ShExUtil.Visitor();
+    const seFinder = FhirShExJGenerator.visitor();
 
     let refCounts = {}
 
@@ -544,13 +1167,13 @@ class FhirShExJGenerator extends ModelVisitor {
     seFinder.visitSchema(schema) // Throw away the copy this created. We only want the ref counts.
 
     // Create another visitor to make a nested copy of schema.
-    const seRenamer = ShExUtil.Visitor()
+    const seRenamer = FhirShExJGenerator.visitor()
 
     // We want to nest this ShapeExpression if:
     function nestTest (shapeDeclLabel) {
       return refCounts[shapeDeclLabel] === 1 &&                // it has a ref count == 1, AND
-          shapeDeclLabel.startsWith(P.fhirshex) &&             // it is a FHIR shape (probably unnecessary in the FHIR schema), AND
-          shapeDeclLabel.substr(P.fhirshex.length).indexOf('.') !== -1 // it has a '.' in the name (our naming convention for nested shape).
+          shapeDeclLabel.indexOf('/shape/') !== -1 &&          // it is a FHIR (or logical model) shape, AND
+          shapeDeclLabel.substr(shapeDeclLabel.lastIndexOf('/') + 1).indexOf('.') !== -1 // it has a '.' in the name (our naming convention for nested shape).
     }
 
     seRenamer.visitShapeRef = function (reference) {
@@ -570,6 +1193,67 @@ class FhirShExJGenerator extends ModelVisitor {
 
     return seRenamer.visitSchema(schema)
   }
+
+  /**
+   * Create a copy of `schema` which doesn't depend on the order of the input definitions, for golden tests and
+   * diffs between runs: shapes sorted by label, members of EachOf, OneOf and ShapeOr (none of which are ordered in
+   * ShEx) sorted, and volatile annotations removed.
+   * @param schema ShExJ schema, e.g. from genShExJ.
+   * @param volatileAnnotations annotation predicates to remove.
+   * @returns {object} canonicalized copy of schema.
+   */
+  static canonicalize (schema, volatileAnnotations = FhirShExJGenerator.VOLATILE_ANNOTATIONS) {
+    const byKey = (l, r) => {
+      const [lKey, rKey] = [l, r].map(FhirShExJGenerator.canonicalKey);
+      return lKey < rKey ? -1 : lKey > rKey ? 1 : 0;
+    };
+    const stripAnnotations = (expr) => {
+      if (!expr.annotations)
+        return expr;
+      const annotations = expr.annotations.filter(a => volatileAnnotations.indexOf(a.predicate) === -1);
+      const ret = Object.assign({}, expr, {annotations});
+      if (annotations.length === 0)
+        delete ret.annotations;
+      return ret;
+    };
+    const shapeExpr = (se) => {
+      if (typeof se === 'string')
+        return se;
+      switch (se.type) {
+      case 'ShapeOr':
+        return Object.assign({}, se, {shapeExprs: se.shapeExprs.map(shapeExpr).sort(byKey)});
+      case 'ShapeAnd':
+        return Object.assign({}, se, {shapeExprs: se.shapeExprs.map(shapeExpr)});
+      case 'ShapeNot':
+      case 'ShapeDecl':
+        return Object.assign({}, se, {shapeExpr: shapeExpr(se.shapeExpr)});
+      case 'Shape':
+        return stripAnnotations('expression' in se ? Object.assign({}, se, {expression: tripleExpr(se.expression)}) : se);
+      default: // NodeConstraint, ShapeExternal
+        return stripAnnotations(se);
+      }
+    };
+    const tripleExpr = (te) => {
+      if (typeof te === 'string') // inclusion
+        return te;
+      if (te.type === 'TripleConstraint')
+        return stripAnnotations('valueExpr' in te ? Object.assign({}, te, {valueExpr: shapeExpr(te.valueExpr)}) : te);
+      return stripAnnotations(Object.assign({}, te, {expressions: te.expressions.map(tripleExpr).sort(byKey)}));
+    };
+
+    const ret = Object.assign({}, schema, {shapes: schema.shapes.map(shapeExpr).sort((l, r) => l.id < r.id ? -1 : l.id > r.id ? 1 : 0)});
+    delete ret._index;
+    if ('start' in schema)
+      ret.start = shapeExpr(schema.start);
+    return ret;
+  }
+
+  /**
+   * Sort key for a canonicalized shape or triple expression: triple constraints sort by predicate.
+   */
+  static canonicalKey (expr) {
+    return (typeof expr === 'object' && expr.type === 'TripleConstraint' ? expr.predicate : '') + ' ' + JSON.stringify(expr);
+  }
 };
 
 if (typeof module !== 'undefined')
@@ -0,0 +1,375 @@
+const {FhirRdfModelGenerator, FhirResourceDefinitionError} = require('./FhirRdfModelGenerator');
+const {FhirGenerator} = require('./FhirGenerator');
+const Prefixes = require('./Prefixes');
+const {Writer} = require('./NestedWriter');
+const {DataFactory} = require('n3');
+const {namedNode, blankNode, literal} = DataFactory;
+
+const P = Prefixes;
+const SH = 'http://www.w3.org/ns/shacl#';
+
+/**
+ * Leverage a FhirRdfModelGenerator to traverse StructureDefinitions and generate SHACL shapes for the same RDF as
+ * FhirShExJGenerator's ShExJ: a sh:NodeShape per resource, datatype and nested structure with a property shape per
+ * element.
+ *
+ * SHACL has no equivalent of ShEx EXTENDS and sh:closed only admits a shape's own property shapes, so each node shape
+ * lists the properties it inherits as well as its own. Shapes are described by a small tree, e.g.
+ *   {id: "http://hl7.org/fhir/shape/Observation", props: [[sh:closed, true], [sh:property, {props: [[sh:path, ...]]}]]}
+ * where property values are IRIs, numbers, booleans, {literal}, nested {props} or {list}, and written with NestedWriter.
+ */
+class FhirShaclGenerator extends FhirGenerator {
+  static NS_sh = SH;
+
+  // Like FhirShExJGenerator.PARENT_TYPES, these shapes aren't closed so any resource conforms to them.
+  static PARENT_TYPES = ['Resource'];
+
+  constructor (definitionLoader, config = {}) {
+    super(definitionLoader, config);
+    // walk StructureDefinition, calling enter, element, exit.
+    this.modelGenerator = new FhirRdfModelGenerator(this.definitionLoader, config);
+    // node shapes by label, in the order they were generated.
+    this.shapes = new Map();
+    // ValueSet shape labels (or null if the ValueSet can't be used) by canonical.
+    this.valueSets = new Map();
+    // shapes being populated, innermost first: {shape, path} where path is the element id of their children's parent.
+    this.shapeStack = [];
+    // namespace for the current genShape's nested shapes; logical models have their own.
+    this.nestedShapeNamespace = Prefixes.fhirshex;
+  }
+
+  /**
+   * Shape label for a type name or logical model URL, as in FhirShExJGenerator.
+   */
+  typeLabel (typeName) {
+    return FhirRdfModelGenerator.isLogicalTypeCode(typeName)
+      ? this.modelGenerator.logicalNamespace(typeName) + 'shape/' + FhirRdfModelGenerator.logicalTypeName(typeName)
+      : Prefixes.fhirshex + typeName;
+  }
+
+  /**
+   * Generate node shapes for the StructureDefinitions in sources, a list of FHIR Bundles.
+   * ValueSets get shapes when a required binding uses them. Profiles (derivation=constraint) are skipped.
+   * @returns {FhirShaclGenerator} this.
+   */
+  async genShacl (sources, skip = []) {
+    for (const source of sources) {
+      for (const entry of source.entry) {
+        const resourceDef = entry.resource;
+        if (resourceDef.resourceType !== 'StructureDefinition'
+            || FhirRdfModelGenerator.isConstraint(resourceDef)
+            || skip.indexOf(resourceDef.id) !== -1)
+          continue;
+        await this.genShape(resourceDef);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Generate a node shape for resourceDef and, via the visitor calls, its nested structures.
+   */
+  async genShape (resourceDef) {
+    this.currentDef = resourceDef;
+    if ('baseDefinition' in resourceDef && !resourceDef.baseDefinition.startsWith(FhirRdfModelGenerator.STRUCTURE_DEFN_ROOT) && !FhirRdfModelGenerator.isLogical(resourceDef)) {
+      this.myError(new FhirResourceDefinitionError(`Unknown URL stem in ${resourceDef.baseDefinition}, expected ${FhirRdfModelGenerator.STRUCTURE_DEFN_ROOT}`, resourceDef, 'unknown-base'));
+      return this;
+    }
+    const isLogical = FhirRdfModelGenerator.isLogical(resourceDef);
+    this.nestedShapeNamespace = isLogical
+      ? this.modelGenerator.logicalNamespace(resourceDef.url) + 'shape/'
+      : Prefixes.fhirshex;
+    const isClosed = FhirShaclGenerator.PARENT_TYPES.indexOf(resourceDef.id) === -1;
+    const shape = this.pushShape(this.nestedShapeNamespace + resourceDef.id, isClosed, resourceDef.id);
+    if (resourceDef.kind === 'resource' || isLogical) {
+      shape.props.push([SH + 'targetClass', isLogical
+                        ? this.modelGenerator.logicalNamespace(resourceDef.url) + FhirRdfModelGenerator.logicalTypeName(resourceDef.url)
+                        : Prefixes.fhir + resourceDef.id]);
+      if (isClosed)
+        this.addPropertyShape(Prefixes.fhir + 'nodeRole', [[SH + 'in', {list: [Prefixes.fhir + 'treeRoot']}]], 0, '1');
+    }
+
+    // Inherited elements, then those resourceDef defines.
+    const contentModel = await this.modelGenerator.getContentModel(resourceDef, this.config);
+    await this.inheritElements(contentModel);
+    await this.modelGenerator.visitResource(resourceDef, this, this.config);
+    this.popShape();
+    return this;
+  }
+
+  /**
+   * Add property shapes for the elements a content model inherits, or for all of them if all is true.
+   * Nested structures reference the shape generated for the ancestor which defines them.
+   */
+  async inheritElements (contentModel, all = false) {
+    const own = all ? [] : contentModel.ownElements();
+    for (const propertyMappings of contentModel.merged().filter(disjuncts => own.indexOf(disjuncts) === -1)) {
+      const propertyMapping = propertyMappings[0];
+      const isNested = FhirRdfModelGenerator.NestedStructureTypeCodes
+            .map(code => FhirRdfModelGenerator.STRUCTURE_DEFN_ROOT + code)
+            .indexOf(propertyMapping.type) !== -1;
+      if (isNested)
+        this.addNestedPropertyShape(propertyMapping);
+      else
+        await this.addElement(propertyMappings);
+    }
+  }
+
+  async enter (propertyMapping, config) {
+    const elt = propertyMapping.element;
+    if (this.owns(elt))
+      this.addNestedPropertyShape(propertyMapping);
+    this.pushShape(this.nestedShapeNamespace + elt.id, true, elt.id);
+    // e.g. id, extension and modifierExtension from BackboneElement
+    for (const type of elt.type) {
+      const baseDef = await this.definitionLoader.getStructureDefinitionByName(type.code);
+      if (baseDef)
+        await this.inheritElements(await this.modelGenerator.getContentModel(baseDef, this.config), true);
+    }
+  }
+
+  async element (propertyMappings, config) {
+    if (this.owns(propertyMappings[0].element))
+      await this.addElement(propertyMappings);
+  }
+
+  exit (propertyMapping, config) {
+    this.popShape();
+  }
+
+  /**
+   * Whether elt belongs to the shape being populated, as opposed to e.g. BackboneElement.modifierExtension, which
+   * the walker visits when entering a nested structure and which enter() already added.
+   */
+  owns (elt) {
+    return this.shapeStack.length > 0
+      && elt.id.substr(0, elt.id.lastIndexOf('.')) === this.shapeStack[0].path;
+  }
+
+  pushShape (label, isClosed, path) {
+    const shape = {id: label, props: [[P.rdf + 'type', SH + 'NodeShape']]};
+    if (isClosed)
+      shape.props.push([SH + 'closed', true], [SH + 'ignoredProperties', {list: [P.rdf + 'type']}]);
+    this.shapes.set(label, shape);
+    this.shapeStack.unshift({shape, path, isClosed});
+    return shape;
+  }
+
+  popShape () {
+    const {shape, path} = this.shapeStack[0];
+    // fhir:index emulates list order; PARENT_TYPES stay open for resources, which carry their own.
+    if (!this.config.axes.c && FhirShaclGenerator.PARENT_TYPES.indexOf(path) === -1)
+      this.addPropertyShape(Prefixes.fhir + 'index', [[SH + 'datatype', P.xsd + 'integer']], 0, '1');
+    this.shapeStack.shift();
+    return shape;
+  }
+
+  addNestedPropertyShape (propertyMapping) {
+    const elt = propertyMapping.element;
+    this.addPropertyShape(propertyMapping.predicate, [[SH + 'node', this.nestedShapeNamespace + elt.id]], elt.min, elt.max);
+  }
+
+  /**
+   * Add property shapes for an element's (disjoint) PropertyMappings.
+   * With axes.v, each type of a choice has its own predicate and at most one may appear; otherwise they share a
+   * predicate whose values conform to one of the types.
+   */
+  async addElement (propertyMappings) {
+    const elt = propertyMappings[0].element;
+    const constraints = await Promise.all(propertyMappings.map(pMap => this.valueConstraints(pMap)));
+    if (this.config.axes.v && propertyMappings.length > 1) {
+      propertyMappings.forEach((pMap, idx) => this.addPropertyShape(pMap.predicate, constraints[idx], 0, elt.max));
+      const present = propertyMappings.map(pMap => ({props: [[SH + 'path', pMap.predicate], [SH + 'minCount', 1]]}));
+      const absent = {props: propertyMappings.map(pMap => [SH + 'property', {props: [[SH + 'path', pMap.predicate], [SH + 'maxCount', 0]]}])};
+      const min = FhirShaclGenerator.min(elt.min);
+      if (elt.max === '1') // exactly one of them, or of them and none
+        this.shapeStack[0].shape.props.push([SH + 'xone', {list: (min > 0 ? [] : [absent]).concat(present)}]);
+      else if (min > 0)
+        this.shapeStack[0].shape.props.push([SH + 'or', {list: present}]);
+    } else {
+      this.addPropertyShape(
+        propertyMappings[0].predicate,
+        constraints.length === 1
+          ? constraints[0]
+          : [[SH + 'or', {list: constraints.map(props => ({props}))}]],
+        elt.min, elt.max
+      );
+    }
+  }
+
+  /**
+   * Add a property shape to the current node shape. With axes.c, elements with max > 1 are rdf:Lists, so the
+   * cardinality and value constraints apply to the list's members.
+   */
+  addPropertyShape (predicate, constraints, minP, maxP) {
+    const min = FhirShaclGenerator.min(minP);
+    const max = maxP === undefined ? '1' : maxP;
+    const card = (min, max) => (min > 0 ? [[SH + 'minCount', min]] : [])
+          .concat(max !== '*' ? [[SH + 'maxCount', parseInt(max)]] : []);
+    const props = this.shapeStack[0].shape.props;
+    if (this.config.axes.c && max !== '1' && max !== '0') {
+      props.push([SH + 'property', {props: [[SH + 'path', predicate]].concat(card(min > 0 ? 1 : 0, '1'))}]);
+      props.push([SH + 'property', {props: [[SH + 'path', {list: FhirShaclGenerator.listMembers(predicate)}]].concat(card(min, max), constraints)}]);
+    } else {
+      props.push([SH + 'property', {props: [[SH + 'path', predicate]].concat(card(min, max), max === '0' ? [] : constraints)}]);
+    }
+  }
+
+  // ElementDefinition.min, defaulting as FhirShExJGenerator.makeCard does.
+  static min (min) {
+    return min === undefined ? 1 : min;
+  }
+
+  /**
+   * Sequence path from a node to the members of the rdf:List which is its predicate's value.
+   */
+  static listMembers (predicate) {
+    return [predicate, {props: [[SH + 'zeroOrMorePath', P.rdf + 'rest']]}, P.rdf + 'first'];
+  }
+
+  /**
+   * Constraints on the values of a PropertyMapping: sh:datatype for scalars, else sh:node, plus any required binding.
+   */
+  async valueConstraints (propertyMapping) {
+    if (propertyMapping.isScalar)
+      return FhirShaclGenerator.datatypeConstraints(FhirRdfModelGenerator.datatypes(propertyMapping.type));
+    const type = propertyMapping.type;
+    const hoisted = this.config.axes.h
+          ? await this.modelGenerator.primitiveValueType(type, this.config)
+          : null;
+    const ret = hoisted !== null
+          ? FhirShaclGenerator.datatypeConstraints(FhirRdfModelGenerator.datatypes(hoisted))
+          : [[SH + 'node', this.typeLabel(type)]];
+    return propertyMapping.binding && propertyMapping.binding.strength === 'required'
+      ? ret.concat(await this.bindingConstraints(propertyMapping))
+      : ret;
+  }
+
+  static datatypeConstraints (datatypes) {
+    return datatypes.length === 1
+      ? [[SH + 'datatype', datatypes[0]]]
+      : datatypes.length > 1
+      ? [[SH + 'or', {list: datatypes.map(dt => ({props: [[SH + 'datatype', dt]]}))}]]
+      : [];
+  }
+
+  /**
+   * Constrain the codes of an element with a required binding to its ValueSet's shape, which is an sh:in.
+   * CodeableConcepts (and CodeableReferences) need some coding to have a code in the ValueSet.
+   */
+  async bindingConstraints (propertyMapping) {
+    const typeName = FhirRdfModelGenerator.isLogicalTypeCode(propertyMapping.type)
+          ? FhirRdfModelGenerator.logicalTypeName(propertyMapping.type)
+          : propertyMapping.type;
+    const path = this.codePath(typeName);
+    if (path === null) {
+      this.note('binding-not-checked', propertyMapping.element.id, `can't check the required binding of a ${typeName}`);
+      return [];
+    }
+    const valueSetLabel = await this.valueSetShape(propertyMapping.binding.valueSet, propertyMapping.element.id);
+    if (valueSetLabel === null)
+      return [];
+    if (path.length === 0) // hoisted primitive
+      return [[SH + 'node', valueSetLabel]];
+    const pathValue = path.length === 1 ? path[0] : {list: path};
+    const someCoding = typeName === 'CodeableConcept' || typeName === 'CodeableReference';
+    return [[SH + 'node', {props: [[SH + 'property', {props: [[SH + 'path', pathValue]].concat(
+      someCoding
+        ? [[SH + 'qualifiedValueShape', valueSetLabel], [SH + 'qualifiedMinCount', 1]]
+        : [[SH + 'node', valueSetLabel]]
+    )}]]}]];
+  }
+
+  /**
+   * Path from a node of typeName to its code literals, [] if it's a (hoisted) literal itself, or null if it has none.
+   */
+  codePath (typeName) {
+    const predicate = (type, property) => Prefixes.fhir + (this.config.axes.d ? type + '.' + property : property);
+    const value = this.config.axes.h ? [] : [Prefixes.fhir + 'v'];
+    switch (typeName) {
+    case 'Coding':
+      return [predicate('Coding', 'code')].concat(value);
+    case 'CodeableConcept': {
+      const coding = predicate('CodeableConcept', 'coding');
+      return (this.config.axes.c ? FhirShaclGenerator.listMembers(coding) : [coding]).concat(this.codePath('Coding'));
+    }
+    case 'CodeableReference':
+      return [predicate('CodeableReference', 'concept')].concat(this.codePath('CodeableConcept'));
+    default:
+      return typeName.substr(0, 1) === typeName.substr(0, 1).toLowerCase()
+        ? value // primitives
+        : null;
+    }
+  }
+
+  /**
+   * Shape label for a ValueSet with an sh:in of its codes, e.g. fhirvs:observation-status.
+   * Bindings pinned to a version other than the latest loaded one get a label with a version suffix.
+   * @returns {Promise<string|null>} label, or null if the ValueSet isn't loaded or can't be expanded offline.
+   */
+  async valueSetShape (canonical, path) {
+    if (!this.valueSets.has(canonical)) {
+      const bound = await this.expandBoundValueSet(canonical, path);
+      let label = null;
+      if (bound !== null) {
+        label = Prefixes.fhirvs + bound.valueSet.id + (bound.latest ? '' : '_v' + bound.valueSet.version);
+        this.shapes.set(label, {id: label, props: [
+          [P.rdf + 'type', SH + 'NodeShape'],
+          [SH + 'in', {list: bound.codes.map(code => ({literal: code}))}],
+        ]});
+      }
+      this.valueSets.set(canonical, label);
+    }
+    return this.valueSets.get(canonical);
+  }
+
+  /**
+   * Serialize the shapes as Turtle.
+   * @param outputStream stream to write to, or null to resolve to a string.
+   * @returns {Promise<string|undefined>}
+   */
+  async writeTurtle (outputStream = null) {
+    const lists = {};
+    const writer = new Writer(outputStream, {
+      lists,
+      format: 'text/turtle',
+      prefixes: Object.assign({}, Prefixes, {sh: SH}),
+      version: 1.1,
+      checkCorefs: n => false, // property shapes and lists are trees
+    });
+    let bnodes = 0;
+    // Term for a value in a shape tree, registering lists with the writer.
+    const term = value => {
+      if (typeof value === 'string')
+        return namedNode(value);
+      if (typeof value === 'number')
+        return literal(String(value), namedNode(P.xsd + 'integer'));
+      if (typeof value === 'boolean')
+        return literal(String(value), namedNode(P.xsd + 'boolean'));
+      if ('literal' in value)
+        return literal(value.literal);
+      const node = blankNode((value.list ? 'list' : 'b') + bnodes++);
+      if (value.list)
+        lists[node.value] = value.list.map(term);
+      value.term = node;
+      return node;
+    };
+    // Add the quads under a node, depth-first so NestedWriter nests them.
+    const contents = value => {
+      if (value.props)
+        value.props.forEach(([predicate, object]) => {
+          writer.addQuad(value.term, namedNode(predicate), term(object));
+          contents(object);
+        });
+      else if (value.list)
+        value.list.forEach(contents);
+    };
+    this.shapes.forEach(shape => {
+      contents(Object.assign({}, shape, {term: namedNode(shape.id)}));
+    });
+    return new Promise((resolve, reject) => writer.end((error, result) => error ? reject(error) : resolve(result)));
+  }
+}
+
+if (typeof module !== 'undefined')
+  module.exports = {FhirShaclGenerator};
@@ -1,28 +1,77 @@
 const { DefinitionLoader } = require('./DefinitionLoader');
-const { DefinitionIndex } = require('./DefinitionIndex');
 const { BundleDefinitionLoader } = require('./BundleDefinitionLoader');
 const Fs = require('fs');
 const Path = require('path');
 
+/**
+ * DefinitionLoader for the output of SUSHI (https://fshschool.org/), i.e. a fsh-generated/resources directory.
+ * Definitions in that directory take precedence over the core definitions passed to the constructor.
+ */
 class FshDefinitionLoader extends DefinitionLoader {
-  constructor(fshFile, ...definitions) {
+  // resourceTypes we index from the SUSHI output; others (ImplementationGuide, examples) are ignored.
+  static RESOURCE_TYPES = ['StructureDefinition', 'ValueSet', 'CodeSystem'];
+
+  /**
+   * @param fshPath a SUSHI fsh-generated/resources directory or a starting definition (.json) in one.
+   * @param definitions core definitions (Bundles, resources or arrays of resources).
+   */
+  constructor(fshPath, ...definitions) {
     super();
-    this.defs = new DefinitionIndex(definitions);
-    const parsed = Path.parse(fshFile);
-    this.fshDir = parsed.dir;
-    this.start = parsed.base;
+    if (typeof fshPath !== 'string')
+      throw new TypeError(`expected a SUSHI fsh-generated/resources directory or a definition in one; got ${JSON.stringify(fshPath)}`);
+    this.core = new BundleDefinitionLoader(...definitions);
+    if (fshPath.endsWith('.json')) {
+      const parsed = Path.parse(fshPath);
+      this.fshDir = parsed.dir;
+      this.start = parsed.base;
+    } else {
+      this.fshDir = fshPath;
+      this.start = null;
+    }
+    this.local = null; // promise of {files, loader}; see getLocal()
   }
 
-  async getStart () { return Fs.promises.readFile(Path.join(this.fshDir, this.start), 'utf-8'); }
+  /**
+   * Definitions to generate: the starting definition, or every indexed definition in the directory.
+   */
+  async getStart () {
+    const {files} = await this.getLocal();
+    if (this.start === null)
+      return files.map(f => f.resource);
+    const found = files.find(f => f.file === this.start);
+    if (!found)
+      throw new Error(`${this.start} not found in ${this.fshDir}`);
+    return [found.resource];
+  }
 
   async getStructureDefinitionByName (target) {
-    console.log(target); process.exit();
-    return this.defs.getStructureDefinitionByName(target);
+    const {loader} = await this.getLocal();
+    return (await loader.getStructureDefinitionByName(target)) || this.core.getStructureDefinitionByName(target);
   }
 
   async getCodesystemByUrl (target) {
-    console.log(target); process.exit();
-    return this.defs.getCodesystemByUrl(target);
+    const {loader} = await this.getLocal();
+    return (await loader.getCodesystemByUrl(target)) || this.core.getCodesystemByUrl(target);
+  }
+
+  async getDefinitionByCanonical (canonical, version) {
+    const {loader} = await this.getLocal();
+    return (await loader.getDefinitionByCanonical(canonical, version)) || this.core.getDefinitionByCanonical(canonical, version);
+  }
+
+  getLocal () {
+    if (this.local === null)
+      this.local = FshDefinitionLoader.readDir(this.fshDir);
+    return this.local;
+  }
+
+  static async readDir (dir) {
+    const fileNames = (await Fs.promises.readdir(dir)).filter(f => f.endsWith('.json')).sort();
+    const files = (await Promise.all(fileNames.map(async file => ({
+      file,
+      resource: JSON.parse(await Fs.promises.readFile(Path.join(dir, file), 'utf-8'))
+    })))).filter(f => FshDefinitionLoader.RESOURCE_TYPES.indexOf(f.resource.resourceType) !== -1);
+    return {files, loader: new BundleDefinitionLoader(files.map(f => f.resource))};
   }
 }
 
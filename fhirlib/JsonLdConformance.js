@@ -0,0 +1,230 @@
+const Jsonld = require('jsonld');
+const N3 = require('n3');
+const Prefixes = require('./Prefixes');
+const FhirJsonLdContextGenerator = require('./FhirJsonLdContextGenerator');
+const {FhirR4Preprocessor, FhirR5Preprocessor} = require('./FhirPreprocessors');
+const {FhirJsonLdConfig} = require('./FhirJsonLdConfig');
+
+const NODE_ROLE = Prefixes.fhir + 'nodeRole';
+const TREE_ROOT = Prefixes.fhir + 'treeRoot';
+const INDEX = Prefixes.fhir + 'index';
+const XSD_STRING = Prefixes.xsd + 'string';
+
+/**
+ * Run FHIR JSON resources through the JSON-LD path (the FHIR version's preprocessor, FhirJsonLdContextGenerator's
+ * contexts, toRDF) and compare the results to reference RDF, e.g. fhirlib/test/ttl/*.nt:
+ *   {
+ *     summary: {isomorphic: 1, different: 1, failed: 1, unpaired: 1},
+ *     examples: [
+ *       {example: "playground-Observation-r4.json", reference: "playground-Observation.RDVch.nt", isomorphic: true, missing: [], extra: []},
+ *       {example, reference, isomorphic: false, missing: ["<http://hl7.org/fhir/Observation/f001> <http://hl7.org/fhir/Observation.code> _:<...> ."], extra: [...]},
+ *       {example, reference, error: "Can't find MedicationRequest.medicationReference in ..."},
+ *       {example, reference: null}, // no reference has the example's tree root
+ *     ]
+ *   }
+ * Graphs are compared by URDNA2015 canonicalization. Missing and extra triples name a blank node by its path from the
+ * nearest IRI, e.g. _:<http://hl7.org/fhir/Observation/f001>/Observation.code/CodeableConcept.coding[0], so one changed
+ * property doesn't relabel the rest of the graph.
+ */
+class JsonLdConformance {
+
+  static PREPROCESSORS = {R4: FhirR4Preprocessor, R5: FhirR5Preprocessor};
+
+  /**
+   * @param shexj schema generated from the fhirVersion's definitions.
+   * @param opts {fhirVersion, axes, jsonLdConfig, embedContext} where fhirVersion, "R4" (the default) or "R5", picks the
+   *   preprocessor and the default jsonLdConfig, and the rest are as for FhirR4Preprocessor.
+   */
+  constructor (shexj, opts = {}) {
+    this.shexj = shexj;
+    this.fhirVersion = opts.fhirVersion || 'R4';
+    if (!(this.fhirVersion in JsonLdConformance.PREPROCESSORS))
+      throw Error(`unknown FHIR version ${this.fhirVersion}; expected one of ${Object.keys(JsonLdConformance.PREPROCESSORS).join(', ')}`);
+    this.jsonLdConfig = opts.jsonLdConfig || FhirJsonLdConfig[this.fhirVersion];
+    this.opts = Object.assign({axes: this.jsonLdConfig.axes}, opts);
+    this.contextGenerator = new FhirJsonLdContextGenerator(shexj);
+  }
+
+  /**
+   * @param examples [{name, resource}] FHIR JSON resources.
+   * @param references [{name, text, format}] where format is an N3 parser format, e.g. "N-Triples" or "Turtle".
+   * @returns report (see above) comparing each example to each reference with the example's tree root.
+   */
+  async checkAll (examples, references) {
+    const roots = references.map(reference => JsonLdConformance.treeRoots(JsonLdConformance.parse(reference.text, reference.format)));
+    const results = [];
+    for (const {name, resource} of examples) {
+      const root = this.rootIri(resource);
+      const paired = references.filter((reference, i) => roots[i].indexOf(root) !== -1);
+      if (paired.length === 0)
+        results.push({example: name, reference: null});
+      for (const reference of paired) {
+        try {
+          results.push(Object.assign({example: name, reference: reference.name}, await this.check(resource, reference.text, reference.format)));
+        } catch (e) {
+          results.push({example: name, reference: reference.name, error: e.message.split('\n')[0]}); // not the shape some messages append
+        }
+      }
+    }
+    const summary = results.reduce((acc, result) => {
+      const outcome = result.reference === null ? 'unpaired'
+            : 'error' in result ? 'failed'
+            : result.isomorphic ? 'isomorphic'
+            : 'different';
+      acc[outcome] = (acc[outcome] || 0) + 1;
+      return acc;
+    }, {});
+    return {summary, examples: results};
+  }
+
+  /**
+   * @returns {isomorphic, missing, extra} comparing resource's RDF to reference.
+   */
+  async check (resource, reference, format) {
+    const expected = new N3.Writer({format: 'N-Quads'}).quadsToString(JsonLdConformance.parse(reference, format));
+    return JsonLdConformance.compare(await this.toNQuads(resource), expected);
+  }
+
+  async toNQuads (resource) {
+    const preprocessor = new JsonLdConformance.PREPROCESSORS[this.fhirVersion](this.shexj, this.opts);
+    const preprocessed = JSON.parse(preprocessor.preprocess(JSON.parse(JSON.stringify(resource)))); // preprocess modifies its input
+    try {
+      return await Jsonld.toRDF(preprocessed, {format: 'application/n-quads', documentLoader: url => this.loadContext(url)});
+    } catch (e) {
+      throw e.details && e.details.cause ? e.details.cause : e;
+    }
+  }
+
+  /**
+   * JSON-LD document loader for this.jsonLdConfig's context URLs.
+   */
+  async loadContext (url) {
+    const name = this.jsonLdConfig.contextName(url);
+    if (name === null)
+      throw Error(`expected only ${this.jsonLdConfig.contextStem} contexts; got ${url}`);
+    const context = name === 'root' || this.shexj.shapes.find(decl => decl.id === Prefixes.fhirshex + name)
+          ? this.contextGenerator.genJsonldContext(name, {axes: this.opts.axes})
+          : {'@context': {}}; // a type the schema leaves out
+    return {contextUrl: null, documentUrl: url, document: JSON.stringify(context)};
+  }
+
+  /**
+   * IRI the preprocessor gives resource, i.e. <resourceType>/<id> resolved against the @base.
+   */
+  rootIri (resource) {
+    return new URL(resource.resourceType + '/' + resource.id, this.jsonLdConfig.base).href;
+  }
+
+  /**
+   * Compare two N-Quads documents.
+   * @returns {isomorphic, missing: triples only in expected, extra: triples only in got}
+   */
+  static async compare (got, expected) {
+    const [gotCanon, expectedCanon] = await Promise.all([got, expected].map(
+      nquads => Jsonld.canonize(nquads, {algorithm: 'URDNA2015', inputFormat: 'application/n-quads', format: 'application/n-quads'})
+    ));
+    if (gotCanon === expectedCanon)
+      return {isomorphic: true, missing: [], extra: []};
+    const [gotLines, expectedLines] = [gotCanon, expectedCanon].map(
+      nquads => JsonLdConformance.describe(JsonLdConformance.parse(nquads, 'N-Quads'))
+    );
+    const [gotSet, expectedSet] = [gotLines, expectedLines].map(lines => new Set(lines));
+    return {
+      isomorphic: false,
+      missing: expectedLines.filter(line => !gotSet.has(line)),
+      extra: gotLines.filter(line => !expectedSet.has(line)),
+    };
+  }
+
+  static parse (text, format) {
+    return new N3.Parser(format ? {format} : {}).parse(text);
+  }
+
+  /**
+   * Subjects with fhir:nodeRole fhir:treeRoot.
+   */
+  static treeRoots (quads) {
+    return quads
+      .filter(q => q.predicate.value === NODE_ROLE && q.object.value === TREE_ROOT && q.subject.termType === 'NamedNode')
+      .map(q => q.subject.value);
+  }
+
+  /**
+   * Sorted, de-duplicated N-Quads-like lines with blank nodes named by their path (see class comment). Blank nodes
+   * which aren't the object of exactly one triple, or whose paths collide, keep their (canonical) labels.
+   */
+  static describe (quads) {
+    const incoming = new Map();
+    const indexes = new Map();
+    quads.forEach(q => {
+      if (q.object.termType === 'BlankNode')
+        incoming.set(q.object.value, (incoming.get(q.object.value) || []).concat([q]));
+      if (q.subject.termType === 'BlankNode' && q.predicate.value === INDEX)
+        indexes.set(q.subject.value, q.object.value);
+    });
+
+    const paths = new Map();
+    const path = (label, visiting = new Set()) => {
+      if (paths.has(label))
+        return paths.get(label);
+      const parents = incoming.get(label) || [];
+      let ret = '_:' + label;
+      if (parents.length === 1 && !visiting.has(label)) {
+        const {subject, predicate} = parents[0];
+        const parent = subject.termType === 'BlankNode'
+              ? path(subject.value, new Set(visiting).add(label))
+              : '_:<' + subject.value + '>';
+        ret = parent + '/' + JsonLdConformance.localName(predicate.value)
+          + (indexes.has(label) ? '[' + indexes.get(label) + ']' : '');
+      }
+      paths.set(label, ret);
+      return ret;
+    };
+    const labels = Array.from(new Set(quads.flatMap(q => [q.subject, q.object].filter(t => t.termType === 'BlankNode').map(t => t.value))));
+    const counts = labels.reduce((acc, label) => acc.set(path(label), (acc.get(path(label)) || 0) + 1), new Map());
+
+    const term = t => {
+      switch (t.termType) {
+      case 'NamedNode': return '<' + t.value + '>';
+      case 'BlankNode': return counts.get(paths.get(t.value)) === 1 ? paths.get(t.value) : '_:' + t.value;
+      case 'Literal': return JSON.stringify(t.value)
+          + (t.language ? '@' + t.language : t.datatype.value === XSD_STRING ? '' : '^^<' + t.datatype.value + '>');
+      default: return '';
+      }
+    };
+    return Array.from(new Set(quads.map(
+      q => [q.subject, q.predicate, q.object, q.graph].map(term).filter(s => s).join(' ') + ' .'
+    ))).sort();
+  }
+
+  static localName (iri) {
+    return iri.substr(Math.max(iri.lastIndexOf('/'), iri.lastIndexOf('#')) + 1);
+  }
+
+  /**
+   * Markdown summary and, for each example which isn't isomorphic, its error or missing and extra triples.
+   */
+  toMarkdown (report, title = 'JSON-LD conformance') {
+    const code = s => '`' + s + '`';
+    const lines = ['# ' + title, ''];
+    lines.push('| outcome | examples |', '| --- | --- |');
+    Object.keys(report.summary).sort().forEach(outcome => lines.push(`| ${outcome} | ${report.summary[outcome]} |`));
+    report.examples.filter(result => !result.isomorphic).forEach(result => {
+      lines.push('', '## ' + code(result.example) + (result.reference ? ' vs. ' + code(result.reference) : ''), '');
+      if (result.reference === null) {
+        lines.push('No reference RDF.');
+      } else if ('error' in result) {
+        lines.push('Error: ' + result.error);
+      } else {
+        [['Missing', result.missing], ['Extra', result.extra]].filter(([_, triples]) => triples.length).forEach(([heading, triples]) => {
+          lines.push(`### ${heading} (${triples.length})`, '', '```', ...triples, '```', '');
+        });
+        lines.pop();
+      }
+    });
+    return lines.join('\n') + '\n';
+  }
+}
+
+if (typeof module !== 'undefined')
+  module.exports = {JsonLdConformance};
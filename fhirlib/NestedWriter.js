@@ -176,12 +176,12 @@ class Writer {
       // Don't repeat the subject if it's the same
       if (matched) {
         // Don't repeat the predicate if it's the same
-        if (predicate.equals(nesting.predicate)) {
+        if (predicate.equals(nesting._predicate)) {
           this._write(`, ${objectStr}`, done);
           // Same subject, different predicate
         } else {
           this._write(`${nesting.used ? ';' : ''}\n${nesting._indent}${
-              this._encodePredicate(nesting.predicate = predicate)} ${
+              this._encodePredicate(nesting._predicate = predicate)} ${
               objectStr}`, done);
         }
       }
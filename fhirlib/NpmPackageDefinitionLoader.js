@@ -0,0 +1,186 @@
+const { DefinitionLoader } = require('./DefinitionLoader');
+const { DefinitionIndex } = require('./DefinitionIndex');
+const Fs = require('fs');
+const Os = require('os');
+const Path = require('path');
+const Zlib = require('zlib');
+
+const STRUCTURE_DEFN_ROOT = "http://hl7.org/fhir/StructureDefinition/";
+
+/**
+ * DefinitionLoader for FHIR NPM packages (https://confluence.hl7.org/display/FHIR/NPM+Package+Specification),
+ * e.g. hl7.fhir.us.core, from .tgz files or an unpacked package cache like ~/.fhir/packages.
+ * Package dependencies are loaded from the other .tgz files or the cache.
+ */
+class NpmPackageDefinitionLoader extends DefinitionLoader {
+  // resourceTypes we index from packages; others (examples, ImplementationGuide, SearchParameter...) are ignored.
+  static RESOURCE_TYPES = ['StructureDefinition', 'ValueSet', 'CodeSystem'];
+
+  static DEFAULT_CACHE = Path.join(Os.homedir(), '.fhir', 'packages');
+
+  /**
+   * @param packages list of .tgz files, unpacked package directories or package ids like "hl7.fhir.us.core#5.0.1".
+   * @param opts {cache, error} where cache is the package cache directory (default: ~/.fhir/packages).
+   */
+  constructor (packages, opts = {}) {
+    super();
+    this.packages = packages;
+    this.opts = opts;
+    this.cache = opts.cache || NpmPackageDefinitionLoader.DEFAULT_CACHE;
+    this.structureDefinitions = new DefinitionIndex(); // StructureDefinitions and ValueSets, as in BundleDefinitionLoader
+    this.codesystems = new DefinitionIndex();
+    this.loaded = new Map(); // "name#version" -> {manifest, resources}
+    this.loading = null; // promise; see load()
+  }
+
+  myError (error) {
+    if ('error' in this.opts) {
+      this.opts.error(error);
+    } else {
+      throw error;
+    }
+  }
+
+  async getStructureDefinitionByName (target) {
+    await this.load();
+    return this.structureDefinitions.getByCanonical(STRUCTURE_DEFN_ROOT + target) || this.structureDefinitions.get(target);
+  }
+
+  async getCodesystemByUrl (target) {
+    await this.load();
+    return this.codesystems.getByCanonical(target);
+  }
+
+  async getDefinitionByCanonical (canonical, version) {
+    await this.load();
+    return this.structureDefinitions.getByCanonical(canonical, version)
+      || this.codesystems.getByCanonical(canonical, version);
+  }
+
+  /**
+   * Load the packages and their dependencies (once).
+   */
+  load () {
+    if (this.loading === null) {
+      this.loading = (async () => {
+        const roots = await Promise.all(this.packages.map(p => this.readPackage(p)));
+        for (const pkg of roots)
+          await this.addPackage(pkg, roots);
+        // Index dependencies first so that definitions in the packages that depend on them win id collisions.
+        Array.from(this.loaded.entries()).reverse().forEach(([key, pkg]) => pkg.resources.forEach(
+          ({file, resource}) => this.indexDefinition(resource, `${key}/${file}`)
+        ));
+      })();
+    }
+    return this.loading;
+  }
+
+  async addPackage (pkg, provided) {
+    const key = pkg.manifest.name + '#' + pkg.manifest.version;
+    if (this.loaded.has(key))
+      return;
+    this.loaded.set(key, pkg);
+
+    for (const [name, version] of Object.entries(pkg.manifest.dependencies || {})) {
+      const depKey = name + '#' + version;
+      if (this.loaded.has(depKey))
+        continue;
+      const dep = provided.find(p => p.manifest.name === name && p.manifest.version === version)
+            || await this.readPackage(depKey).catch(e => {
+              this.myError(new Error(`can't load ${depKey} required by ${key}: ${e.message}`));
+              return null;
+            });
+      if (dep)
+        await this.addPackage(dep, provided);
+    }
+  }
+
+  indexDefinition (entry, where) {
+    if (NpmPackageDefinitionLoader.RESOURCE_TYPES.indexOf(entry.resourceType) === -1)
+      return;
+    (entry.resourceType === 'CodeSystem' ? this.codesystems : this.structureDefinitions).add(entry.id, entry, where);
+  }
+
+  /**
+   * Read a package from a .tgz, a directory, or the cache.
+   * @returns {{manifest: object, resources: {file: string, resource: object}[]}}
+   */
+  async readPackage (spec) {
+    if (spec.endsWith('.tgz') || spec.endsWith('.tar.gz'))
+      return NpmPackageDefinitionLoader.parseFiles(
+        NpmPackageDefinitionLoader.untar(Zlib.gunzipSync(await Fs.promises.readFile(spec))), spec
+      );
+    const dir = NpmPackageDefinitionLoader.isPackageId(spec)
+          ? Path.join(this.cache, spec)
+          : spec;
+    const packageDir = Fs.existsSync(Path.join(dir, 'package'))
+          ? Path.join(dir, 'package')
+          : dir;
+    const fileNames = (await Fs.promises.readdir(packageDir)).filter(f => f.endsWith('.json'));
+    const files = await Promise.all(fileNames.map(async f => ({
+      name: 'package/' + f,
+      content: await Fs.promises.readFile(Path.join(packageDir, f))
+    })));
+    return NpmPackageDefinitionLoader.parseFiles(files, spec);
+  }
+
+  /**
+   * Whether spec is a name#version to look up in the cache rather than a path (which may also contain a '#').
+   */
+  static isPackageId (spec) {
+    return spec.indexOf('#') !== -1 && !spec.startsWith('.') && !Path.isAbsolute(spec) && !Fs.existsSync(spec);
+  }
+
+  /**
+   * Parse package/package.json and the package/*.json resources from a list of {name, content} files.
+   */
+  static parseFiles (files, spec) {
+    const manifestFile = files.find(f => f.name === 'package/package.json');
+    if (!manifestFile)
+      throw new Error(`no package/package.json in ${spec}`);
+    const resources = files
+          .filter(f => f.name.match(/^package\/[^/]+\.json$/) && f !== manifestFile && !f.name.endsWith('/.index.json'))
+          .sort((l, r) => l.name < r.name ? -1 : l.name > r.name ? 1 : 0)
+          .map(f => ({file: f.name.substr('package/'.length), resource: JSON.parse(f.content.toString('utf-8'))}));
+    return {manifest: JSON.parse(manifestFile.content.toString('utf-8')), resources};
+  }
+
+  /**
+   * Minimal ustar reader; handles regular files and pax/GNU long names.
+   * @returns {{name: string, content: Buffer}[]}
+   */
+  static untar (buffer) {
+    const ret = [];
+    let longName = null;
+    for (let offset = 0; offset + 512 <= buffer.length;) {
+      const header = buffer.subarray(offset, offset + 512);
+      if (header.every(b => b === 0))
+        break;
+      const field = (start, length) => header.subarray(start, start + length).toString('utf-8').replace(/\0.*$/s, '');
+      const size = parseInt(field(124, 12).trim() || '0', 8);
+      const type = field(156, 1);
+      const prefix = field(257, 6).startsWith('ustar') ? field(345, 155) : '';
+      const content = buffer.subarray(offset + 512, offset + 512 + size);
+      offset += 512 + Math.ceil(size / 512) * 512;
+
+      if (type === 'x') { // pax extended header
+        const m = content.toString('utf-8').match(/^\d+ path=(.*)$/m);
+        if (m)
+          longName = m[1];
+      } else if (type === 'L') { // GNU long name
+        longName = content.toString('utf-8').replace(/\0.*$/s, '');
+      } else {
+        if (type === '0' || type === '') {
+          const name = longName || (prefix ? prefix + '/' : '') + field(0, 100);
+          ret.push({name: name.replace(/^\.\//, ''), content});
+        }
+        longName = null;
+      }
+    }
+    return ret;
+  }
+
+}
+
+if (typeof module !== 'undefined')
+  module.exports = {NpmPackageDefinitionLoader};
@@ -0,0 +1,240 @@
+const Prefixes = require('./Prefixes');
+
+// ShExC PN_LOCAL, less the escapes and percent-encodings we don't generate.
+const PN_LOCAL = /^[A-Za-z0-9_:]([A-Za-z0-9_\-.:]*[A-Za-z0-9_\-:])?$/;
+const XSD_STRING = Prefixes.xsd + 'string';
+const FACETS = ['length', 'minlength', 'maxlength', 'pattern', 'mininclusive', 'minexclusive', 'maxinclusive', 'maxexclusive', 'totaldigits', 'fractiondigits'];
+const INDENT = '  ';
+
+/**
+ * Write ShExJ schemas, e.g. from FhirShExJGenerator, in ShEx compact syntax (http://shex.io/shex-semantics/#shexc).
+ * Shapes are sorted by label so output doesn't depend on the order definitions were loaded in, and inline shapes (e.g.
+ * from FhirShExJGenerator.nestShapes) are indented under the TripleConstraints which contain them.
+ */
+class ShExCWriter {
+
+  /**
+   * @param opts {prefixes, sort} where prefixes maps prefix to namespace (default: Prefixes.js) and sort: false keeps
+   *   the schema's shape order.
+   */
+  constructor (opts = {}) {
+    this.prefixes = opts.prefixes || Prefixes;
+    this.sort = opts.sort !== false;
+  }
+
+  write (schema) {
+    const prefixes = Object.entries(this.prefixes)
+          .map(([prefix, ns]) => `PREFIX ${prefix}: <${ns}>\n`)
+          .join('');
+    const start = "start" in schema
+          ? `start = ${this.shapeExpr(schema.start, '')}\n\n`
+          : '';
+    const decls = (schema.shapes || []).slice();
+    if (this.sort)
+      decls.sort((l, r) => l.id < r.id ? -1 : l.id > r.id ? 1 : 0);
+    return prefixes + '\n' + start + decls.map(decl => this.shapeDecl(decl) + '\n').join('\n');
+  }
+
+  shapeDecl (decl) {
+    // ShExJ 2.0 schemas have no ShapeDecls.
+    const shapeExpr = decl.type === 'ShapeDecl' ? decl.shapeExpr : decl;
+    return (decl.abstract ? 'ABSTRACT ' : '') + this.iri(decl.id) + ' ' + (
+      shapeExpr.type === 'ShapeExternal'
+        ? 'EXTERNAL'
+        : this.shapeExpr(shapeExpr, '')
+    );
+  }
+
+  /**
+   * @param indent indentation of the line where shapeExpr starts.
+   */
+  shapeExpr (shapeExpr, indent) {
+    if (typeof shapeExpr === 'string')
+      return '@' + this.iri(shapeExpr);
+    switch (shapeExpr.type) {
+    case 'ShapeAnd':
+    case 'ShapeOr': {
+      const op = shapeExpr.type === 'ShapeAnd' ? ' AND ' : ' OR ';
+      return shapeExpr.shapeExprs.map(se => this.operand(se, indent, shapeExpr.type)).join(op);
+    }
+    case 'ShapeNot':
+      return 'NOT ' + this.operand(shapeExpr.shapeExpr, indent, shapeExpr.type);
+    case 'NodeConstraint':
+      return this.nodeConstraint(shapeExpr);
+    case 'Shape':
+      return this.shape(shapeExpr, indent);
+    case 'ShapeExternal':
+      return 'EXTERNAL';
+    default:
+      throw Error(`unknown shape expression type ${shapeExpr.type} in ${JSON.stringify(shapeExpr)}`);
+    }
+  }
+
+  /**
+   * An operand of AND, OR or NOT, parenthesized if it binds less tightly than `parent`.
+   */
+  operand (shapeExpr, indent, parent) {
+    const precedence = ['ShapeOr', 'ShapeAnd', 'ShapeNot'];
+    const ret = this.shapeExpr(shapeExpr, indent);
+    return typeof shapeExpr === 'object' && precedence.indexOf(shapeExpr.type) !== -1
+      && precedence.indexOf(shapeExpr.type) <= precedence.indexOf(parent)
+      ? `(${ret})`
+      : ret;
+  }
+
+  nodeConstraint (nc) {
+    const parts = [];
+    if ("nodeKind" in nc)
+      parts.push(nc.nodeKind.toUpperCase());
+    if ("datatype" in nc)
+      parts.push(this.iri(nc.datatype));
+    if ("values" in nc)
+      parts.push('[' + nc.values.map(v => this.valueSetValue(v)).join(' ') + ']');
+    FACETS.filter(facet => facet in nc).forEach(facet => parts.push(
+      facet === 'pattern'
+        ? `/${nc.pattern.replace(/\//g, '\\/')}/${nc.flags || ''}`
+        : `${facet.toUpperCase()} ${nc[facet]}`
+    ));
+    return parts.length === 0 ? '.' : parts.join(' ');
+  }
+
+  valueSetValue (v) {
+    if (typeof v === 'string')
+      return this.iri(v);
+    switch (v.type) {
+    case 'IriStem': return this.iri(v.stem) + '~';
+    case 'IriStemRange': return this.iri(v.stem) + '~' + v.exclusions.map(e => ' - ' + (typeof e === 'string' ? this.iri(e) : this.iri(e.stem) + '~')).join('');
+    case 'Language': return '@' + v.languageTag;
+    case 'LiteralStem': return ShExCWriter.string(v.stem) + '~';
+    default:
+      if (!("value" in v))
+        throw Error(`unknown value set value ${JSON.stringify(v)}`);
+      return this.literal(v);
+    }
+  }
+
+  literal (v) {
+    return ShExCWriter.string(v.value) + (
+      "language" in v
+        ? '@' + v.language
+        : "type" in v && v.type !== XSD_STRING
+        ? '^^' + this.iri(v.type)
+        : ''
+    );
+  }
+
+  shape (shape, indent) {
+    const parts = [];
+    if ("extends" in shape)
+      parts.push('EXTENDS ' + shape.extends.map(e => '@' + this.iri(e)).join(' '));
+    if (shape.closed)
+      parts.push('CLOSED');
+    if ("extra" in shape)
+      parts.push('EXTRA ' + shape.extra.map(p => this.iri(p)).join(' '));
+    const expression = shape.expression;
+    const inner = indent + INDENT;
+    // Shapes with one simple TripleConstraint go on one line, e.g. { fhir:v @fhirvs:observation-status }
+    const body = !expression || (expression.expressions && expression.expressions.length === 0)
+          ? '{ }'
+          : expression.type === 'TripleConstraint' && !ShExCWriter.isMultiLine(expression)
+          ? `{ ${this.tripleExpr(expression, inner)} }`
+          : `{\n${inner}${this.tripleExpr(expression, inner)}\n${indent}}`;
+    parts.push(body);
+    return parts.join(' ') + this.annotations(shape.annotations) + this.semActs(shape.semActs);
+  }
+
+  // One TripleConstraint without inline Shapes, annotations or semantic actions.
+  static isMultiLine (tc) {
+    const hasShape = se => typeof se === 'object' && (
+      se.type === 'Shape'
+        || (se.shapeExprs || []).find(hasShape) !== undefined
+        || ("shapeExpr" in se && hasShape(se.shapeExpr))
+    );
+    return hasShape(tc.valueExpr) || "annotations" in tc || "semActs" in tc;
+  }
+
+  /**
+   * @param indent indentation of the line where tripleExpr starts.
+   */
+  tripleExpr (te, indent) {
+    if (typeof te === 'string')
+      return '&' + this.iri(te);
+    const label = "id" in te ? '$' + this.iri(te.id) + ' ' : '';
+    switch (te.type) {
+    case 'TripleConstraint':
+      return label + (te.inverse ? '^' : '')
+        + (te.predicate === Prefixes.rdf + 'type' ? 'a' : this.iri(te.predicate))
+        + ' ' + ("valueExpr" in te ? this.shapeExpr(te.valueExpr, indent) : '.')
+        + ShExCWriter.cardinality(te)
+        + this.annotations(te.annotations) + this.semActs(te.semActs);
+    case 'EachOf':
+    case 'OneOf': {
+      const separator = te.type === 'EachOf' ? ' ;\n' : ' |\n';
+      const nested = label !== '' || "min" in te || "max" in te || te.annotations || te.semActs;
+      const inner = nested ? indent + INDENT : indent;
+      const members = te.expressions.map(member => {
+        const ret = this.tripleExpr(member, inner);
+        // e.g. OneOf in an EachOf
+        return typeof member === 'object' && member.type !== 'TripleConstraint' && !ShExCWriter.isGrouped(member)
+          ? `(\n${inner + INDENT}${this.tripleExpr(member, inner + INDENT)}\n${inner})`
+          : ret;
+      }).join(separator + inner);
+      return nested
+        ? `${label}(\n${inner}${members}\n${indent})` + ShExCWriter.cardinality(te) + this.annotations(te.annotations) + this.semActs(te.semActs)
+        : members;
+    }
+    default:
+      throw Error(`unknown triple expression type ${te.type} in ${JSON.stringify(te)}`);
+    }
+  }
+
+  // EachOf and OneOf which tripleExpr() parenthesizes itself.
+  static isGrouped (te) {
+    return "id" in te || "min" in te || "max" in te || te.annotations || te.semActs;
+  }
+
+  static cardinality ({min, max}) {
+    if (min === undefined && max === undefined)
+      return '';
+    min = min === undefined ? 1 : min;
+    max = max === undefined ? 1 : max;
+    return min === 0 && max === 1 ? ' ?'
+      : min === 0 && max === -1 ? ' *'
+      : min === 1 && max === -1 ? ' +'
+      : min === 1 && max === 1 ? ''
+      : min === max ? ` {${min}}`
+      : max === -1 ? ` {${min},}`
+      : ` {${min},${max}}`;
+  }
+
+  annotations (annotations = []) {
+    return annotations.map(a => ` // ${this.iri(a.predicate)} ${typeof a.object === 'string' ? this.iri(a.object) : this.literal(a.object)}`).join('');
+  }
+
+  semActs (semActs = []) {
+    return semActs.map(s => ` %${this.iri(s.name)}` + (
+      "code" in s
+        ? '{' + s.code.replace(/\\/g, '\\\\').replace(/%/g, '\\%') + '%}'
+        : '%'
+    )).join('');
+  }
+
+  /**
+   * Prefixed name for iri using the longest matching namespace, else <iri>.
+   */
+  iri (iri) {
+    const match = Object.entries(this.prefixes)
+          .filter(([prefix, ns]) => iri.startsWith(ns) && PN_LOCAL.test(iri.substr(ns.length)))
+          .sort(([l, lns], [r, rns]) => rns.length - lns.length)[0];
+    return match
+      ? match[0] + ':' + iri.substr(match[1].length)
+      : '<' + iri.replace(/[\u0000- <>"{}|^`\\]/g, c => '\\u' + c.charCodeAt(0).toString(16).padStart(4, '0')) + '>';
+  }
+
+  static string (s) {
+    return JSON.stringify(String(s));
+  }
+}
+
+if (typeof module !== 'undefined')
+  module.exports = {ShExCWriter};
@@ -0,0 +1,286 @@
+const {ShExCWriter} = require('./ShExCWriter');
+
+// Change kinds in the order they are reported.
+const KINDS = [
+  'shape-added', 'shape-removed', 'extends-changed',
+  'predicate-added', 'predicate-removed', 'predicate-renamed',
+  'cardinality-changed', 'datatype-changed', 'binding-changed',
+  'valueset-added', 'valueset-removed', 'valueset-changed',
+];
+
+/**
+ * Compare two ShExJ schemas from FhirShExJGenerator, e.g. for R4 and R5 or for different axes, and list what changed:
+ *   {
+ *     summary: {"shape-added": 1, ...},
+ *     changes: [
+ *       {kind: "shape-added", shape: "http://hl7.org/fhir/shape/Foo"},
+ *       {kind: "predicate-renamed", shape, before: "http://hl7.org/fhir/Observation.status", after: "http://hl7.org/fhir/status"},
+ *       {kind: "cardinality-changed", shape, predicate, before: "0..1", after: "1..1"},
+ *       {kind: "datatype-changed", shape, predicate, before: [shape labels or datatypes], after: [...]},
+ *       {kind: "binding-changed", shape, predicate, before: [ValueSet labels], after: [...]},
+ *       {kind: "valueset-changed", valueSet, added: ["code"], removed: [...]},
+ *       ...
+ *     ]
+ *   }
+ * Shapes are matched by label and TripleConstraints by predicate. A removed and an added predicate with the same
+ * element name (the part after the last '.', e.g. "status" for fhir:Observation.status) are reported as a rename.
+ * Schemas should be flat, i.e. not from FhirShExJGenerator.nestShapes.
+ */
+class ShExJDiff {
+
+  static KINDS = KINDS;
+
+  /**
+   * @param opts {prefixes} used to shorten IRIs in Markdown (default: Prefixes.js).
+   */
+  constructor (opts = {}) {
+    this.writer = new ShExCWriter(opts);
+  }
+
+  diff (before, after) {
+    const [oldDecls, newDecls] = [before, after].map(schema => ShExJDiff.index(schema));
+    const valueSetIds = new Set([...oldDecls.valueSets.keys(), ...newDecls.valueSets.keys()]);
+    const changes = [];
+
+    ShExJDiff.addedAndRemoved(oldDecls.shapes, newDecls.shapes, 'shape', changes);
+    for (const [id, oldShape] of oldDecls.shapes) {
+      if (newDecls.shapes.has(id))
+        this.diffShape(id, oldShape, newDecls.shapes.get(id), valueSetIds, changes);
+    }
+
+    ShExJDiff.addedAndRemoved(oldDecls.valueSets, newDecls.valueSets, 'valueSet', changes);
+    for (const [id, oldCodes] of oldDecls.valueSets) {
+      if (!newDecls.valueSets.has(id))
+        continue;
+      const newCodes = newDecls.valueSets.get(id);
+      const added = newCodes.filter(code => oldCodes.indexOf(code) === -1);
+      const removed = oldCodes.filter(code => newCodes.indexOf(code) === -1);
+      if (added.length || removed.length)
+        changes.push({kind: 'valueset-changed', valueSet: id, added, removed});
+    }
+
+    changes.sort((l, r) => KINDS.indexOf(l.kind) - KINDS.indexOf(r.kind));
+    const summary = KINDS.reduce((acc, kind) => {
+      const count = changes.filter(change => change.kind === kind).length;
+      if (count > 0)
+        acc[kind] = count;
+      return acc;
+    }, {});
+    return {summary, changes};
+  }
+
+  diffShape (id, oldShape, newShape, valueSetIds, changes) {
+    const oldExtends = oldShape.extends || [];
+    const newExtends = newShape.extends || [];
+    if (JSON.stringify(oldExtends) !== JSON.stringify(newExtends))
+      changes.push({kind: 'extends-changed', shape: id, before: oldExtends, after: newExtends});
+
+    const oldTCs = ShExJDiff.tripleConstraints(oldShape);
+    const newTCs = ShExJDiff.tripleConstraints(newShape);
+    const added = [...newTCs.keys()].filter(p => !oldTCs.has(p));
+    const removed = [...oldTCs.keys()].filter(p => !newTCs.has(p));
+
+    // Pair up renames, e.g. fhir:Observation.status -> fhir:status when switching from R to r axes.
+    const pairs = [...oldTCs.keys()].filter(p => newTCs.has(p)).map(p => [p, p]);
+    removed.slice().forEach(oldP => {
+      const candidates = added.filter(newP => ShExJDiff.elementName(newP) === ShExJDiff.elementName(oldP));
+      if (candidates.length !== 1
+          || removed.filter(p => ShExJDiff.elementName(p) === ShExJDiff.elementName(oldP)).length !== 1)
+        return;
+      changes.push({kind: 'predicate-renamed', shape: id, before: oldP, after: candidates[0]});
+      pairs.push([oldP, candidates[0]]);
+      removed.splice(removed.indexOf(oldP), 1);
+      added.splice(added.indexOf(candidates[0]), 1);
+    });
+    added.forEach(predicate => changes.push({
+      kind: 'predicate-added', shape: id, predicate,
+      cardinality: ShExJDiff.cardinality(newTCs.get(predicate)),
+      datatype: ShExJDiff.valueTypes(newTCs.get(predicate).valueExpr, valueSetIds),
+    }));
+    removed.forEach(predicate => changes.push({kind: 'predicate-removed', shape: id, predicate}));
+
+    pairs.forEach(([oldP, newP]) => {
+      const [oldTC, newTC] = [oldTCs.get(oldP), newTCs.get(newP)];
+      const compare = (kind, f) => {
+        const [b, a] = [f(oldTC), f(newTC)];
+        if (JSON.stringify(b) !== JSON.stringify(a))
+          changes.push({kind, shape: id, predicate: newP, before: b, after: a});
+      };
+      compare('cardinality-changed', ShExJDiff.cardinality);
+      compare('datatype-changed', tc => ShExJDiff.valueTypes(tc.valueExpr, valueSetIds));
+      compare('binding-changed', tc => ShExJDiff.valueSets(tc.valueExpr, valueSetIds));
+    });
+  }
+
+  /**
+   * Render a diff() report as Markdown, e.g. for a migration ticket.
+   */
+  toMarkdown (report, title = 'ShExJ schema changes') {
+    const code = s => '`' + s + '`';
+    const iri = s => code(this.writer.iri(s));
+    const list = l => l.length ? l.map(iri).join(', ') : '-';
+    const byKind = kind => report.changes.filter(change => change.kind === kind);
+    const lines = [`# ${title}`, ''];
+
+    if (report.changes.length === 0)
+      return lines.concat(['No changes.', '']).join('\n');
+
+    lines.push('| change | count |', '| --- | ---: |');
+    Object.entries(report.summary).forEach(([kind, count]) => lines.push(`| ${kind} | ${count} |`));
+    lines.push('');
+
+    [['shape-added', 'Added shapes'], ['shape-removed', 'Removed shapes']].forEach(([kind, heading]) => {
+      if (byKind(kind).length)
+        lines.push(`## ${heading}`, '', ...byKind(kind).map(change => `- ${iri(change.shape)}`), '');
+    });
+
+    const shapeKinds = KINDS.filter(kind => !kind.startsWith('shape-') && !kind.startsWith('valueset-'));
+    const shapeChanges = report.changes.filter(change => shapeKinds.indexOf(change.kind) !== -1);
+    const shapes = shapeChanges.map(change => change.shape).filter((id, idx, all) => all.indexOf(id) === idx).sort();
+    if (shapes.length) {
+      lines.push('## Changed shapes', '');
+      shapes.forEach(shape => {
+        lines.push(`### ${iri(shape)}`, '', '| change | predicate | before | after |', '| --- | --- | --- | --- |');
+        shapeChanges.filter(change => change.shape === shape).forEach(change => {
+          switch (change.kind) {
+          case 'extends-changed':
+            lines.push(`| extends | | ${list(change.before)} | ${list(change.after)} |`); break;
+          case 'predicate-added':
+            lines.push(`| added | ${iri(change.predicate)} | | ${code(change.cardinality)} ${list(change.datatype)} |`); break;
+          case 'predicate-removed':
+            lines.push(`| removed | ${iri(change.predicate)} | | |`); break;
+          case 'predicate-renamed':
+            lines.push(`| renamed | | ${iri(change.before)} | ${iri(change.after)} |`); break;
+          case 'cardinality-changed':
+            lines.push(`| cardinality | ${iri(change.predicate)} | ${code(change.before)} | ${code(change.after)} |`); break;
+          default: // datatype-changed, binding-changed
+            lines.push(`| ${change.kind.replace('-changed', '')} | ${iri(change.predicate)} | ${list(change.before)} | ${list(change.after)} |`);
+          }
+        });
+        lines.push('');
+      });
+    }
+
+    const valueSetChanges = report.changes.filter(change => change.kind.startsWith('valueset-'));
+    if (valueSetChanges.length) {
+      lines.push('## Value sets', '');
+      valueSetChanges.forEach(change => {
+        switch (change.kind) {
+        case 'valueset-added': lines.push(`- added ${iri(change.valueSet)}`); break;
+        case 'valueset-removed': lines.push(`- removed ${iri(change.valueSet)}`); break;
+        default:
+          lines.push(`- ${iri(change.valueSet)}: `
+                     + [['added', change.added], ['removed', change.removed]]
+                     .filter(([label, codes]) => codes.length)
+                     .map(([label, codes]) => `${label} ${codes.map(code).join(', ')}`)
+                     .join('; '));
+        }
+      });
+      lines.push('');
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Index a schema's ShapeDecls into Shapes and ValueSets (NodeConstraints with values), the latter as lists of codes.
+   */
+  static index (schema) {
+    const shapes = new Map();
+    const valueSets = new Map();
+    (schema.shapes || []).forEach(decl => {
+      const shapeExpr = decl.type === 'ShapeDecl' ? decl.shapeExpr : decl; // ShExJ 2.0 has no ShapeDecls
+      if (shapeExpr.type === 'NodeConstraint' && 'values' in shapeExpr)
+        valueSets.set(decl.id, shapeExpr.values.map(ShExJDiff.valueSetValue));
+      else
+        shapes.set(decl.id, shapeExpr);
+    });
+    return {shapes, valueSets};
+  }
+
+  static valueSetValue (v) {
+    return typeof v === 'string' || !('value' in v)
+      ? (typeof v === 'string' ? v : JSON.stringify(v)) // IRIs and stems
+      : v.value;
+  }
+
+  static addedAndRemoved (oldMap, newMap, key, changes) {
+    const kind = key.toLowerCase();
+    [...newMap.keys()].filter(id => !oldMap.has(id)).forEach(id => changes.push({kind: kind + '-added', [key]: id}));
+    [...oldMap.keys()].filter(id => !newMap.has(id)).forEach(id => changes.push({kind: kind + '-removed', [key]: id}));
+  }
+
+  /**
+   * A shape's TripleConstraints by predicate. A predicate which appears more than once keeps its first.
+   */
+  static tripleConstraints (shapeExpr) {
+    const ret = new Map();
+    const walk = te => {
+      if (!te || typeof te === 'string')
+        return;
+      if (te.type === 'TripleConstraint') {
+        if (!ret.has(te.predicate))
+          ret.set(te.predicate, te);
+      } else {
+        (te.expressions || []).forEach(walk);
+      }
+    };
+    if (shapeExpr.type === 'Shape')
+      walk(shapeExpr.expression);
+    return ret;
+  }
+
+  /**
+   * The element a predicate names, e.g. "status" for fhir:Observation.status or fhir:status.
+   */
+  static elementName (predicate) {
+    const local = predicate.substr(Math.max(predicate.lastIndexOf('/'), predicate.lastIndexOf('#')) + 1);
+    return local.substr(local.lastIndexOf('.') + 1);
+  }
+
+  static cardinality (tc) {
+    const min = 'min' in tc ? tc.min : 1;
+    const max = 'max' in tc ? tc.max : 1;
+    return `${min}..${max === -1 ? '*' : max}`;
+  }
+
+  /**
+   * Shape labels, datatypes and values a valueExpr admits, leaving out the ValueSets of bindings.
+   */
+  static valueTypes (valueExpr, valueSetIds) {
+    if (valueExpr === undefined)
+      return [];
+    if (typeof valueExpr === 'string')
+      return valueSetIds.has(valueExpr) ? [] : [valueExpr];
+    switch (valueExpr.type) {
+    case 'ShapeAnd':
+    case 'ShapeOr':
+      return valueExpr.shapeExprs
+        .filter(se => !(se.type === 'Shape' && ShExJDiff.valueSets(se, valueSetIds).length)) // binding
+        .reduce((acc, se) => acc.concat(ShExJDiff.valueTypes(se, valueSetIds)), []);
+    case 'NodeConstraint':
+      return 'datatype' in valueExpr
+        ? [valueExpr.datatype]
+        : 'values' in valueExpr
+        ? valueExpr.values.map(ShExJDiff.valueSetValue)
+        : 'nodeKind' in valueExpr ? [valueExpr.nodeKind] : [];
+    default:
+      return [valueExpr.type];
+    }
+  }
+
+  /**
+   * ValueSet labels a valueExpr binds to.
+   */
+  static valueSets (valueExpr, valueSetIds) {
+    if (valueExpr === undefined)
+      return [];
+    if (typeof valueExpr === 'string')
+      return valueSetIds.has(valueExpr) ? [valueExpr] : [];
+    return (valueExpr.shapeExprs || [])
+      .concat('expression' in valueExpr ? [...ShExJDiff.tripleConstraints(valueExpr).values()].map(tc => tc.valueExpr) : [])
+      .reduce((acc, se) => acc.concat(ShExJDiff.valueSets(se, valueSetIds)), []);
+  }
+}
+
+if (typeof module !== 'undefined')
+  module.exports = {ShExJDiff};
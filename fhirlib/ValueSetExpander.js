@@ -0,0 +1,250 @@
+/**
+ * Expand a ValueSet's compose (include, exclude, filter and valueSet imports) against the CodeSystems and ValueSets a
+ * DefinitionLoader knows about, i.e. without a terminology server.
+ * Expansions that need something we don't have (a CodeSystem which isn't loaded or has content "not-present", an
+ * unsupported filter or invalid regex, an include without a system or valueSet, an import cycle) are reported as
+ * incomplete rather than guessed at.
+ */
+class ValueSetExpander {
+  // CodeSystem properties which point to a concept's parent, as opposed to nesting concepts in concept.concept.
+  static PARENT_PROPERTIES = ['parent', 'subsumedBy'];
+
+  constructor (definitionLoader) {
+    this.definitionLoader = definitionLoader;
+  }
+
+  /**
+   * @param valueSet a ValueSet resource.
+   * @returns {Promise<{complete: boolean, codes: {system: string, code: string, display: string}[], issues: string[], missing: {codesystems: string[], valuesets: string[]}}>}
+   *   codes are only meaningful if complete; issues say why not.
+   */
+  async expand (valueSet) {
+    const context = {issues: [], missing: {codesystems: [], valuesets: []}};
+    let codes = await this.expandValueSet(valueSet, context, [valueSet.url]);
+    if (codes === null && valueSet.expansion && ValueSetExpander.isWholeExpansion(valueSet.expansion)) {
+      context.issues.push(`using the expansion included in ValueSet ${valueSet.url || valueSet.id}`);
+      codes = ValueSetExpander.flattenContains(valueSet.expansion.contains || []);
+    }
+    return {
+      complete: codes !== null,
+      codes: codes === null ? [] : Array.from(codes.values()),
+      issues: context.issues,
+      missing: context.missing,
+    };
+  }
+
+  /**
+   * @returns {Promise<Map<string, {system, code, display}>|null>} codes by system|code or null if incomplete.
+   */
+  async expandValueSet (valueSet, context, seen) {
+    if (!valueSet.compose) {
+      context.issues.push(`ValueSet ${valueSet.url || valueSet.id} has no compose`);
+      return null;
+    }
+    // Keep going after an incomplete include to report everything that's missing.
+    let ret = new Map();
+    let complete = true;
+    for (const include of valueSet.compose.include || []) {
+      const codes = await this.selectCodes(include, context, seen);
+      if (codes === null)
+        complete = false;
+      else
+        codes.forEach((c, key) => ret.set(key, c));
+    }
+    for (const exclude of valueSet.compose.exclude || []) {
+      const codes = await this.selectCodes(exclude, context, seen);
+      if (codes === null)
+        complete = false;
+      else
+        codes.forEach((c, key) => ret.delete(key));
+    }
+    return complete ? ret : null;
+  }
+
+  /**
+   * Codes selected by a compose.include or compose.exclude: the intersection of its system part and imported ValueSets.
+   */
+  async selectCodes (include, context, seen) {
+    const sets = [];
+    if ('system' in include) {
+      const codes = await this.selectFromSystem(include, context);
+      if (codes === null)
+        return null;
+      sets.push(codes);
+    }
+    for (const canonical of include.valueSet || []) {
+      const url = canonical.split('|')[0];
+      if (seen.indexOf(url) !== -1) {
+        context.issues.push(`ValueSet import cycle: ${seen.concat([url]).join(' -> ')}`);
+        return null;
+      }
+      const imported = await this.definitionLoader.getDefinitionByCanonical(canonical);
+      if (!imported || imported.resourceType !== 'ValueSet') {
+        context.missing.valuesets.push(canonical);
+        context.issues.push(`imported ValueSet ${canonical} is not available`);
+        return null;
+      }
+      const codes = await this.expandValueSet(imported, context, seen.concat([url]));
+      if (codes === null)
+        return null;
+      sets.push(codes);
+    }
+    if (sets.length === 0) {
+      context.issues.push(`compose include or exclude in ValueSet ${seen[seen.length - 1]} has neither a system nor a valueSet`);
+      return null;
+    }
+    return sets.reduce((acc, codes) => new Map(Array.from(acc).filter(([key]) => codes.has(key))));
+  }
+
+  async selectFromSystem (include, context) {
+    const system = include.system;
+    if ('concept' in include) // enumerated codes don't need the CodeSystem
+      return new Map(include.concept.map(c => [system + '|' + c.code, {system, code: c.code, display: c.display}]));
+
+    const canonical = 'version' in include ? system + '|' + include.version : system;
+    const codeSystem = await this.definitionLoader.getCodesystemByUrl(canonical);
+    if (!codeSystem) {
+      context.missing.codesystems.push(canonical);
+      context.issues.push(`CodeSystem ${canonical} is not available offline`);
+      return null;
+    }
+    if (codeSystem.content && codeSystem.content !== 'complete') {
+      context.issues.push(`CodeSystem ${canonical} content is "${codeSystem.content}"`);
+      return null;
+    }
+    const concepts = ValueSetExpander.indexConcepts(codeSystem);
+    let selected = Array.from(concepts.keys());
+    for (const filter of include.filter || []) {
+      let matches;
+      try {
+        matches = ValueSetExpander.applyFilter(concepts, filter);
+      } catch (e) {
+        if (!(e instanceof SyntaxError))
+          throw e;
+        context.issues.push(`filter "${filter.property} ${filter.op} ${filter.value}" on ${canonical} has an invalid pattern: ${e.message}`);
+        return null;
+      }
+      if (matches === null) {
+        context.issues.push(`filter "${filter.property} ${filter.op} ${filter.value}" on ${canonical} is not supported`);
+        return null;
+      }
+      selected = selected.filter(code => matches.has(code));
+    }
+    return new Map(selected.map(code => [system + '|' + code, {system, code, display: concepts.get(code).display}]));
+  }
+
+  /**
+   * Index a CodeSystem's (possibly nested) concepts by code.
+   * @returns {Map<string, {code, display, properties, parents: Set<string>, children: Set<string>}>}
+   */
+  static indexConcepts (codeSystem) {
+    const ret = new Map();
+    const add = (concepts, parent) => concepts.forEach(c => {
+      if (!ret.has(c.code))
+        ret.set(c.code, {code: c.code, display: c.display, properties: c.property || [], parents: new Set(), children: new Set()});
+      if (parent !== null)
+        ret.get(c.code).parents.add(parent);
+      (c.property || [])
+        .filter(p => ValueSetExpander.PARENT_PROPERTIES.indexOf(p.code) !== -1)
+        .forEach(p => ret.get(c.code).parents.add(p.valueCode));
+      add(c.concept || [], c.code);
+    });
+    add(codeSystem.concept || [], null);
+    ret.forEach(c => c.parents.forEach(p => { if (ret.has(p)) ret.get(p).children.add(c.code); }));
+    return ret;
+  }
+
+  /**
+   * @returns {Set<string>|null} codes matching filter or null if the filter isn't supported.
+   * @throws SyntaxError if a regex filter's value isn't a valid pattern.
+   */
+  static applyFilter (concepts, filter) {
+    const all = Array.from(concepts.keys());
+    const values = String(filter.value).split(',').map(v => v.trim());
+    const pattern = filter.op === 'regex' ? new RegExp('^(?:' + filter.value + ')$') : null;
+    if (filter.property === 'concept' || filter.property === 'code') {
+      switch (filter.op) {
+      case 'is-a': return ValueSetExpander.closure(concepts, filter.value, 'children', true);
+      case 'descendent-of': return ValueSetExpander.closure(concepts, filter.value, 'children', false);
+      case 'is-not-a': {
+        const excluded = ValueSetExpander.closure(concepts, filter.value, 'children', true);
+        return new Set(all.filter(code => !excluded.has(code)));
+      }
+      case 'generalizes': return ValueSetExpander.closure(concepts, filter.value, 'parents', true);
+      case '=': return new Set(all.filter(code => code === filter.value));
+      case 'in': return new Set(all.filter(code => values.indexOf(code) !== -1));
+      case 'not-in': return new Set(all.filter(code => values.indexOf(code) === -1));
+      case 'regex': return new Set(all.filter(code => pattern.test(code)));
+      default: return null;
+      }
+    }
+    const propertyValues = code => concepts.get(code).properties
+          .filter(p => p.code === filter.property)
+          .map(ValueSetExpander.propertyValue);
+    switch (filter.op) {
+    case '=': return new Set(all.filter(code => propertyValues(code).indexOf(filter.value) !== -1));
+    case 'in': return new Set(all.filter(code => propertyValues(code).find(v => values.indexOf(v) !== -1) !== undefined));
+    case 'not-in': return new Set(all.filter(code => propertyValues(code).find(v => values.indexOf(v) !== -1) === undefined));
+    case 'regex': return new Set(all.filter(code => propertyValues(code).find(v => pattern.test(v)) !== undefined));
+    case 'exists': return new Set(all.filter(code => (propertyValues(code).length > 0) === (String(filter.value) === 'true')));
+    default: return null;
+    }
+  }
+
+  /**
+   * code and the codes reachable from it by following `direction` ("children" or "parents").
+   */
+  static closure (concepts, code, direction, includeSelf) {
+    const ret = new Set();
+    const walk = c => {
+      if (!concepts.has(c))
+        return;
+      concepts.get(c)[direction].forEach(next => {
+        if (!ret.has(next)) {
+          ret.add(next);
+          walk(next);
+        }
+      });
+    };
+    walk(code);
+    if (includeSelf && concepts.has(code))
+      ret.add(code);
+    return ret;
+  }
+
+  /**
+   * String value of a concept property, e.g. "true" for {code: "abstract", valueBoolean: true}.
+   */
+  static propertyValue (property) {
+    const key = Object.keys(property).find(k => k.startsWith('value'));
+    if (key === undefined)
+      return undefined;
+    return key === 'valueCoding'
+      ? property.valueCoding.code
+      : String(property[key]);
+  }
+
+  /**
+   * An expansion which isn't paged or truncated.
+   */
+  static isWholeExpansion (expansion) {
+    const contains = ValueSetExpander.flattenContains(expansion.contains || []);
+    return !('offset' in expansion)
+      && (!('total' in expansion) || expansion.total === contains.size)
+      && !(expansion.parameter || []).find(p => p.name === 'limitedExpansion' && p.valueBoolean);
+  }
+
+  static flattenContains (contains) {
+    const ret = new Map();
+    const add = list => list.forEach(c => {
+      if ('code' in c && !c.abstract)
+        ret.set(c.system + '|' + c.code, {system: c.system, code: c.code, display: c.display});
+      add(c.contains || []);
+    });
+    add(contains);
+    return ret;
+  }
+}
+
+if (typeof module !== 'undefined')
+  module.exports = {ValueSetExpander};
@@ -0,0 +1,10 @@
+const {parseAxes} = require('../Axes');
+
+test('parse axes strings', () => {
+  expect(parseAxes('RDVch')).toEqual({r: true, d: true, v: true, c: false, h: false});
+  expect(parseAxes('rdvCH')).toEqual({r: false, d: false, v: false, c: true, h: true});
+  expect(parseAxes()).toEqual(parseAxes('RDVch'));
+  const axes = {r: true, d: false, v: true, c: false, h: false};
+  expect(parseAxes(axes)).toBe(axes);
+  expect(() => parseAxes('RDV')).toThrow(/"RDV"/);
+});
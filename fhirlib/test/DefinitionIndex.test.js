@@ -0,0 +1,38 @@
+const {DefinitionIndex} = require('../DefinitionIndex');
+const {BundleDefinitionLoader} = require('../BundleDefinitionLoader');
+
+const VS_URL = 'http://hl7.org/fhir/ValueSet/identifier-use';
+const vs = version => ({resourceType: 'ValueSet', id: 'identifier-use', url: VS_URL, version});
+
+test('latest version unless pinned', () => {
+  const index = new DefinitionIndex();
+  ['4.5.0', '4.6.0', '4.0.1'].forEach((v, i) => index.add('identifier-use', vs(v), `[${i}]`));
+  expect(index.getByCanonical(VS_URL).version).toEqual('4.6.0');
+  expect(index.getByCanonical(VS_URL + '|4.0.1').version).toEqual('4.0.1');
+  expect(index.getByCanonical(VS_URL, '4.5.0').version).toEqual('4.5.0');
+  expect(index.getByCanonical(VS_URL + '|4.0.1', '4.5.0').version).toEqual('4.0.1'); // canonical's version wins
+  expect(index.getByCanonical(VS_URL + '|3.0.2')).toBeUndefined();
+  expect(index.get('identifier-use').version).toEqual('4.6.0');
+  expect(index.getVersions(VS_URL)).toEqual(['4.6.0', '4.5.0', '4.0.1']);
+});
+
+test('parse canonicals', () => {
+  expect(DefinitionIndex.parseCanonical(VS_URL + '|4.6.0')).toEqual({url: VS_URL, version: '4.6.0'});
+  expect(DefinitionIndex.parseCanonical(VS_URL)).toEqual({url: VS_URL, version: undefined});
+});
+
+test('compare versions', () => {
+  const sorted = ['5.0.0', '4.0.1', '5.0.0-ballot', '4.0', '10.0.0'].sort(DefinitionIndex.compareVersions);
+  expect(sorted).toEqual(['4.0', '4.0.1', '5.0.0-ballot', '5.0.0', '10.0.0']);
+});
+
+test('BundleDefinitionLoader resolves canonicals', async () => {
+  const loader = new BundleDefinitionLoader([vs('4.6.0'), vs('4.5.0'), {
+    resourceType: 'CodeSystem', id: 'identifier-use', url: 'http://hl7.org/fhir/identifier-use', version: '4.6.0', concept: []
+  }]);
+  expect((await loader.getDefinitionByCanonical(VS_URL + '|4.5.0')).version).toEqual('4.5.0');
+  expect((await loader.getDefinitionByCanonical(VS_URL)).version).toEqual('4.6.0');
+  expect((await loader.getStructureDefinitionByName('identifier-use')).version).toEqual('4.6.0');
+  expect((await loader.getCodesystemByUrl('http://hl7.org/fhir/identifier-use|4.6.0')).resourceType).toEqual('CodeSystem');
+  expect(await loader.getCodesystemByUrl('http://hl7.org/fhir/identifier-use|4.0.1')).toBeUndefined();
+});
@@ -0,0 +1,78 @@
+const Fs = require('fs');
+const Path = require('path');
+const FhirShExJGenerator = require('../FhirShExJGenerator.js');
+const {BundleDefinitionLoader} = require('../BundleDefinitionLoader');
+const {Diagnostics} = require('../Diagnostics');
+
+let Sources; // set in beforeAll
+beforeAll(async () => {
+  Sources = await Promise.all(
+    ['resources', 'types', 'valuesets']
+      .map(f => Path.join(__dirname, `fhir/medreq-min-${f}.json`))
+      .map(async p => JSON.parse(await Fs.promises.readFile(p, 'utf8')))
+  );
+});
+
+// A definition with an untyped element and an element id outside of the definition.
+const BROKEN = {
+  resourceType: 'StructureDefinition', id: 'Broken', url: 'http://hl7.org/fhir/StructureDefinition/Broken',
+  kind: 'complex-type', derivation: 'specialization', baseDefinition: 'http://hl7.org/fhir/StructureDefinition/DataType',
+  differential: { element: [
+    { id: 'Broken', path: 'Broken' },
+    { id: 'Broken.untyped', path: 'Broken.untyped', min: 0, max: '1' },
+    { id: 'Other.name', path: 'Other.name', min: 0, max: '1', type: [{code: 'string'}] },
+  ] }
+};
+
+test('collect problems from the generators', async () => {
+  const diagnostics = new Diagnostics();
+  const generator = new FhirShExJGenerator(new BundleDefinitionLoader(...Sources, [BROKEN]), {axes: 'RDVch', diagnostics});
+  await generator.genShExJ([{entry: [{resource: BROKEN}]}].concat(Sources.slice(0, 1))); // doesn't throw
+
+  const simplify = d => [d.code, d.severity, d.structureDefinition, d.path];
+  expect(diagnostics.diagnostics.filter(d => d.structureDefinition === 'Broken').map(simplify)).toEqual([
+    ['no-type', 'error', 'Broken', 'Broken.untyped'],
+    ['id-not-in-target', 'warning', 'Broken', 'Other.name'],
+  ]);
+  expect(diagnostics.diagnostics.map(simplify)).toContainEqual(['missing-valueset', 'warning', 'CanonicalResource', 'CanonicalResource.status']);
+  expect(diagnostics.counts()).toEqual(expect.objectContaining({error: 1, note: 0}));
+});
+
+test('without a collector, route problems through the callbacks', async () => {
+  const generate = config => new FhirShExJGenerator(new BundleDefinitionLoader(...Sources, [BROKEN]), Object.assign({axes: 'RDVch'}, config))
+        .genShExJ([{entry: [{resource: BROKEN}]}]);
+  const errors = [], warnings = [];
+  await generate({error: e => errors.push(e), warn: m => warnings.push(m)});
+  expect(new Set(errors.map(e => e.code))).toEqual(new Set(['no-type'])); // once per walk; only Diagnostics de-duplicates
+  expect(warnings).toContainEqual(expect.stringMatching(/Other.name/));
+
+  const consoleWarn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  try {
+    await generate({error: () => {}, quiet: true});
+    expect(consoleWarn).not.toHaveBeenCalled();
+  } finally {
+    consoleWarn.mockRestore();
+  }
+  await expect(generate({quiet: true})).rejects.toThrow(/Broken.untyped/); // quiet doesn't hide errors
+});
+
+test('render SARIF', () => {
+  const diagnostics = new Diagnostics();
+  diagnostics.add('missing-valueset', Diagnostics.WARNING, 'Observation', 'Observation.status', 'no status ValueSet');
+  diagnostics.report(new Error('oops'));
+  expect(() => diagnostics.add('x', 'fatal', null, null, 'bad severity')).toThrow(/fatal/);
+
+  const sarif = diagnostics.toSarif('test', '1.0');
+  expect(sarif.version).toEqual('2.1.0');
+  expect(sarif.runs[0].tool.driver).toEqual({name: 'test', version: '1.0', rules: [{id: 'missing-valueset'}, {id: 'error'}]});
+  expect(sarif.runs[0].results).toEqual([
+    {
+      ruleId: 'missing-valueset', ruleIndex: 0, level: 'warning', message: {text: 'no status ValueSet'},
+      locations: [{logicalLocations: [{name: 'Observation.status', fullyQualifiedName: 'Observation/Observation.status', kind: 'member'}]}],
+    },
+    { ruleId: 'error', ruleIndex: 1, level: 'error', message: {text: 'oops'} },
+  ]);
+  expect(diagnostics.toJSON()[0]).toEqual({
+    code: 'missing-valueset', severity: 'warning', structureDefinition: 'Observation', path: 'Observation.status', message: 'no status ValueSet',
+  });
+});
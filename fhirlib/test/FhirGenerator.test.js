@@ -0,0 +1,36 @@
+const Fs = require('fs');
+const Path = require('path');
+const {FhirGenerator} = require('../FhirGenerator');
+const {BundleDefinitionLoader} = require('../BundleDefinitionLoader');
+const {Diagnostics} = require('../Diagnostics');
+
+const VS = 'http://hl7.org/fhir/ValueSet/';
+
+let Sources; // set in beforeAll
+beforeAll(async () => {
+  Sources = await Promise.all(
+    ['resources', 'types', 'valuesets']
+      .map(f => Path.join(__dirname, `fhir/medreq-min-${f}.json`))
+      .map(async p => JSON.parse(await Fs.promises.readFile(p, 'utf8')))
+  );
+});
+
+test('expand bound ValueSets', async () => {
+  const diagnostics = new Diagnostics();
+  const generator = new FhirGenerator(new BundleDefinitionLoader(...Sources), {diagnostics});
+  expect(generator.config.axes).toEqual({r: true, d: true, v: true, c: false, h: false});
+
+  const status = await generator.expandBoundValueSet(VS + 'medicationrequest-status', 'MedicationRequest.status');
+  expect(status.latest).toBe(true);
+  expect(status.codes).toEqual(expect.arrayContaining(['active', 'on-hold']));
+
+  // A pinned version we don't have falls back to the one we do.
+  expect((await generator.expandBoundValueSet(VS + 'medicationrequest-status|0.0.1', 'MedicationRequest.status')).codes).toEqual(status.codes);
+  expect(await generator.expandBoundValueSet(VS + 'mimetypes', 'Attachment.contentType')).toBeNull();
+  expect(await generator.expandBoundValueSet(VS + 'nope', 'Observation.code')).toBeNull();
+  expect(diagnostics.toJSON().map(d => [d.code, d.path])).toEqual([
+    ['missing-valueset', 'MedicationRequest.status'],
+    ['valueset-not-expandable', 'Attachment.contentType'],
+    ['missing-valueset', 'Observation.code'],
+  ]);
+});
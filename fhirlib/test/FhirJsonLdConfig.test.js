@@ -0,0 +1,65 @@
+const Fs = require('fs');
+const Path = require('path');
+const Jsonld = require('jsonld');
+const {FhirJsonLdConfig} = require('../FhirJsonLdConfig');
+const {BundleDefinitionLoader} = require('../BundleDefinitionLoader');
+const FhirShExJGenerator = require('../FhirShExJGenerator');
+const FhirJsonLdContextModelVisitor = require('../FhirJsonLdContextModelVisitor');
+const {FhirR4Preprocessor, FhirR5Preprocessor} = require('../FhirPreprocessors');
+const {Diagnostics} = require('../Diagnostics');
+
+const Local = new FhirJsonLdConfig({contextStem: 'http://localhost:8000/contexts/r4/', base: 'http://example.org/fhir/'});
+
+test('context URLs', () => {
+  expect(FhirJsonLdConfig.R4.contextUrl('Observation')).toEqual('https://fhircat.org/fhir-r4/original/contexts/Observation.context.jsonld');
+  expect(FhirJsonLdConfig.R5.contextUrl('root')).toEqual('https://fhircat.org/fhir-r5/original/contexts/root.context.jsonld');
+  expect(FhirJsonLdConfig.R4.base).toEqual('http://hl7.org/fhir/');
+  expect(FhirJsonLdConfig.R5.axes).toEqual({r: true, d: true, v: true, c: false, h: false});
+  expect(new FhirJsonLdConfig({axes: 'RDVcH'}).axes.h).toBe(true);
+
+  // e.g. the playground's query parameters on top of each version's defaults
+  const r5 = FhirJsonLdConfig.R5.override({contextStem: undefined, base: 'http://example.org/fhir/'});
+  expect(r5.contextUrl('root')).toEqual(FhirJsonLdConfig.R5.contextUrl('root'));
+  expect(r5.base).toEqual('http://example.org/fhir/');
+  expect(FhirJsonLdConfig.R5.base).toEqual('http://hl7.org/fhir/');
+
+  expect(Local.contextName(Local.contextUrl('CodeableConcept'))).toEqual('CodeableConcept');
+  expect(Local.contextName(FhirJsonLdConfig.R4.contextUrl('CodeableConcept'))).toBeNull();
+  expect(Local.contextName('http://localhost:8000/contexts/r4/Observation.json')).toBeNull();
+});
+
+test('preprocess and load contexts with one config', async () => {
+  const definitions = await Promise.all(['medreq-min-resources.json', 'medreq-min-types.json', 'medreq-min-valuesets.json'].map(
+    async f => JSON.parse(await Fs.promises.readFile(Path.join(__dirname, 'fhir', f), 'utf8'))
+  ));
+  const definitionLoader = new BundleDefinitionLoader(...definitions);
+  const axes = {r: true, d: true, v: true, c: false, h: false};
+  const shexj = await new FhirShExJGenerator(definitionLoader, {axes: 'RDVch', diagnostics: new Diagnostics(), missing: {}}).genShExJ(definitions);
+
+  expect(JSON.parse(new FhirR5Preprocessor(shexj).preprocess({resourceType: 'Observation', id: 'obs1'}))['@context'][0])
+    .toEqual(FhirJsonLdConfig.R5.contextUrl('Observation'));
+  expect(new FhirR5Preprocessor(shexj).opts.axes).toEqual(FhirJsonLdConfig.R5.axes);
+
+  const preprocessed = JSON.parse(new FhirR4Preprocessor(shexj, {axes, jsonLdConfig: Local}).preprocess(
+    {resourceType: 'Observation', id: 'obs1', status: 'final', code: {text: 'x'}}
+  ));
+  expect(preprocessed['@context'].slice(0, 2)).toEqual([Local.contextUrl('Observation'), Local.contextUrl('root')]);
+  expect(preprocessed['@context'][2]['@base']).toEqual('http://example.org/fhir/');
+
+  const contextGenerator = new FhirJsonLdContextModelVisitor(definitionLoader, {axes});
+  const loaded = [];
+  const documentLoader = async (url) => {
+    const name = Local.contextName(url);
+    if (name === null)
+      throw Error(`expected only ${Local.contextStem} URLs; got ${url}`);
+    loaded.push(name);
+    const resourceDef = name === 'root' ? {id: 'root'} : await definitionLoader.getStructureDefinitionByName(name);
+    const context = resourceDef
+          ? await contextGenerator.genJsonldContext(resourceDef, {})
+          : {'@context': {}}; // e.g. instant, which the fixtures leave out
+    return {contextUrl: null, documentUrl: url, document: JSON.stringify(context)};
+  };
+  const nquads = await Jsonld.toRDF(preprocessed, {format: 'application/n-quads', documentLoader});
+  expect(loaded).toEqual(expect.arrayContaining(['Observation', 'root', 'CodeableConcept', 'string']));
+  expect(nquads).toMatch('<http://example.org/fhir/Observation/obs1> <http://hl7.org/fhir/Observation.status> _:');
+});
@@ -4,6 +4,7 @@ const Jsonld  = require('jsonld');
 const P = require('../Prefixes');
 const FhirJsonLdContextGenerator = require('../FhirJsonLdContextGenerator.js');
 const FhirPreprocessors = require('../FhirPreprocessors.js');
+const {FhirJsonLdConfig} = require('../FhirJsonLdConfig');
 const ShExUtil = require("@shexjs/util");
 
 const GEN_JSONLD_CONTEXT_CONFIG = {
@@ -78,11 +79,9 @@ function makeTester (shexjFile, nestings, axes) {
 
 function makeDocumentLoader (contextGenerator, generatedContexts) {
   return async function (url) {
-    // Make sure its one we know how to generate.
-    if (url.startsWith(FhirJsonLdContextGenerator.STEM) && url.endsWith(FhirJsonLdContextGenerator.SUFFIX)) {
-
-      // Calculate the name of the associated FHIR Resource.
-      const genMe = url.substr(FhirJsonLdContextGenerator.STEM.length, url.length - FhirJsonLdContextGenerator.STEM.length - FhirJsonLdContextGenerator.SUFFIX.length);
+    // Calculate the name of the associated FHIR Resource, or null if it's not one we know how to generate.
+    const genMe = FhirJsonLdConfig.R4.contextName(url);
+    if (genMe !== null) {
       try {
         // Generate the context and store create a JSON-LD API document for it.
         const context = await contextGenerator.genJsonldContext(genMe, GEN_JSONLD_CONTEXT_CONFIG);
@@ -102,7 +101,7 @@ function makeDocumentLoader (contextGenerator, generatedContexts) {
         throw e;
       }
     }
-    throw new Error(`This test should not resolve any context urls outside of "${FhirJsonLdContextGenerator.STEM}%s${FhirJsonLdContextGenerator.SUFFIX}".`);
+    throw new Error(`This test should not resolve any context urls outside of "${FhirJsonLdConfig.R4.contextStem}%s${FhirJsonLdConfig.SUFFIX}".`);
     // return xhrDocumentLoader(url);
   }
 }
@@ -5,6 +5,7 @@ const JsonLdError = require('jsonld/lib/JsonLdError');
 const {BundleDefinitionLoader} = require('../BundleDefinitionLoader');
 const FhirJsonLdContextModelVisitor = require('../FhirJsonLdContextModelVisitor');
 const FhirPreprocessors = require('../FhirPreprocessors');
+const {FhirJsonLdConfig} = require('../FhirJsonLdConfig');
 
 const GEN_JSONLD_CONTEXT_CONFIG = {
 };
@@ -24,8 +25,8 @@ const Generatod = {}; // all generated contexts by URL
 
 Jsonld.documentLoader = async function (url) {
   await Promise.resolve();
-  if (url.startsWith(FhirJsonLdContextModelVisitor.STEM) && url.endsWith(FhirJsonLdContextModelVisitor.SUFFIX)) {
-    const genMe = url.substr(FhirJsonLdContextModelVisitor.STEM.length, url.length - FhirJsonLdContextModelVisitor.STEM.length - FhirJsonLdContextModelVisitor.SUFFIX.length);
+  const genMe = FhirJsonLdConfig.R4.contextName(url);
+  if (genMe !== null) {
     const definitionLoader = new BundleDefinitionLoader(R5Resources, R5Datatypes /* valuesets not needed for JSON-LD context generation */);
     const generator = new FhirJsonLdContextModelVisitor(definitionLoader, {axes: {r:true, d:true, v:true, c:false, h:false}});
     const resourceDef = await definitionLoader.getStructureDefinitionByName(genMe, GEN_JSONLD_CONTEXT_CONFIG);
@@ -87,3 +88,18 @@ describe('RDVch', () => {
     }
   });
 });
+
+test('generate every context', async () => {
+  const [resources, datatypes] = await Promise.all(['medreq-min-resources.json', 'medreq-min-types.json'].map(
+    async f => JSON.parse(await Fs.promises.readFile(Path.join(__dirname, 'fhir', f), 'utf8'))
+  ));
+  const generator = new FhirJsonLdContextModelVisitor(new BundleDefinitionLoader(resources, datatypes), {axes: 'RDVch'});
+  const contexts = await generator.genJsonldContexts([resources, datatypes]);
+
+  expect(Array.from(contexts.keys())).toEqual(expect.arrayContaining(['root', 'Observation', 'CodeableConcept', 'string', 'CodeSystem.concept']));
+  expect(contexts.get('Observation')['@context'].code).toEqual({'@id': 'fhir:Observation.code', '@context': 'CodeableConcept.context.jsonld'});
+  expect(contexts.get('CodeSystem.concept')['@context'].concept['@context']).toEqual('CodeSystem.concept.context.jsonld');
+  // Everything referenced is generated, apart from types the fixtures leave out.
+  expect(FhirJsonLdContextModelVisitor.contextReferences(Array.from(contexts.values())).filter(name => !contexts.has(name)).sort())
+    .toEqual(['Quantity', 'Range', 'instant', 'url']);
+});
@@ -0,0 +1,96 @@
+const Fs = require('fs');
+const Path = require('path');
+const tv4 = require('tv4');
+const {FhirJsonSchemaGenerator} = require('../FhirJsonSchemaGenerator');
+const {BundleDefinitionLoader} = require('../BundleDefinitionLoader');
+const {Diagnostics} = require('../Diagnostics');
+
+const Observation = {
+  resourceType: 'Observation',
+  id: 'obs1',
+  status: 'final',
+  code: {coding: [{system: 'http://loinc.org', code: '1234-5'}]},
+  valueString: 'high',
+};
+
+test('generate JSON Schema definitions', async () => {
+  const schema = await genJsonSchema();
+  expect(schema.$schema).toEqual('http://json-schema.org/draft-04/schema#');
+  const defs = schema.definitions;
+  expect(defs.ResourceList.properties.resourceType.enum).toEqual(['CodeSystem', 'MedicationRequest', 'Observation']);
+  expect(defs.Resource).toBeDefined(); // abstract, but not in ResourceList
+
+  // primitives
+  expect(defs.id).toEqual(expect.objectContaining({type: 'string', pattern: '^(?:[A-Za-z0-9\\-\\.]{1,64})$'}));
+  expect(defs.boolean.type).toEqual('boolean');
+  expect(defs.decimal.type).toEqual('number');
+  expect(defs.integer64.type).toEqual('string');
+
+  // inherited properties, choices and "_" siblings
+  const obs = defs.Observation.properties;
+  expect(Object.keys(obs)).toEqual(expect.arrayContaining(['resourceType', 'id', 'text', 'contained', 'extension', 'valueString', '_valueString', 'valueCodeableConcept']));
+  expect(obs._valueCodeableConcept).toBeUndefined();
+  expect(obs._id).toBeUndefined(); // Resource.id is a FHIRPath String
+  expect(obs.contained.items).toEqual({$ref: '#/definitions/ResourceList'});
+  expect(obs.referenceRange.items).toEqual({$ref: '#/definitions/Observation_ReferenceRange'});
+  expect(defs.Observation_ReferenceRange.properties.modifierExtension).toBeDefined();
+  expect(defs.Observation.required).toEqual(['resourceType', 'code']);
+
+  // required bindings
+  expect(defs.MedicationRequest.properties.status.enum).toEqual(expect.arrayContaining(['active', 'draft']));
+});
+
+test('validate FHIR JSON', async () => {
+  const schema = await genJsonSchema();
+  expect(errors(schema, Observation)).toEqual([]);
+
+  // primitive extensions
+  expect(errors(schema, Object.assign({}, Observation, {
+    status: undefined,
+    _status: {extension: [{url: 'http://example.org/ext', valueString: 'x'}]},
+    identifier: [{value: 'a'}],
+  }))).toEqual([]);
+  expect(errors(schema, {resourceType: 'CodeSystem', status: 'draft', content: 'complete', concept: [{code: 'a', designation: [{value: 'A'}]}]})).toEqual([]);
+
+  // unknown properties
+  expect(errors(schema, Object.assign({}, Observation, {valueBogus: 1}))).not.toEqual([]);
+  // more than one choice
+  expect(errors(schema, Object.assign({}, Observation, {valueCodeableConcept: {text: 'high'}}))).not.toEqual([]);
+  // missing required element
+  expect(errors(schema, Object.assign({}, Observation, {status: undefined}))).not.toEqual([]);
+  // bad primitive
+  expect(errors(schema, Object.assign({}, Observation, {id: 'has spaces'}))).not.toEqual([]);
+  // unknown resourceType
+  expect(errors(schema, Object.assign({}, Observation, {resourceType: 'Bogus'}))).toContain('/resourceType: No enum match for: "Bogus"');
+  // required binding
+  expect(errors(schema, {resourceType: 'MedicationRequest', status: 'bogus', medication: {}, subject: {}})).not.toEqual([]);
+  expect(errors(schema, {resourceType: 'MedicationRequest', status: 'active', medication: {}, subject: {}})).toEqual([]);
+});
+
+test('leave bindings to missing ValueSets unchecked', async () => {
+  const diagnostics = new Diagnostics();
+  const schema = await genJsonSchema(diagnostics);
+  expect(schema.definitions.Observation.properties.status).toEqual(expect.objectContaining({$ref: '#/definitions/code'}));
+  expect(diagnostics.toJSON().filter(d => d.code === 'missing-valueset' && d.path === 'Observation.status').length).toBeGreaterThan(0);
+});
+
+async function genJsonSchema (diagnostics = new Diagnostics()) {
+  const definitions = await Promise.all(['medreq-min-resources.json', 'medreq-min-types.json', 'medreq-min-valuesets.json'].map(
+    async f => JSON.parse(await Fs.promises.readFile(Path.join(__dirname, 'fhir', f), 'utf8'))
+  ));
+  const generator = new FhirJsonSchemaGenerator(new BundleDefinitionLoader(...definitions), {diagnostics});
+  return await generator.genJsonSchema(definitions);
+}
+
+// ["/dataPath: message", ...]
+function errors (schema, instance) {
+  const result = tv4.validateMultiple(JSON.parse(JSON.stringify(instance)), schema);
+  return flatten(result.errors).map(e => `${e.dataPath}: ${e.message}`);
+}
+
+// tv4 nests the errors from oneOf alternatives.
+function flatten (errors) {
+  return errors.reduce((acc, e) => e.code === tv4.errorCodes.ONE_OF_MISSING || e.code === tv4.errorCodes.ANY_OF_MISSING
+                       ? acc.concat(flatten(e.subErrors || []))
+                       : acc.concat([e]), []);
+}
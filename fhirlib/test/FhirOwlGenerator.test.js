@@ -0,0 +1,100 @@
+const Fs = require('fs');
+const Path = require('path');
+const {Parser, Store, DataFactory} = require('n3');
+const {FhirOwlGenerator} = require('../FhirOwlGenerator');
+const {BundleDefinitionLoader} = require('../BundleDefinitionLoader');
+const P = require('../Prefixes');
+
+const {namedNode} = DataFactory;
+
+test('generate OWL for RDVch', async () => {
+  const {store, turtle} = await genOntology('RDVch');
+  expect(turtle).toMatch(/^fhir:fhir.ttl a owl:Ontology\.$/m);
+  expect(objects(store, P.fhir + 'Observation', P.rdf + 'type')).toEqual([P.owl + 'Class']);
+  expect(objects(store, P.fhir + 'Observation', P.rdfs + 'subClassOf')).toContain(P.fhir + 'DomainResource');
+
+  // cardinality restrictions
+  expect(restrictions(store, P.fhir + 'Observation', P.fhir + 'Observation.status')).toEqual({[P.owl + 'cardinality']: '1'});
+  expect(restrictions(store, P.fhir + 'Observation', P.fhir + 'Observation.category')).toEqual({});
+  expect(restrictions(store, P.fhir + 'Observation', P.fhir + 'Observation.subject')).toEqual({[P.owl + 'maxCardinality']: '1'});
+  // each of a choice's curried predicates may be absent
+  expect(restrictions(store, P.fhir + 'Observation', P.fhir + 'Observation.valueString')).toEqual({[P.owl + 'maxCardinality']: '1'});
+
+  // properties
+  expect(objects(store, P.fhir + 'Observation.status', P.rdf + 'type')).toEqual([P.owl + 'ObjectProperty']);
+  expect(objects(store, P.fhir + 'Observation.status', P.rdfs + 'domain')).toEqual([P.fhir + 'Observation']);
+  expect(objects(store, P.fhir + 'Observation.status', P.rdfs + 'range')).toEqual([P.fhir + 'code']);
+  expect(objects(store, P.fhir + 'v', P.rdf + 'type')).toEqual([P.owl + 'DatatypeProperty']);
+  expect(objects(store, P.fhir + 'index', P.rdfs + 'range')).toEqual([P.xsd + 'integer']);
+
+  // nested structures get a class, inheriting e.g. modifierExtension from BackboneElement
+  expect(objects(store, P.fhir + 'Observation.referenceRange', P.rdf + 'type').sort()).toEqual([P.owl + 'Class', P.owl + 'ObjectProperty']);
+  expect(objects(store, P.fhir + 'Observation.referenceRange', P.rdfs + 'range')).toEqual([P.fhir + 'Observation.referenceRange']);
+  expect(objects(store, P.fhir + 'Observation.referenceRange', P.rdfs + 'subClassOf')).toContain(P.fhir + 'BackboneElement');
+  expect(objects(store, P.fhir + 'Observation.referenceRange.low', P.rdfs + 'domain')).toEqual([P.fhir + 'Observation.referenceRange']);
+  expect(store.getQuads(null, namedNode(P.rdfs + 'domain'), namedNode(P.fhir + 'Observation.referenceRange'))
+         .map(q => q.subject.value)).not.toContain(P.fhir + 'BackboneElement.modifierExtension');
+});
+
+test('generate OWL for rdvCh', async () => {
+  const {store} = await genOntology('rdvCh');
+
+  // predicates shared by resources have a union of domains
+  const statusDomain = objects(store, P.fhir + 'status', P.rdfs + 'domain');
+  expect(statusDomain.length).toEqual(1);
+  expect(members(store, statusDomain[0], P.owl + 'unionOf')).toEqual(expect.arrayContaining([P.fhir + 'Observation', P.fhir + 'MedicationRequest']));
+  expect(objects(store, P.fhir + 'status', P.rdfs + 'comment')).toEqual([]); // described differently in each
+
+  // un-curried choices have a union of ranges
+  const valueRange = objects(store, P.fhir + 'value', P.rdfs + 'range');
+  expect(members(store, valueRange[0], P.owl + 'unionOf')).toEqual(expect.arrayContaining([P.fhir + 'Quantity', P.fhir + 'string']));
+
+  // lists
+  expect(objects(store, P.fhir + 'coding', P.rdfs + 'range')).toEqual([P.rdf + 'List']);
+  expect(restrictions(store, P.fhir + 'CodeableConcept', P.fhir + 'coding')).toEqual({[P.owl + 'maxCardinality']: '1'});
+  expect(store.getQuads(namedNode(P.fhir + 'index'), null, null)).toEqual([]);
+});
+
+test('generate OWL for hoisted scalars', async () => {
+  const {store} = await genOntology('RDVcH');
+  expect(objects(store, P.fhir + 'Observation.status', P.rdf + 'type')).toEqual([P.owl + 'DatatypeProperty']);
+  expect(objects(store, P.fhir + 'Observation.status', P.rdfs + 'range')).toEqual([P.xsd + 'string']);
+  expect(objects(store, P.fhir + 'Observation.code', P.rdf + 'type')).toEqual([P.owl + 'ObjectProperty']);
+});
+
+async function genOntology (axes) {
+  const definitions = await Promise.all(['medreq-min-resources.json', 'medreq-min-types.json'].map(
+    async f => JSON.parse(await Fs.promises.readFile(Path.join(__dirname, 'fhir', f), 'utf8'))
+  ));
+  const generator = new FhirOwlGenerator(new BundleDefinitionLoader(...definitions), {axes});
+  await generator.genOntology(definitions);
+  const turtle = await generator.writeTurtle();
+  const store = new Store();
+  store.addQuads(new Parser().parse(turtle));
+  return {store, turtle};
+}
+
+function objects (store, s, p) {
+  return store.getObjects(typeof s === 'string' ? namedNode(s) : s, namedNode(p), null).map(o => o.termType === 'NamedNode' ? o.value : o);
+}
+
+// {owl:cardinality: "1", ...} from owl:Restrictions on property in cls's rdfs:subClassOf
+function restrictions (store, cls, property) {
+  return store.getObjects(namedNode(cls), namedNode(P.rdfs + 'subClassOf'), null)
+    .filter(r => store.has(DataFactory.quad(r, namedNode(P.owl + 'onProperty'), namedNode(property))))
+    .reduce((acc, r) => {
+      ['cardinality', 'minCardinality', 'maxCardinality'].forEach(kind => store.getObjects(r, namedNode(P.owl + kind), null)
+        .forEach(o => { acc[P.owl + kind] = o.value; }));
+      return acc;
+    }, {});
+}
+
+function members (store, s, p) {
+  let list = store.getObjects(s, namedNode(p), null)[0];
+  const ret = [];
+  while (list.value !== P.rdf + 'nil') {
+    ret.push(store.getObjects(list, namedNode(P.rdf + 'first'), null)[0].value);
+    list = store.getObjects(list, namedNode(P.rdf + 'rest'), null)[0];
+  }
+  return ret;
+}
@@ -0,0 +1,50 @@
+const {FhirPathTranslator} = require('../FhirPathTranslator');
+
+const EX = 'http://example.org/';
+const PROPERTIES = {
+  low: [EX + 'low'],
+  high: [EX + 'high'],
+  value: [EX + 'valueQuantity', EX + 'valueString'],
+  div: [EX + 'div'],
+};
+const translator = new FhirPathTranslator(name => PROPERTIES[name] || null);
+
+const exists = predicate => ({type: 'Shape', expression: {type: 'TripleConstraint', predicate: EX + predicate, min: 1, max: -1}});
+const empty = predicate => ({type: 'Shape', expression: {type: 'TripleConstraint', predicate: EX + predicate, min: 0, max: 0}});
+
+test('parse the supported subset', () => {
+  expect(FhirPathTranslator.parse('low.exists() or high.exists() and (low.empty()).not()')).toEqual({
+    op: 'or', args: [
+      {op: 'exists', property: 'low'},
+      {op: 'and', args: [{op: 'exists', property: 'high'}, {op: 'not', arg: {op: 'empty', property: 'low'}}]},
+    ]
+  });
+  expect(FhirPathTranslator.parse('text.`div`.exists()')).toBeNull(); // multi-step path
+  expect(FhirPathTranslator.parse('`div`.exists()')).toEqual({op: 'exists', property: 'div'});
+  [
+    'hasValue() or (children().count() > id.count())',
+    "name.matches('[A-Z]([A-Za-z0-9_]){0,254}')",
+    'period.exists() implies period >= 0',
+    'low.exists() or',
+    'low.exists() high.exists()',
+  ].forEach(expression => expect(FhirPathTranslator.parse(expression)).toBeNull());
+});
+
+test('translate to ShEx', () => {
+  expect(translator.translate('low.exists() or high.exists()')).toEqual({type: 'ShapeOr', shapeExprs: [exists('low'), exists('high')]});
+  expect(translator.translate('low.empty() and high.exists().not()')).toEqual({
+    type: 'ShapeAnd', shapeExprs: [empty('low'), {type: 'ShapeNot', shapeExpr: exists('high')}]
+  });
+  expect(translator.translate('low.exists() implies high.exists()')).toEqual({
+    type: 'ShapeOr', shapeExprs: [{type: 'ShapeNot', shapeExpr: exists('low')}, exists('high')]
+  });
+
+  // choices: some or none of the curried predicates
+  expect(translator.translate('value.exists()')).toEqual({type: 'ShapeOr', shapeExprs: [exists('valueQuantity'), exists('valueString')]});
+  expect(translator.translate('value.empty()')).toEqual({
+    type: 'Shape', expression: {type: 'EachOf', expressions: [empty('valueQuantity').expression, empty('valueString').expression]}
+  });
+
+  // unknown properties
+  expect(translator.translate('dataAbsentReason.empty() or value.empty()')).toBeNull();
+});
@@ -0,0 +1,124 @@
+const Fs = require('fs');
+const Path = require('path');
+const Jsonld = require('jsonld');
+const {BundleDefinitionLoader} = require('../BundleDefinitionLoader');
+const FhirShExJGenerator = require('../FhirShExJGenerator');
+const FhirJsonLdContextGenerator = require('../FhirJsonLdContextGenerator');
+const {FhirR4Preprocessor} = require('../FhirPreprocessors');
+const {FhirJsonLdConfig} = require('../FhirJsonLdConfig');
+const {Diagnostics} = require('../Diagnostics');
+const P = require('../Prefixes');
+
+const Axes = {r: true, d: true, v: true, c: false, h: false};
+
+const Observation = {
+  resourceType: 'Observation',
+  id: 'obs1',
+  status: 'final',
+  code: {coding: [{system: 'http://loinc.org', code: '1234-5'}], text: 'x'},
+  extension: [{url: 'http://example.org/ext', extension: [{url: 'part', valueString: 's'}]}],
+  valueString: 'high',
+};
+
+let Shexj; // set in beforeAll
+beforeAll(async () => {
+  const definitions = await Promise.all(['medreq-min-resources.json', 'medreq-min-types.json', 'medreq-min-valuesets.json'].map(
+    async f => JSON.parse(await Fs.promises.readFile(Path.join(__dirname, 'fhir', f), 'utf8'))
+  ));
+  Shexj = await new FhirShExJGenerator(new BundleDefinitionLoader(...definitions), {axes: 'RDVch', diagnostics: new Diagnostics(), missing: {}})
+    .genShExJ(definitions);
+});
+
+describe('embedded context', () => {
+  test('same triples as the context URLs, without a document loader', async () => {
+    const embedded = preprocess(Observation, {embedContext: true});
+    expect(embedded['@context'].filter(c => typeof c === 'string')).toEqual([]);
+    const got = await Jsonld.toRDF(embedded, {format: 'application/n-quads', documentLoader: noDocumentLoader});
+
+    const contextGenerator = new FhirJsonLdContextGenerator(Shexj);
+    const documentLoader = async (url) => {
+      const name = FhirJsonLdConfig.R4.contextName(url);
+      if (name === null)
+        throw Error(`unexpected context ${url}`);
+      const context = name === 'root' || Shexj.shapes.find(decl => decl.id === P.fhirshex + name)
+            ? contextGenerator.genJsonldContext(name, {axes: Axes})
+            : {'@context': {}}; // e.g. instant, which the fixtures leave out
+      return {contextUrl: null, documentUrl: url, document: JSON.stringify(context)};
+    };
+    const expected = await Jsonld.toRDF(preprocess(Observation, {}), {format: 'application/n-quads', documentLoader});
+    expect(got).toEqual(expected);
+    expect(got).toMatch(/^_:b\d+ <http:\/\/hl7.org\/fhir\/Element.extension> _:b\d+ .$/m); // nested Extension
+  });
+
+  test('resources of different types get their own terms', async () => {
+    const withContained = Object.assign({}, Observation, {
+      contained: [{resourceType: 'MedicationRequest', id: 'mr1', status: 'active', subject: {reference: 'Patient/p1'}}],
+    });
+    const embedded = preprocess(withContained, {embedContext: true});
+    const context = embedded['@context'][0];
+    expect(context.resourceType).toEqual('@type');
+    expect(context['fhir:Observation']['@context'].status['@id']).toEqual('fhir:Observation.status');
+    expect(context['fhir:MedicationRequest']['@context'].status['@id']).toEqual('fhir:MedicationRequest.status');
+
+    const nquads = await Jsonld.toRDF(embedded, {format: 'application/n-quads', documentLoader: noDocumentLoader});
+    expect(nquads).toMatch(/^<http:\/\/hl7.org\/fhir\/Observation\/obs1> <http:\/\/hl7.org\/fhir\/Observation.status> _:b\d+ .$/m);
+    expect(nquads).toMatch(/^<http:\/\/hl7.org\/fhir\/#mr1> <http:\/\/hl7.org\/fhir\/MedicationRequest.status> _:b\d+ .$/m);
+  });
+});
+
+describe('Bundle', () => {
+  const PatientUrn = 'urn:uuid:61ebe359-bfdc-4613-8bf2-c5e300945f0a';
+  const ObservationUrn = 'urn:uuid:88f151c0-a954-468a-88bd-5ae15c08e059';
+
+  let BundleShexj; // set in beforeAll
+  beforeAll(async () => {
+    const definitions = ['Resources', 'Datatypes'].map(
+      f => JSON.parse(Fs.readFileSync(Path.join(__dirname, `../../playground/R5-${f}-no-ws.json`), 'utf8'))
+    );
+    BundleShexj = await new FhirShExJGenerator(new BundleDefinitionLoader(...definitions), {axes: 'RDVch', diagnostics: new Diagnostics(), missing: {}})
+      .genShExJClosure(['Bundle', 'Observation', 'Patient']);
+  });
+
+  test('transaction entries are tree roots identified and linked by fullUrl', async () => {
+    const bundle = {resourceType: 'Bundle', id: 'tx1', type: 'transaction', entry: [
+      {fullUrl: PatientUrn, resource: {resourceType: 'Patient', active: true}, request: {method: 'POST', url: 'Patient'}},
+      {fullUrl: ObservationUrn, resource: {resourceType: 'Observation', status: 'final', code: {text: 'x'}, subject: {reference: PatientUrn}},
+       request: {method: 'POST', url: 'Observation'}},
+    ]};
+    const preprocessed = preprocess(bundle, {embedContext: true}, BundleShexj);
+    expect(preprocessed.entry.map(entry => entry.resource['@id'])).toEqual([PatientUrn, ObservationUrn]);
+    expect(preprocessed.entry[1].resource.subject['fhir:link']).toEqual({'@id': PatientUrn});
+
+    const nquads = await Jsonld.toRDF(preprocessed, {format: 'application/n-quads', documentLoader: noDocumentLoader});
+    expect(nquads).toMatch(`<${PatientUrn}> <http://hl7.org/fhir/nodeRole> <http://hl7.org/fhir/treeRoot> .`);
+    expect(nquads).toMatch(`<${ObservationUrn}> <http://hl7.org/fhir/nodeRole> <http://hl7.org/fhir/treeRoot> .`);
+    expect(nquads).toMatch(new RegExp(`^_:b\\d+ <http://hl7.org/fhir/Bundle.entry.resource> <${ObservationUrn}> .$`, 'm'));
+    expect(nquads).toMatch(new RegExp(`^_:b\\d+ <http://hl7.org/fhir/link> <${PatientUrn}> .$`, 'm'));
+  });
+
+  test('relative references resolve against a RESTful fullUrl', () => {
+    const bundle = {resourceType: 'Bundle', id: 'search1', type: 'searchset', entry: [
+      {fullUrl: 'https://example.com/base/Observation/o1', resource: {
+        resourceType: 'Observation', id: 'o1', status: 'final', code: {text: 'x'},
+        subject: {reference: 'Patient/347'}, hasMember: [{reference: 'Observation/o2'}],
+      }},
+      {fullUrl: 'https://example.com/base/Observation/o2', resource: {resourceType: 'Observation', id: 'o2', status: 'final', code: {text: 'y'}}},
+      {fullUrl: PatientUrn, resource: {resourceType: 'Patient', id: 'p1', link: [{other: {reference: 'Patient/p2'}, type: 'seealso'}]}},
+    ]};
+    const [o1, o2, p1] = preprocess(bundle, {}, BundleShexj).entry.map(entry => entry.resource);
+    expect(o1['@id']).toEqual('https://example.com/base/Observation/o1');
+    expect(o1.subject['fhir:link']).toEqual({'@id': 'https://example.com/base/Patient/347', '@type': 'fhir:Patient'});
+    expect(o1.hasMember[0]['fhir:link']['@id']).toEqual(o2['@id']);
+    expect(p1['@id']).toEqual(PatientUrn);
+    expect(p1.link[0].other['fhir:link']['@id']).toEqual('../Patient/p2'); // no RESTful base to resolve against
+  });
+});
+
+function preprocess (resource, opts, shexj = Shexj) {
+  const preprocessor = new FhirR4Preprocessor(shexj, Object.assign({axes: Axes}, opts));
+  return JSON.parse(preprocessor.preprocess(JSON.parse(JSON.stringify(resource))));
+}
+
+async function noDocumentLoader (url) {
+  throw Error(`didn't expect to load ${url}`);
+}
@@ -0,0 +1,91 @@
+const Fs = require('fs');
+const Path = require('path');
+const {FhirProfileStructure} = require('../FhirProfileStructure');
+const {BundleDefinitionLoader} = require('../BundleDefinitionLoader');
+const P = require('../Prefixes');
+
+async function readJson (relPath) {
+  return JSON.parse(await Fs.promises.readFile(Path.join(__dirname, relPath), 'utf8'));
+}
+
+let Sources; // set in beforeAll
+beforeAll(async () => {
+  Sources = await Promise.all(['resources', 'types', 'valuesets'].map(f => readJson(`fhir/medreq-min-${f}.json`)));
+});
+
+test('content model tree of a resource', async () => {
+  const structure = new FhirProfileStructure(new BundleDefinitionLoader(...Sources), {axes: 'RDVch'});
+  const tree = await structure.walk('Observation');
+  const byId = id => FhirProfileStructure.rows(tree).find(({node}) => node.id === id);
+
+  // inherited elements come first
+  expect(tree.slice(0, 2).map(node => [node.id, node.definedIn])).toEqual([
+    ['Resource.id', 'Resource'],
+    ['DomainResource.text', 'DomainResource'],
+  ]);
+
+  const status = byId('Observation.status').node;
+  expect(status).toEqual(expect.objectContaining({
+    property: 'status', predicate: P.fhir + 'Observation.status', min: 1, max: '1', children: null, sliceName: null,
+  }));
+  expect(status.binding.strength).toEqual('required');
+  expect(status.choices.map(c => c.type)).toEqual(['code']);
+
+  // choices have curried properties and predicates
+  const effective = byId('Observation.effective[x]').node;
+  expect(effective.isChoice).toBe(true);
+  expect(effective.property).toEqual('effective');
+  expect(effective.predicate).toBeNull();
+  expect(effective.choices.map(c => [c.property, c.predicate, c.type])).toEqual([
+    ['effectiveDateTime', P.fhir + 'Observation.effectiveDateTime', 'dateTime'],
+    ['effectivePeriod', P.fhir + 'Observation.effectivePeriod', 'Period'],
+    ['effectiveTiming', P.fhir + 'Observation.effectiveTiming', 'Timing'],
+    ['effectiveInstant', P.fhir + 'Observation.effectiveInstant', 'instant'],
+  ]);
+
+  // nested structures
+  const component = byId('Observation.component');
+  expect(component.node.isNested).toBe(true);
+  expect(component.node.choices.map(c => c.type)).toEqual(['BackboneElement']);
+  expect(component.node.children.map(node => node.id)).toEqual([
+    'BackboneElement.extension',
+    'BackboneElement.modifierExtension',
+    'Observation.component.code',
+    'Observation.component.value[x]',
+    'Observation.component.interpretation',
+    'Observation.component.referenceRange',
+  ]);
+  expect(byId('Observation.component.code').depth).toEqual(1);
+});
+
+test('scalars and axes', async () => {
+  const structure = new FhirProfileStructure(new BundleDefinitionLoader(...Sources), {axes: 'rdvch', inherited: false});
+  const tree = await structure.walk('string');
+  expect(tree.map(node => [node.id, node.predicate, node.choices.map(c => [c.type, c.datatype.datatype])])).toEqual([
+    ['string.value', P.fhir + 'v', [['String', P.xsd + 'string']]],
+  ]);
+
+  const effective = (await structure.walk('Observation')).find(node => node.id === 'Observation.effective[x]');
+  expect(effective.predicate).toEqual(P.fhir + 'effective'); // no curried predicates
+});
+
+test('content model tree of a profile', async () => {
+  const profile = await readJson('fhir/bp-profile.json');
+  const structure = new FhirProfileStructure(new BundleDefinitionLoader(...Sources, profile), {axes: 'RDVch'});
+  const tree = await structure.walk(profile);
+  expect(tree.map(node => [node.id, node.min, node.max, node.sliceName])).toEqual([
+    ['Observation.id', 0, '1', null],
+    ['Observation.status', 1, '1', null],
+    ['Observation.code', 1, '1', null],
+    ['Observation.subject', 1, '1', null],
+    ['Observation.value[x]', 0, '0', null],
+    ['Observation.component', 2, '*', null],
+    ['Observation.component:systolic', 1, '1', 'systolic'],
+  ]);
+  expect(tree.every(node => node.definedIn === 'bp')).toBe(true);
+  expect(tree[6].children.map(node => [node.property, node.predicate])).toEqual([
+    ['code', P.fhir + 'Observation.component.code'],
+    ['value', P.fhir + 'Observation.component.valueQuantity'],
+  ]);
+  await expect(structure.walk('NoSuchThing')).rejects.toThrow(/NoSuchThing/);
+});
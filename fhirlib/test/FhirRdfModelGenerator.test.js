@@ -0,0 +1,124 @@
+const Fs = require('fs');
+const Path = require('path');
+const {FhirRdfModelGenerator, ModelVisitor} = require('../FhirRdfModelGenerator');
+const {BundleDefinitionLoader} = require('../BundleDefinitionLoader');
+
+const AXES = {r: true, d: true, v: true, c: false, h: false};
+
+/**
+ * Record visitor calls as e.g. "enter component:systolic", "element status fhir:Observation.status".
+ */
+class RecordingVisitor extends ModelVisitor {
+  constructor (definitionLoader) {
+    super(definitionLoader);
+    this.calls = [];
+    this.pMaps = [];
+  }
+
+  async enter (propertyMapping, config) {
+    this.calls.push(`enter ${FhirRdfModelGenerator.pathSegment(propertyMapping)} ${short(propertyMapping.predicate)}`);
+    this.pMaps.push(propertyMapping);
+  }
+
+  async element (propertyMappings, config) {
+    this.calls.push(`element ${propertyMappings.map(pMap => `${pMap.property} ${short(pMap.predicate)}`).join(' | ')}`);
+    Array.prototype.push.apply(this.pMaps, propertyMappings);
+  }
+
+  async exit (propertyMapping, config) {
+    this.calls.push(`exit ${propertyMapping.property}`);
+  }
+}
+
+function short (iri) {
+  return iri.replace(FhirRdfModelGenerator.NS_fhir, 'fhir:');
+}
+
+async function readJson (relPath) {
+  return JSON.parse(await Fs.promises.readFile(Path.join(__dirname, relPath), 'utf8'));
+}
+
+let Sources; // set in beforeAll
+beforeAll(async () => {
+  Sources = await Promise.all(['resources', 'types', 'valuesets'].map(f => readJson(`fhir/medreq-min-${f}.json`)));
+});
+
+describe('profiles', () => {
+  test('walk a constraint snapshot', async () => {
+    const profile = await readJson('fhir/bp-profile.json');
+    const definitionLoader = new BundleDefinitionLoader(...Sources, profile);
+    const visitor = new RecordingVisitor(definitionLoader);
+    const modelGenerator = new FhirRdfModelGenerator(definitionLoader, {axes: AXES});
+    await modelGenerator.visitResource(profile, visitor, {});
+
+    expect(visitor.calls).toEqual([
+      'element id fhir:Resource.id',
+      'element status fhir:Observation.status',
+      'element code fhir:Observation.code',
+      'element subject fhir:Observation.subject',
+      'element valueQuantity fhir:Observation.valueQuantity',
+      'enter component fhir:Observation.component',
+      'element code fhir:Observation.component.code',
+      'element valueQuantity fhir:Observation.component.valueQuantity | valueString fhir:Observation.component.valueString',
+      'exit component',
+      'enter component:systolic fhir:Observation.component',
+      'element code fhir:Observation.component.code',
+      'element valueQuantity fhir:Observation.component.valueQuantity',
+      'exit component',
+    ]);
+
+    const byId = id => visitor.pMaps.find(pMap => pMap.element.id === id).restrictions;
+    expect(byId('Observation.status')).toEqual(expect.objectContaining({
+      profile: 'bp', sliceName: null, min: 1, max: '1', fixed: {type: 'Code', value: 'final'}, pattern: null,
+    }));
+    expect(byId('Observation.value[x]')).toEqual(expect.objectContaining({min: 0, max: '0', baseMax: '1'}));
+    expect(byId('Observation.component:systolic')).toEqual(expect.objectContaining({sliceName: 'systolic', min: 1, max: '1', baseMin: 0, baseMax: '*'}));
+    expect(byId('Observation.code').pattern).toEqual({type: 'CodeableConcept', value: {coding: [{system: 'http://loinc.org', code: '85354-9'}]}});
+    expect(byId('Observation.code').nested.map(n => [n.id, n.min, n.fixed])).toEqual([
+      ['Observation.code.coding', 1, null],
+      ['Observation.code.coding.system', 1, {type: 'Uri', value: 'http://loinc.org'}],
+    ]);
+    expect(byId('Observation.component:systolic.value[x]').nested.map(n => n.id)).toEqual([
+      'Observation.component:systolic.value[x]:valueQuantity',
+      'Observation.component:systolic.value[x]:valueQuantity.unit',
+    ]);
+  });
+
+  test('specializations have no restrictions', async () => {
+    const definitionLoader = new BundleDefinitionLoader(...Sources);
+    const visitor = new RecordingVisitor(definitionLoader);
+    const modelGenerator = new FhirRdfModelGenerator(definitionLoader, {axes: AXES});
+    await modelGenerator.visitResource(await definitionLoader.getStructureDefinitionByName('Period'), visitor, {});
+    expect(visitor.calls).toEqual([
+      'element start fhir:Period.start',
+      'element end fhir:Period.end',
+    ]);
+    expect(visitor.pMaps.map(pMap => pMap.restrictions)).toEqual([null, null]);
+  });
+});
+
+describe('inheritance', () => {
+  test('elements override their base definition', async () => {
+    const definitionLoader = new BundleDefinitionLoader(...Sources);
+    const visitor = new RecordingVisitor(definitionLoader);
+    const modelGenerator = new FhirRdfModelGenerator(definitionLoader, {axes: AXES});
+    await modelGenerator.visitResource(await definitionLoader.getStructureDefinitionByName('positiveInt'), visitor, {});
+    expect(visitor.calls).toEqual(['element value fhir:v']);
+    expect(visitor.pMaps[0].specializes.map(pMap => pMap.element.id)).toEqual(['integer.value']);
+  });
+
+  test('merged content model', async () => {
+    const definitionLoader = new BundleDefinitionLoader(...Sources);
+    const modelGenerator = new FhirRdfModelGenerator(definitionLoader, {axes: AXES});
+    const contentModel = await modelGenerator.getContentModel(await definitionLoader.getStructureDefinitionByName('CodeSystem'), {});
+    expect(contentModel.ancestors().map(cm => cm.resourceDef.id)).toEqual(['CanonicalResource', 'DomainResource', 'Resource', 'Base']);
+    expect(contentModel.overrides().map(pMap => pMap.element.id)).toContain('CanonicalResource.url');
+
+    const merged = contentModel.merged().map(disjuncts => disjuncts[0].element.id);
+    expect(merged).toContain('Resource.id');
+    expect(merged).toContain('DomainResource.text');
+    expect(merged).toContain('CodeSystem.url');
+    expect(merged.filter(id => id.startsWith('CanonicalResource.'))).toEqual([]);
+    expect(merged.indexOf('DomainResource.text')).toBeLessThan(merged.indexOf('CodeSystem.url'));
+  });
+});
@@ -0,0 +1,160 @@
+const Fs = require('fs');
+const Path = require('path');
+const FhirShExJGenerator = require('../FhirShExJGenerator.js');
+const {BundleDefinitionLoader} = require('../BundleDefinitionLoader');
+const {TurtleParser} = require('../TurtleParser');
+const {FhirRdfToJsonConverter} = require('../FhirRdfToJsonConverter');
+const {FhirR4Preprocessor} = require('../FhirPreprocessors');
+const {Diagnostics} = require('../Diagnostics');
+const Jsonld = require('jsonld');
+
+const GEN_SHEXJ_CONTEXT_CONFIG = {
+  addValueSetVersionAnnotation: false,
+  addTypesTo: ["Coding"],
+  missing: {}
+};
+
+const MedReqTurtle = `PREFIX fhir: <http://hl7.org/fhir/>
+PREFIX xsd: <http://www.w3.org/2001/XMLSchema#>
+
+<http://hl7.org/fhir/MedicationRequest/medrx002> a fhir:MedicationRequest ;
+  fhir:nodeRole fhir:treeRoot ;
+  fhir:Resource.id [ fhir:v "medrx002" ] ;
+  fhir:MedicationRequest.identifier [
+    fhir:index 1 ;
+    fhir:Identifier.value [ fhir:v "second" ]
+  ], [
+    fhir:index 0 ;
+    fhir:Identifier.use [ fhir:v "official" ] ;
+    fhir:Identifier.value [ fhir:v "first" ]
+  ] ;
+  fhir:MedicationRequest.status [
+    fhir:v "active" ;
+    fhir:Element.extension [
+      fhir:index 0 ;
+      fhir:Extension.url [ fhir:v "http://example.org/status-reason"^^xsd:anyURI ] ;
+      fhir:Extension.valueString [ fhir:v "renewed" ]
+    ]
+  ] ;
+  fhir:MedicationRequest.subject [
+    fhir:link <http://hl7.org/fhir/Patient/pat1> ;
+    fhir:Reference.reference [ fhir:v "Patient/pat1" ]
+  ] ;
+  fhir:MedicationRequest.medication [
+    fhir:CodeableReference.concept [
+      fhir:CodeableConcept.coding [
+        fhir:index 0 ;
+        a <http://snomed.info/id/108761006> ;
+        fhir:Coding.system [ fhir:v "http://snomed.info/sct"^^xsd:anyURI ] ;
+        fhir:Coding.code [ fhir:v "108761006" ]
+      ]
+    ]
+  ] .
+`;
+
+const MedReqJson = {
+  resourceType: "MedicationRequest",
+  id: "medrx002",
+  identifier: [
+    { use: "official", value: "first" },
+    { value: "second" }
+  ],
+  status: "active",
+  _status: {
+    extension: [
+      { url: "http://example.org/status-reason", valueString: "renewed" }
+    ]
+  },
+  medication: {
+    concept: {
+      coding: [
+        { system: "http://snomed.info/sct", code: "108761006" }
+      ]
+    }
+  },
+  subject: { reference: "Patient/pat1" }
+};
+
+let Schema; // set in beforeAll
+beforeAll(async () => {
+  const sources = await Promise.all(
+    ['resources', 'types', 'valuesets']
+      .map(f => Path.join(__dirname, `fhir/medreq-min-${f}.json`))
+      .map(async p => JSON.parse(await Fs.promises.readFile(p, 'utf8')))
+  );
+  const generator = new FhirShExJGenerator(
+    new BundleDefinitionLoader(...sources),
+    Object.assign({axes: 'RDVch'}, GEN_SHEXJ_CONTEXT_CONFIG),
+  );
+  Schema = await generator.genShExJ(sources);
+});
+
+test('convert MedicationRequest RDF to FHIR JSON', async () => {
+  const resource = await new TurtleParser().parse(MedReqTurtle, 'http://hl7.org/fhir/');
+  const converter = new FhirRdfToJsonConverter(Schema, {axes: 'RDVch'});
+  const json = converter.convert(resource);
+  expect(json).toEqual(MedReqJson);
+  expect(Object.keys(json).slice(0, 2)).toEqual(['resourceType', 'id']);
+});
+
+test('recover id from resource IRI', async () => {
+  const resource = await new TurtleParser().parse(`PREFIX fhir: <http://hl7.org/fhir/>
+<http://hl7.org/fhir/MedicationRequest/medrx003> a fhir:MedicationRequest ; fhir:nodeRole fhir:treeRoot ;
+  fhir:MedicationRequest.status [ fhir:v "draft" ] .
+`, 'http://hl7.org/fhir/');
+  const json = new FhirRdfToJsonConverter(Schema).convert(resource);
+  expect(json).toEqual({resourceType: "MedicationRequest", id: "medrx003", status: "draft"});
+});
+
+test('keep the lexical form of decimals', async () => {
+  const resource = await new TurtleParser().parse(`PREFIX fhir: <http://hl7.org/fhir/>
+PREFIX xsd: <http://www.w3.org/2001/XMLSchema#>
+<http://hl7.org/fhir/MedicationRequest/medrx005> a fhir:MedicationRequest ; fhir:nodeRole fhir:treeRoot ;
+  fhir:DomainResource.extension [
+    fhir:index 0 ;
+    fhir:Extension.url [ fhir:v "http://example.org/dose"^^xsd:anyURI ] ;
+    fhir:Extension.valueDecimal [ fhir:v "1.50"^^xsd:decimal ]
+  ], [
+    fhir:index 1 ;
+    fhir:Extension.url [ fhir:v "http://example.org/ratio"^^xsd:anyURI ] ;
+    fhir:Extension.valueDecimal [ fhir:v "0.12345678901234567890"^^xsd:decimal ]
+  ] .
+`, 'http://hl7.org/fhir/');
+  const json = new FhirRdfToJsonConverter(Schema).convert(resource);
+  expect(json.extension).toEqual([
+    {url: "http://example.org/dose", valueDecimal: "1.50"},
+    {url: "http://example.org/ratio", valueDecimal: "0.12345678901234567890"},
+  ]);
+});
+
+test('report unknown predicates', async () => {
+  const resource = await new TurtleParser().parse(`PREFIX fhir: <http://hl7.org/fhir/>
+<http://hl7.org/fhir/MedicationRequest/medrx004> a fhir:MedicationRequest ; fhir:nodeRole fhir:treeRoot ;
+  fhir:MedicationRequest.bogus [ fhir:v "oops" ] .
+`, 'http://hl7.org/fhir/');
+  const errors = [];
+  const json = new FhirRdfToJsonConverter(Schema, {error: e => errors.push(e)}).convert(resource);
+  expect(json).toEqual({resourceType: "MedicationRequest", id: "medrx004"});
+  expect(errors.map(e => e.message)).toEqual([expect.stringMatching(/MedicationRequest\.bogus/)]);
+});
+
+test('round-trip a Bundle whose entries are tree roots', async () => {
+  const definitions = ['Resources', 'Datatypes'].map(
+    f => JSON.parse(Fs.readFileSync(Path.join(__dirname, `../../playground/R5-${f}-no-ws.json`), 'utf8'))
+  );
+  const schema = await new FhirShExJGenerator(new BundleDefinitionLoader(...definitions), {axes: 'RDVch', diagnostics: new Diagnostics(), missing: {}})
+        .genShExJClosure(['Bundle', 'Observation', 'Patient']);
+  const patientUrn = 'urn:uuid:61ebe359-bfdc-4613-8bf2-c5e300945f0a';
+  const bundle = {resourceType: "Bundle", id: "tx1", type: "transaction", entry: [
+    {fullUrl: patientUrn, resource: {resourceType: "Patient", active: true}, request: {method: "POST", url: "Patient"}},
+    {fullUrl: 'urn:uuid:88f151c0-a954-468a-88bd-5ae15c08e059',
+     resource: {resourceType: "Observation", status: "final", code: {text: "x"}, subject: {reference: patientUrn}},
+     request: {method: "POST", url: "Observation"}},
+  ]};
+
+  const preprocessed = new FhirR4Preprocessor(schema, {embedContext: true}).preprocess(JSON.parse(JSON.stringify(bundle)));
+  const nquads = await Jsonld.toRDF(JSON.parse(preprocessed), {format: 'application/n-quads'});
+  const resource = await new TurtleParser().parse(nquads, 'http://hl7.org/fhir/');
+  expect(resource.store.getQuads(null, 'http://hl7.org/fhir/nodeRole', 'http://hl7.org/fhir/treeRoot').length).toEqual(3);
+  expect(new FhirRdfToJsonConverter(schema).convert(resource)).toEqual(bundle);
+});
@@ -2,6 +2,7 @@ const Fs = require('fs');
 const Path = require('path');
 const FhirShExJGenerator = require('../FhirShExJGenerator.js');
 const {BundleDefinitionLoader} = require('../BundleDefinitionLoader');
+const {Diagnostics} = require('../Diagnostics');
 
 const GEN_SHEXJ_CONTEXT_CONFIG = {
   addValueSetVersionAnnotation: false, // handle e.g. "http://hl7.org/fhir/ValueSet/medicationrequest-status|4.6.0"
@@ -29,9 +30,10 @@ test.each(GenTests)('generate $expectedRel from $resourcesRel and $datatypesRel'
   const parsedDatatypes = await readJsonProfile(Path.join(__dirname, datatypes));
   const parsedValuesets = await readJsonProfile(Path.join(__dirname, valuesets));
   const definitionLoader = new BundleDefinitionLoader(parsedResources, parsedDatatypes, parsedValuesets);
+  const diagnostics = new Diagnostics();
   const generator = new FhirShExJGenerator(
     definitionLoader,
-    Object.assign({axes}, GEN_SHEXJ_CONTEXT_CONFIG),
+    Object.assign({axes, diagnostics}, GEN_SHEXJ_CONTEXT_CONFIG),
   );
   const generated = await generator.genShExJ([parsedResources, parsedDatatypes, parsedValuesets], skip);
 
@@ -51,13 +53,293 @@ test.each(GenTests)('generate $expectedRel from $resourcesRel and $datatypesRel'
   // Fs.writeFileSync("/tmp/toy/reference.json", JSON.stringify(reference, null, 2), {encoding: "utf8"});
   expect(generated).toEqual(reference);
   expect(GEN_SHEXJ_CONTEXT_CONFIG.missing.codesystems).toEqual(new Set([
-      "http://terminology.hl7.org/CodeSystem/v3-TimingEvent",
-      "urn:ietf:bcp:13",
-      "http://unitsofmeasure.org",
+      "urn:ietf:bcp:13", // v3-TimingEvent and UCUM codes are enumerated in the ValueSets
   ]))
+  expect(diagnostics.diagnostics.filter(d => d.code === 'valueset-not-expandable').map(d => d.structureDefinition)).toEqual(['mimetypes']);
+  expect(diagnostics.counts().error).toEqual(0);
   GEN_SHEXJ_CONTEXT_CONFIG.missing = {};
 });
 
+test('generate profile shape from bp-profile.json', async () => {
+  const parsedResources = await readJsonProfile(Path.join(__dirname, 'fhir/medreq-min-resources.json'));
+  const parsedDatatypes = await readJsonProfile(Path.join(__dirname, 'fhir/medreq-min-types.json'));
+  const profile = await readJsonProfile(Path.join(__dirname, 'fhir/bp-profile.json'));
+  const definitionLoader = new BundleDefinitionLoader(parsedResources, parsedDatatypes, profile);
+  const generator = new FhirShExJGenerator(definitionLoader, Object.assign({axes: 'RDVch'}, GEN_SHEXJ_CONTEXT_CONFIG));
+  const generated = await generator.genShExJ([{entry: [{resource: profile}]}]);
+  GEN_SHEXJ_CONTEXT_CONFIG.missing = {};
+
+  expect(generated.shapes.map(se => se.id)).toEqual([
+    'http://hl7.org/fhir/shape/bp',
+    'http://hl7.org/fhir/shape/bp.component',
+    'http://hl7.org/fhir/shape/bp.component:systolic',
+    'http://hl7.org/fhir/shape/Base',
+  ]);
+  const bp = generated.shapes[0].shapeExpr;
+  expect(bp.extends).toBeUndefined(); // snapshot includes everything from Observation
+  const tcs = bp.expression.expressions;
+  expect(tcs[0].valueExpr.values).toEqual(['http://hl7.org/fhir/Observation']);
+  expect(tcs.find(tc => tc.predicate === 'http://hl7.org/fhir/Observation.status').valueExpr.shapeExprs[1])
+    .toEqual({type: 'Shape', expression: {type: 'TripleConstraint', predicate: 'http://hl7.org/fhir/v', valueExpr: {type: 'NodeConstraint', values: [{value: 'final'}]}}});
+  expect(tcs.filter(tc => tc.predicate === 'http://hl7.org/fhir/Observation.component').map(tc => [tc.valueExpr, tc.min, tc.max])).toEqual([
+    ['http://hl7.org/fhir/shape/bp.component', 2, -1],
+    ['http://hl7.org/fhir/shape/bp.component:systolic', undefined, undefined],
+  ]);
+});
+
+test('bindings pinned to older ValueSet versions', async () => {
+  const parsedResources = await readJsonProfile(Path.join(__dirname, 'fhir/medreq-min-resources.json'));
+  const parsedDatatypes = await readJsonProfile(Path.join(__dirname, 'fhir/medreq-min-types.json'));
+  const parsedValuesets = await readJsonProfile(Path.join(__dirname, 'fhir/medreq-min-valuesets.json'));
+  const latest = parsedValuesets.entry.find(e => e.resource.resourceType === 'ValueSet' && e.resource.id === 'identifier-use').resource;
+  const older = Object.assign({}, latest, {version: '4.5.0'}); // Identifier.use is bound to identifier-use|4.5.0
+  const definitionLoader = new BundleDefinitionLoader(parsedResources, parsedDatatypes, parsedValuesets, older);
+  const config = Object.assign({axes: 'RDVch'}, GEN_SHEXJ_CONTEXT_CONFIG, {missing: {}});
+  const generator = new FhirShExJGenerator(definitionLoader, config);
+  const identifier = parsedDatatypes.entry.find(e => e.resource.id === 'Identifier').resource;
+  const generated = await generator.genShExJ([{entry: [{resource: identifier}, {resource: latest}, {resource: older}]}]);
+
+  expect(generated.shapes.map(se => se.id)).toEqual(expect.arrayContaining([
+    'http://hl7.org/fhir/ValueSet/identifier-use',
+    'http://hl7.org/fhir/ValueSet/identifier-use_v4.5.0',
+  ]));
+  const use = generated.shapes.find(se => se.id === 'http://hl7.org/fhir/shape/Identifier').shapeExpr.expression.expressions
+        .find(tc => tc.predicate === 'http://hl7.org/fhir/Identifier.use');
+  expect(use.valueExpr.shapeExprs[1].expression.valueExpr).toEqual('http://hl7.org/fhir/ValueSet/identifier-use_v4.5.0');
+  // The pinned version was found so it isn't reported as missing.
+  expect(Array.from(config.missing.valuesets || []).filter(vs => vs.indexOf('identifier-use') !== -1)).toEqual([]);
+});
+
+test('binding policy for non-required bindings', async () => {
+  const parsedResources = await readJsonProfile(Path.join(__dirname, 'fhir/medreq-min-resources.json'));
+  const parsedDatatypes = await readJsonProfile(Path.join(__dirname, 'fhir/medreq-min-types.json'));
+  const definitionLoader = new BundleDefinitionLoader(parsedResources, parsedDatatypes);
+  const observation = parsedResources.entry.find(e => e.resource.id === 'Observation').resource;
+  const generate = async bindingPolicy => {
+    const config = Object.assign({axes: 'RDVch'}, GEN_SHEXJ_CONTEXT_CONFIG, {missing: {}, bindingPolicy});
+    const generated = await new FhirShExJGenerator(definitionLoader, config).genShExJ([{entry: [{resource: observation}]}]);
+    const tc = predicate => generated.shapes.find(se => se.id === 'http://hl7.org/fhir/shape/Observation').shapeExpr.expression.expressions
+          .find(tc => tc.predicate === 'http://hl7.org/fhir/Observation.' + predicate);
+    return {generated, tc};
+  };
+
+  // ignored by default
+  const ignored = await generate(undefined);
+  expect(ignored.tc('interpretation').annotations).toBeUndefined();
+  expect(ignored.generated.shapes.filter(se => se.id.indexOf('_ADVISORY_') !== -1)).toEqual([]);
+
+  const {generated, tc} = await generate({extensible: 'advisory', example: 'annotate'});
+  const advisoryLabel = 'http://hl7.org/fhir/shape/CodeableConcept_ADVISORY_observation-interpretation';
+  expect(tc('interpretation').annotations).toEqual([
+    {type: 'Annotation', predicate: 'http://hl7.org/fhir/ElementDefinition.binding.strength', object: {value: 'extensible'}},
+    {type: 'Annotation', predicate: 'http://hl7.org/fhir/ElementDefinition.binding.valueSet', object: 'http://hl7.org/fhir/ValueSet/observation-interpretation'},
+    {type: 'Annotation', predicate: 'http://hl7.org/fhir/shape/advisory', object: advisoryLabel},
+  ]);
+  // the valueExpr is unchanged; validators check the advisory shape separately
+  expect(tc('interpretation').valueExpr).toEqual('http://hl7.org/fhir/shape/CodeableConcept');
+  expect(tc('code').annotations.map(a => a.object)).toEqual([{value: 'example'}, 'http://hl7.org/fhir/ValueSet/observation-codes']);
+
+  const byId = new Map(generated.shapes.map(se => [se.id, se.shapeExpr]));
+  // some coding is from the ValueSet
+  expect(byId.get(advisoryLabel).shapeExprs[1]).toEqual({
+    type: 'Shape',
+    extra: ['http://hl7.org/fhir/CodeableConcept.coding'],
+    expression: {
+      type: 'TripleConstraint',
+      predicate: 'http://hl7.org/fhir/CodeableConcept.coding',
+      valueExpr: 'http://hl7.org/fhir/shape/Coding_ADVISORY_observation-interpretation',
+      min: 1, max: -1,
+    }
+  });
+  expect(byId.get('http://hl7.org/fhir/shape/Coding_ADVISORY_observation-interpretation').shapeExprs[1].expression.valueExpr.expression.valueExpr)
+    .toEqual('http://hl7.org/fhir/ValueSet/observation-interpretation');
+
+  expect(() => new FhirShExJGenerator(definitionLoader, {bindingPolicy: 'warn'})).toThrow(/warn/);
+});
+
+test('FHIRPath invariants', async () => {
+  const parsedResources = await readJsonProfile(Path.join(__dirname, 'fhir/medreq-min-resources.json'));
+  const parsedDatatypes = await readJsonProfile(Path.join(__dirname, 'fhir/medreq-min-types.json'));
+  const definitionLoader = new BundleDefinitionLoader(parsedResources, parsedDatatypes);
+  const observation = parsedResources.entry.find(e => e.resource.id === 'Observation').resource;
+  const generate = async invariants => {
+    const diagnostics = new Diagnostics();
+    const config = Object.assign({axes: 'RDVch'}, GEN_SHEXJ_CONTEXT_CONFIG, {missing: {}, diagnostics, invariants});
+    const generated = await new FhirShExJGenerator(definitionLoader, config).genShExJ([{entry: [{resource: observation}]}]);
+    const byId = new Map(generated.shapes.map(se => [se.id.substr('http://hl7.org/fhir/shape/'.length), se.shapeExpr]));
+    return {byId, diagnostics};
+  };
+  const keys = semActs => semActs.map(semAct => JSON.parse(semAct.code).key);
+
+  const ignored = await generate(undefined);
+  expect(ignored.byId.get('Observation').semActs).toBeUndefined();
+
+  const annotated = await generate('annotate');
+  expect(keys(annotated.byId.get('Observation').semActs)).toEqual(['obs-7', 'obs-6']);
+  expect(annotated.byId.get('Observation').semActs[1]).toEqual({
+    type: 'SemAct',
+    name: 'http://hl7.org/fhir/invariant',
+    code: JSON.stringify({
+      key: 'obs-6', severity: 'error',
+      human: 'dataAbsentReason SHALL only be present if Observation.value[x] is not present',
+      expression: 'dataAbsentReason.empty() or value.empty()',
+    }),
+  });
+  expect(keys(annotated.byId.get('Observation.referenceRange').semActs)).toEqual(['obs-3']);
+  expect(annotated.byId.get('Observation.referenceRange').type).toEqual('Shape');
+
+  // obs-3 is translated; the shape is conjoined with it
+  const {byId, diagnostics} = await generate('translate');
+  const referenceRange = byId.get('Observation.referenceRange');
+  expect(referenceRange.type).toEqual('ShapeAnd');
+  expect(keys(referenceRange.shapeExprs[0].semActs)).toEqual(['obs-3']);
+  expect(referenceRange.shapeExprs[1].shapeExprs.map(se => [se.expression.predicate, se.expression.min])).toEqual([
+    ['http://hl7.org/fhir/Observation.referenceRange.low', 1],
+    ['http://hl7.org/fhir/Observation.referenceRange.high', 1],
+    ['http://hl7.org/fhir/Observation.referenceRange.text', 1],
+  ]);
+  // obs-6 isn't, because this Observation has no dataAbsentReason
+  expect(byId.get('Observation').type).toEqual('Shape');
+  expect(diagnostics.diagnostics.filter(d => d.code === 'invariant-not-translated').map(d => d.message.split(' ')[0])).toEqual(['obs-7', 'obs-6']);
+});
+
+test('expand ValueSets against loaded CodeSystems', async () => {
+  const parsedValuesets = await readJsonProfile(Path.join(__dirname, 'fhir/medreq-min-valuesets.json'));
+  const valueSets = parsedValuesets.entry.map(e => e.resource).filter(r => r.resourceType === 'ValueSet');
+  const active = {
+    resourceType: 'ValueSet', id: 'medicationrequest-status-active', url: 'http://example.org/ValueSet/medicationrequest-status-active',
+    compose: {
+      include: [{valueSet: ['http://hl7.org/fhir/ValueSet/medicationrequest-status']}],
+      exclude: [{system: 'http://hl7.org/fhir/CodeSystem/medicationrequest-status', concept: [{code: 'entered-in-error'}, {code: 'unknown'}]}],
+    }
+  };
+  const diagnostics = new Diagnostics();
+  const config = Object.assign({axes: 'RDVch'}, GEN_SHEXJ_CONTEXT_CONFIG, {missing: {}, diagnostics});
+  const generator = new FhirShExJGenerator(new BundleDefinitionLoader(parsedValuesets, [active]), config);
+  const generated = await generator.genShExJ([{entry: valueSets.concat([active]).map(resource => ({resource}))}]);
+  const values = id => generated.shapes.find(se => se.id.endsWith('/' + id)).shapeExpr.values;
+
+  expect(values('medicationrequest-status').length).toEqual(9); // including nested concepts
+  expect(values('medicationrequest-status-active')).toEqual(
+    ['active', 'on-hold', 'ended', 'stopped', 'completed', 'cancelled', 'draft'].map(value => ({value}))
+  );
+  // enumerated codes in a system we don't have
+  expect(values('procedure-outcome')).toEqual([{value: '385669000'}, {value: '385671000'}, {value: '385670004'}]);
+  // mimetypes can't be expanded so it accepts anything
+  expect(values('mimetypes')).toBeUndefined();
+  expect(diagnostics.diagnostics.filter(d => d.code === 'valueset-not-expandable').map(d => d.structureDefinition)).toEqual(['mimetypes']);
+  expect(Array.from(config.missing.codesystems)).toEqual(['urn:ietf:bcp:13']);
+});
+
+test('generate typed Extension shapes from extensions.json', async () => {
+  const parsedResources = await readJsonProfile(Path.join(__dirname, 'fhir/medreq-min-resources.json'));
+  const parsedDatatypes = await readJsonProfile(Path.join(__dirname, 'fhir/medreq-min-types.json'));
+  const extensions = await readJsonProfile(Path.join(__dirname, 'fhir/extensions.json'));
+  const definitionLoader = new BundleDefinitionLoader(parsedResources, parsedDatatypes, extensions);
+  const generator = new FhirShExJGenerator(definitionLoader, Object.assign({axes: 'RDVch'}, GEN_SHEXJ_CONTEXT_CONFIG));
+  const element = parsedResources.entry.find(e => e.resource.id === 'Element').resource;
+  const generated = await generator.genShExJ([{entry: [{resource: element}].concat(extensions.entry)}]);
+  GEN_SHEXJ_CONTEXT_CONFIG.missing = {};
+  const byId = new Map(generated.shapes.map(se => [se.id.substr('http://hl7.org/fhir/shape/'.length), se.shapeExpr]));
+  const tcs = id => byId.get(id).expression.expressions;
+  const fixedUrl = tc => tc.valueExpr.shapeExprs[1].expression.valueExpr.values[0].value;
+
+  expect(Array.from(byId.keys())).toEqual(['Element', 'nickname', 'bp-reading', 'bp-reading.systolic', 'bp-reading.note', 'ExtensionChoice', 'Base']);
+
+  // simple extension: pinned url, value[x] restricted to string, no sub-extensions
+  expect(tcs('nickname').map(tc => tc.predicate.substr('http://hl7.org/fhir/'.length))).toEqual(['Element.id', 'Extension.url', 'Extension.valueString', 'index']);
+  expect(fixedUrl(tcs('nickname')[1])).toEqual('http://example.org/fhir/StructureDefinition/nickname');
+
+  // complex extension: closed slicing, no value[x]
+  expect(tcs('bp-reading').filter(tc => tc.predicate === 'http://hl7.org/fhir/Element.extension').map(tc => [tc.valueExpr, tc.min, tc.max])).toEqual([
+    ['http://hl7.org/fhir/shape/bp-reading.systolic', undefined, undefined],
+    ['http://hl7.org/fhir/shape/bp-reading.note', 0, -1],
+  ]);
+  expect(tcs('bp-reading').find(tc => tc.predicate.startsWith('http://hl7.org/fhir/Extension.value'))).toBeUndefined();
+  expect(fixedUrl(tcs('bp-reading.systolic').find(tc => tc.predicate === 'http://hl7.org/fhir/Extension.url'))).toEqual('systolic');
+  expect(tcs('bp-reading.note').find(tc => tc.type === 'OneOf').expressions.map(tc => tc.predicate)).toEqual([
+    'http://hl7.org/fhir/Extension.valueString', 'http://hl7.org/fhir/Extension.valueMarkdown',
+  ]);
+
+  // Extension-typed elements reference the typed shapes or an Extension with some other url.
+  expect(tcs('Element').find(tc => tc.predicate === 'http://hl7.org/fhir/Element.extension').valueExpr).toEqual('http://hl7.org/fhir/shape/ExtensionChoice');
+  const choice = byId.get('ExtensionChoice').shapeExprs;
+  expect(choice.slice(0, 2)).toEqual(['http://hl7.org/fhir/shape/nickname', 'http://hl7.org/fhir/shape/bp-reading']);
+  expect(choice[2].shapeExprs[0]).toEqual('http://hl7.org/fhir/shape/Extension');
+  expect(choice[2].shapeExprs[1].type).toEqual('ShapeNot');
+});
+
+test('generate the closure of root types', async () => {
+  const parsedResources = await readJsonProfile(Path.join(__dirname, 'fhir/medreq-min-resources.json'));
+  const parsedDatatypes = await readJsonProfile(Path.join(__dirname, 'fhir/medreq-min-types.json'));
+  const parsedValuesets = await readJsonProfile(Path.join(__dirname, 'fhir/medreq-min-valuesets.json'));
+  const definitionLoader = new BundleDefinitionLoader(parsedResources, parsedDatatypes, parsedValuesets);
+  const diagnostics = new Diagnostics();
+  const generator = new FhirShExJGenerator(definitionLoader, Object.assign({axes: 'RDVch', diagnostics}, GEN_SHEXJ_CONTEXT_CONFIG, {missing: {}}));
+  const generated = await generator.genShExJClosure(['MedicationRequest']);
+  const ids = generated.shapes.map(se => se.id);
+
+  expect(ids).toEqual(expect.arrayContaining([
+    'http://hl7.org/fhir/shape/MedicationRequest', 'http://hl7.org/fhir/shape/DomainResource', 'http://hl7.org/fhir/shape/CodeableReference',
+    'http://hl7.org/fhir/shape/Reference', 'http://hl7.org/fhir/shape/code', 'http://hl7.org/fhir/ValueSet/medicationrequest-status',
+    'http://hl7.org/fhir/shape/Base',
+  ]));
+  expect(ids).not.toContain('http://hl7.org/fhir/shape/Observation');
+  expect(ids).not.toContain('http://hl7.org/fhir/shape/CodeSystem');
+  expect(ids.length).toEqual(new Set(ids).size);
+
+  // Every reference is declared, apart from ones reported as unresolved.
+  const unresolved = diagnostics.toJSON().filter(d => d.code === 'unresolved-reference');
+  expect(generator.danglingReferences().filter(label => !unresolved.find(d => d.message.endsWith(label))
+                                                && !label.startsWith('http://hl7.org/fhir/ValueSet/'))).toEqual([]);
+});
+
+test('specializations extend their base type unless they override a required inherited element', async () => {
+  const parsedResources = await readJsonProfile(Path.join(__dirname, 'fhir/medreq-min-resources.json'));
+  const parsedDatatypes = await readJsonProfile(Path.join(__dirname, 'fhir/medreq-min-types.json'));
+  const parsedValuesets = await readJsonProfile(Path.join(__dirname, 'fhir/medreq-min-valuesets.json'));
+  // CodeSystem inherits CanonicalResource.title instead of overriding it.
+  const codeSystem = parsedResources.entry.find(entry => entry.resource.id === 'CodeSystem').resource;
+  codeSystem.differential.element = codeSystem.differential.element.filter(elt => elt.id !== 'CodeSystem.title');
+  const diagnostics = new Diagnostics();
+  const generator = new FhirShExJGenerator(new BundleDefinitionLoader(parsedResources, parsedDatatypes, parsedValuesets), Object.assign({axes: 'RDVch', diagnostics}, GEN_SHEXJ_CONTEXT_CONFIG, {missing: {}}));
+  const generated = await generator.genShExJ([parsedResources, parsedDatatypes, parsedValuesets], SKIP);
+  const shapeOf = id => generated.shapes.find(se => se.id === 'http://hl7.org/fhir/shape/' + id).shapeExpr;
+  const predicatesOf = id => shapeOf(id).expression.expressions.map(te => te.predicate);
+
+  // code's and positiveInt's fhir:v override optional ones.
+  expect(shapeOf('code').extends).toEqual(['http://hl7.org/fhir/shape/string']);
+  expect(shapeOf('positiveInt').extends).toEqual(['http://hl7.org/fhir/shape/integer']);
+
+  // CodeSystem.status overrides the required CanonicalResource.status, which a CodeSystem couldn't also have.
+  expect(shapeOf('CodeSystem').extends).toEqual(['http://hl7.org/fhir/shape/DomainResource']);
+  expect(predicatesOf('CodeSystem')).toEqual(expect.arrayContaining(['http://hl7.org/fhir/CodeSystem.status', 'http://hl7.org/fhir/CanonicalResource.title']));
+  expect(predicatesOf('CodeSystem')).not.toContain('http://hl7.org/fhir/CanonicalResource.status');
+  expect(predicatesOf('CodeSystem')).not.toContain('http://hl7.org/fhir/CodeSystem.title');
+});
+
+test('canonical output does not depend on definition order', async () => {
+  const parsedResources = await readJsonProfile(Path.join(__dirname, 'fhir/medreq-min-resources.json'));
+  const parsedDatatypes = await readJsonProfile(Path.join(__dirname, 'fhir/medreq-min-types.json'));
+  const parsedValuesets = await readJsonProfile(Path.join(__dirname, 'fhir/medreq-min-valuesets.json'));
+  const sources = [parsedResources, parsedDatatypes, parsedValuesets];
+  const generate = async (sources, config) => {
+    const generator = new FhirShExJGenerator(new BundleDefinitionLoader(...sources), Object.assign({axes: 'RDVch', diagnostics: new Diagnostics()}, GEN_SHEXJ_CONTEXT_CONFIG, {missing: {}}, config));
+    return await generator.genShExJ(sources, SKIP);
+  };
+  const inOrder = await generate(sources, {});
+  const reversed = await generate(sources.map(source => Object.assign({}, source, {entry: source.entry.slice().reverse()})).reverse(),
+                                  {addValueSetVersionAnnotation: true});
+  expect(reversed).not.toEqual(inOrder);
+
+  const canonical = FhirShExJGenerator.canonicalize(inOrder);
+  expect(FhirShExJGenerator.canonicalize(reversed)).toEqual(canonical);
+  const ids = canonical.shapes.map(se => se.id);
+  expect(ids).toEqual(ids.slice().sort());
+  expect(JSON.stringify(FhirShExJGenerator.canonicalize(reversed))).not.toMatch('http://hl7.org/fhir/version');
+  expect(canonical.shapes.length).toEqual(inOrder.shapes.length);
+});
+
 // Write to disk with long-lines
 async function writeShExJ(filename, schema, longLines) {
   const head = `{
@@ -0,0 +1,129 @@
+const Fs = require('fs');
+const Path = require('path');
+const {Parser, Store, DataFactory} = require('n3');
+const {FhirShaclGenerator} = require('../FhirShaclGenerator');
+const {BundleDefinitionLoader} = require('../BundleDefinitionLoader');
+const {Diagnostics} = require('../Diagnostics');
+const P = require('../Prefixes');
+
+const {namedNode} = DataFactory;
+const SH = FhirShaclGenerator.NS_sh;
+
+test('generate SHACL for RDVch', async () => {
+  const {store} = await genShacl('RDVch');
+  const observation = P.fhirshex + 'Observation';
+  expect(objects(store, observation, P.rdf + 'type')).toEqual([SH + 'NodeShape']);
+  expect(objects(store, observation, SH + 'targetClass')).toEqual([P.fhir + 'Observation']);
+  expect(objects(store, observation, SH + 'closed').map(o => o.value)).toEqual(['true']);
+
+  // closed shapes list inherited properties
+  expect(propertyShape(store, observation, P.fhir + 'Resource.id')).toEqual({
+    [SH + 'maxCount']: '1', [SH + 'node']: P.fhirshex + 'id',
+  });
+  expect(propertyShape(store, observation, P.fhir + 'Observation.status')).toEqual({
+    [SH + 'minCount']: '1', [SH + 'maxCount']: '1', [SH + 'node']: P.fhirshex + 'code',
+  });
+  // the abstract parent isn't closed
+  expect(objects(store, P.fhirshex + 'Resource', SH + 'closed')).toEqual([]);
+
+  // at most one of a choice's curried predicates
+  const xones = objects(store, observation, SH + 'xone').map(l => members(store, l));
+  const effective = xones.find(alts => alts.some(alt => propertyShapes(store, alt).some(p => pathOf(store, p) === P.fhir + 'Observation.effectivePeriod')));
+  expect(effective.length).toEqual(5); // absent + 4 choices
+  expect(propertyShape(store, observation, P.fhir + 'Observation.effectivePeriod')).toEqual({
+    [SH + 'maxCount']: '1', [SH + 'node']: P.fhirshex + 'Period',
+  });
+
+  // nested structures
+  expect(propertyShape(store, observation, P.fhir + 'Observation.referenceRange')[SH + 'node']).toEqual(P.fhirshex + 'Observation.referenceRange');
+  expect(propertyShape(store, P.fhirshex + 'Observation.referenceRange', P.fhir + 'Observation.referenceRange.low')[SH + 'node']).toEqual(P.fhirshex + 'Quantity');
+  expect(propertyShape(store, P.fhirshex + 'Observation.referenceRange', P.fhir + 'BackboneElement.modifierExtension')[SH + 'node']).toEqual(P.fhirshex + 'Extension');
+
+  // primitive values and list emulation
+  expect(propertyShape(store, P.fhirshex + 'code', P.fhir + 'v')[SH + 'datatype']).toEqual(P.xsd + 'string');
+  expect(propertyShape(store, P.fhirshex + 'code', P.fhir + 'index')[SH + 'datatype']).toEqual(P.xsd + 'integer');
+
+  // required bindings
+  const status = store.getObjects(namedNode(P.fhirshex + 'MedicationRequest'), namedNode(SH + 'property'), null)
+        .find(p => pathOf(store, p) === P.fhir + 'MedicationRequest.status');
+  const binding = store.getObjects(status, namedNode(SH + 'node'), null).find(n => n.termType === 'BlankNode');
+  expect(propertyShape(store, binding, P.fhir + 'v')[SH + 'node']).toEqual(P.fhirvs + 'medicationrequest-status');
+  expect(members(store, objects(store, P.fhirvs + 'medicationrequest-status', SH + 'in')[0])).toEqual(expect.arrayContaining(['active', 'draft']));
+});
+
+test('generate SHACL for rdvCh', async () => {
+  const {store} = await genShacl('rdvCh');
+  const observation = P.fhirshex + 'Observation';
+
+  // un-curried choices
+  const value = store.getObjects(namedNode(observation), namedNode(SH + 'property'), null)
+        .find(p => pathOf(store, p) === P.fhir + 'value');
+  const alts = members(store, store.getObjects(value, namedNode(SH + 'or'), null)[0]);
+  expect(alts.map(alt => store.getObjects(alt, namedNode(SH + 'node'), null)[0].value)).toEqual(expect.arrayContaining([P.fhirshex + 'string', P.fhirshex + 'CodeableConcept']));
+
+  // lists
+  expect(propertyShape(store, P.fhirshex + 'CodeableConcept', P.fhir + 'coding')).toEqual({[SH + 'maxCount']: '1'});
+  const coding = propertyShapes(store, P.fhirshex + 'CodeableConcept')
+        .filter(p => store.getObjects(p, namedNode(SH + 'path'), null)[0].termType === 'BlankNode')
+        .find(p => members(store, store.getObjects(p, namedNode(SH + 'path'), null)[0])[0] === P.fhir + 'coding');
+  const path = members(store, store.getObjects(coding, namedNode(SH + 'path'), null)[0]);
+  expect(path[2]).toEqual(P.rdf + 'first');
+  expect(objects(store, coding, SH + 'node')).toEqual([P.fhirshex + 'Coding']);
+  expect(store.getQuads(null, namedNode(SH + 'path'), namedNode(P.fhir + 'index'))).toEqual([]);
+});
+
+test('generate SHACL for hoisted scalars', async () => {
+  const {store} = await genShacl('RDVcH');
+  expect(propertyShape(store, P.fhirshex + 'Observation', P.fhir + 'Observation.status')).toEqual({
+    [SH + 'minCount']: '1', [SH + 'maxCount']: '1', [SH + 'datatype']: P.xsd + 'string',
+  });
+  expect(propertyShape(store, P.fhirshex + 'Observation', P.fhir + 'Observation.code')[SH + 'node']).toEqual(P.fhirshex + 'CodeableConcept');
+});
+
+async function genShacl (axes) {
+  const definitions = await Promise.all(['medreq-min-resources.json', 'medreq-min-types.json', 'medreq-min-valuesets.json'].map(
+    async f => JSON.parse(await Fs.promises.readFile(Path.join(__dirname, 'fhir', f), 'utf8'))
+  ));
+  const generator = new FhirShaclGenerator(new BundleDefinitionLoader(...definitions), {axes, diagnostics: new Diagnostics()});
+  await generator.genShacl(definitions);
+  const turtle = await generator.writeTurtle();
+  const store = new Store();
+  store.addQuads(new Parser().parse(turtle));
+  return {store, turtle};
+}
+
+function term (s) {
+  return typeof s === 'string' ? namedNode(s) : s;
+}
+
+function objects (store, s, p) {
+  return store.getObjects(term(s), namedNode(p), null).map(o => o.termType === 'NamedNode' ? o.value : o);
+}
+
+function propertyShapes (store, shape) {
+  return store.getObjects(term(shape), namedNode(SH + 'property'), null);
+}
+
+function pathOf (store, propertyShape) {
+  return store.getObjects(propertyShape, namedNode(SH + 'path'), null)[0].value;
+}
+
+// {sh:minCount: "1", sh:node: ...} from the property shape for path on shape
+function propertyShape (store, shape, path) {
+  const found = propertyShapes(store, shape).filter(p => pathOf(store, p) === path);
+  expect(found.length).toEqual(1);
+  return store.getQuads(found[0], null, null).filter(q => q.predicate.value !== SH + 'path').reduce((acc, q) => {
+    acc[q.predicate.value] = q.object.value;
+    return acc;
+  }, {});
+}
+
+function members (store, list) {
+  const ret = [];
+  while (list.value !== P.rdf + 'nil') {
+    const first = store.getObjects(list, namedNode(P.rdf + 'first'), null)[0];
+    ret.push(first.termType === 'BlankNode' ? first : first.value);
+    list = store.getObjects(list, namedNode(P.rdf + 'rest'), null)[0];
+  }
+  return ret;
+}
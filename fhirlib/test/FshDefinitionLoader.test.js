@@ -0,0 +1,94 @@
+const Fs = require('fs');
+const Path = require('path');
+const FhirShExJGenerator = require('../FhirShExJGenerator.js');
+const FhirJsonLdContextModelVisitor = require('../FhirJsonLdContextModelVisitor');
+const {FshDefinitionLoader} = require('../FshDefinitionLoader');
+const P = require('../Prefixes');
+
+const FSH_DIR = Path.join(__dirname, 'fsh/fsh-generated/resources');
+const EX = 'http://example.org/fhir/';
+
+let Sources; // set in beforeAll
+beforeAll(async () => {
+  Sources = await Promise.all(
+    ['resources', 'types', 'valuesets']
+      .map(f => Path.join(__dirname, `fhir/medreq-min-${f}.json`))
+      .map(async p => JSON.parse(await Fs.promises.readFile(p, 'utf8')))
+  );
+});
+
+test('index SUSHI output and fall back to core definitions', async () => {
+  const loader = new FshDefinitionLoader(FSH_DIR, ...Sources);
+  expect((await loader.getStructureDefinitionByName('BloodPressurePanelLM')).kind).toEqual('logical');
+  expect((await loader.getStructureDefinitionByName('bp-method')).resourceType).toEqual('ValueSet');
+  expect((await loader.getCodesystemByUrl('http://example.org/fhir/CodeSystem/bp-method')).id).toEqual('bp-method');
+  expect((await loader.getStructureDefinitionByName('Period')).kind).toEqual('complex-type');
+  expect(await loader.getStructureDefinitionByName('example.bp')).toBeUndefined();
+  expect((await loader.getStart()).map(r => `${r.resourceType}/${r.id}`)).toEqual([
+    'CodeSystem/bp-method', 'StructureDefinition/BloodPressurePanelLM', 'StructureDefinition/CuffLM',
+    'StructureDefinition/DeviceLM', 'ValueSet/bp-method',
+  ]);
+});
+
+test('start from one definition', async () => {
+  const loader = new FshDefinitionLoader(Path.join(FSH_DIR, 'ValueSet-bp-method.json'), ...Sources);
+  expect((await loader.getStart()).map(r => `${r.resourceType}/${r.id}`)).toEqual(['ValueSet/bp-method']);
+  await expect(new FshDefinitionLoader(Path.join(FSH_DIR, 'nope.json')).getStart()).rejects.toThrow(/nope.json/);
+  expect(() => new FshDefinitionLoader(true, ...Sources)).toThrow(TypeError); // e.g. a bare --fsh
+});
+
+test('generate ShExJ from SUSHI output', async () => {
+  const loader = new FshDefinitionLoader(FSH_DIR, ...Sources);
+  const generator = new FhirShExJGenerator(loader, {axes: 'RDVch', addTypesTo: ['Coding'], missing: {}});
+  const schema = await generator.genShExJ([{entry: (await loader.getStart()).map(resource => ({resource}))}]);
+  const valueSet = schema.shapes.find(se => se.id === P.fhirvs + 'bp-method');
+  expect(valueSet.shapeExpr.values).toEqual([{value: 'auscultation'}, {value: 'oscillometric'}]);
+  const model = schema.shapes.find(se => se.id === EX + 'shape/BloodPressurePanelLM');
+  expect(model.shapeExpr.expression.expressions.map(tc => tc.predicate)).toEqual([
+    P.rdf + 'type',
+    P.fhir + 'nodeRole',
+    EX + 'BloodPressurePanelLM.systolic',
+    EX + 'BloodPressurePanelLM.method',
+    EX + 'BloodPressurePanelLM.reading',
+    P.fhir + 'index',
+  ]);
+});
+
+test('generate logical models under their namespace', async () => {
+  const loader = new FshDefinitionLoader(FSH_DIR, ...Sources);
+  const errors = [];
+  const generator = new FhirShExJGenerator(loader, {axes: 'RDVch', missing: {}, error: e => errors.push(e)});
+  const schema = await generator.genShExJ([{entry: (await loader.getStart()).map(resource => ({resource}))}]);
+  expect(errors).toEqual([]);
+  const shape = id => schema.shapes.find(se => se.id === EX + 'shape/' + id).shapeExpr;
+  const tc = (id, predicate) => shape(id).expression.expressions.find(tc => tc.predicate === predicate);
+
+  expect(tc('BloodPressurePanelLM', P.rdf + 'type').valueExpr.values).toEqual([EX + 'BloodPressurePanelLM']);
+  expect(tc('BloodPressurePanelLM', EX + 'BloodPressurePanelLM.reading').valueExpr).toEqual(EX + 'shape/BloodPressurePanelLM.reading');
+  expect(shape('BloodPressurePanelLM.reading').extends).toEqual([P.fhirshex + 'BackboneElement']);
+  // other logical models are referenced by URL
+  expect(tc('BloodPressurePanelLM.reading', EX + 'BloodPressurePanelLM.reading.device').valueExpr).toEqual(EX + 'shape/CuffLM');
+  // and may be based on other logical models
+  expect(shape('CuffLM').extends).toEqual([EX + 'shape/DeviceLM']);
+  expect(shape('DeviceLM').extends).toEqual([P.fhirshex + 'Base']);
+});
+
+test('configure the logical model namespace', async () => {
+  const loader = new FshDefinitionLoader(Path.join(FSH_DIR, 'StructureDefinition-DeviceLM.json'), ...Sources);
+  const generator = new FhirShExJGenerator(loader, {axes: 'rdvch', missing: {}, logicalNamespace: url => url.replace(/StructureDefinition\/.*$/, 'lm/')});
+  const schema = await generator.genShExJ([{entry: (await loader.getStart()).map(resource => ({resource}))}]);
+  const model = schema.shapes.find(se => se.id === EX + 'lm/shape/DeviceLM');
+  expect(model.shapeExpr.expression.expressions.map(tc => tc.predicate)).toEqual([
+    P.rdf + 'type', P.fhir + 'nodeRole', EX + 'lm/model', P.fhir + 'index',
+  ]);
+});
+
+test('generate JSON-LD contexts for logical models', async () => {
+  const loader = new FshDefinitionLoader(FSH_DIR, ...Sources);
+  const visitor = new FhirJsonLdContextModelVisitor(loader, {axes: {r: true, d: true, v: true, c: false, h: false}});
+  const context = (await visitor.genJsonldContext(await loader.getStructureDefinitionByName('BloodPressurePanelLM'), {}))['@context'];
+  expect(context.systolic).toEqual({'@id': EX + 'BloodPressurePanelLM.systolic', '@context': 'Quantity.context.jsonld'});
+  expect(context.reading['@context'].device).toEqual({'@id': EX + 'BloodPressurePanelLM.reading.device', '@context': 'CuffLM.context.jsonld'});
+  const cuff = (await visitor.genJsonldContext(await loader.getStructureDefinitionByName('CuffLM'), {}))['@context'];
+  expect(cuff.model['@id']).toEqual(EX + 'DeviceLM.model'); // inherited from DeviceLM
+});
@@ -0,0 +1,114 @@
+const Fs = require('fs');
+const Path = require('path');
+const {BundleDefinitionLoader} = require('../BundleDefinitionLoader');
+const FhirShExJGenerator = require('../FhirShExJGenerator');
+const {JsonLdConformance} = require('../JsonLdConformance');
+const {Diagnostics} = require('../Diagnostics');
+
+const JsonDir = Path.join(__dirname, 'json');
+const RdfDir = Path.join(__dirname, 'ttl');
+
+// Each FHIR version's examples and the playground definitions their schema comes from. 4.0.1 is R4 and 4.6.0 is the
+// R5 ballot the playground's R5 definitions are from.
+const Versions = {
+  R4: /-(r4|4\.0\.1)\.json$/,
+  R5: /-(r5|4\.6\.0)\.json$/,
+};
+
+// Examples which don't make it through the pipeline yet, by version, with the start of their errors.
+const KnownFailures = {
+  R4: {
+    // mixes R4's Medication.manufacturer with R5's Medication.doseForm
+    'playground-Medication-r4.json': "Can't find Medication.doseForm",
+  },
+  R5: {
+    // FhirR5Preprocessor leaves primitives as JSON scalars, which have no node to put the index of a primitive array on
+    'playground-AllergyIntolerance-r5.json': "Can't add index to RDF literal \"food\"",
+    'playground-CodeSystem-r5.json': "Can't add index to RDF literal \"http://hl7.org/fhir/StructureDefinition/shareablecodesystem\"",
+  },
+};
+
+let Examples, References; // set in beforeAll
+const Shexjs = {}; // by version, set in beforeAll
+beforeAll(async () => {
+  Examples = Fs.readdirSync(JsonDir).filter(f => f.endsWith('.json')).sort()
+    .map(name => ({name, resource: JSON.parse(Fs.readFileSync(Path.join(JsonDir, name), 'utf8'))}));
+  References = Fs.readdirSync(RdfDir).filter(f => f.endsWith('.nt') || f.endsWith('.ttl')).sort()
+    .map(name => ({name, text: Fs.readFileSync(Path.join(RdfDir, name), 'utf8'), format: name.endsWith('.ttl') ? 'Turtle' : 'N-Triples'}));
+
+  // Schema for the examples' (including contained and entry) resource types from their version's definitions.
+  for (const version of Object.keys(Versions)) {
+    const definitions = ['Resources', 'Datatypes'].map(
+      f => JSON.parse(Fs.readFileSync(Path.join(__dirname, `../../playground/${version}-${f}-no-ws.json`), 'utf8'))
+    );
+    const generator = new FhirShExJGenerator(new BundleDefinitionLoader(...definitions), {axes: 'RDVch', diagnostics: new Diagnostics(), missing: {}, addTypesTo: ['Coding']});
+    Shexjs[version] = await generator.genShExJClosure(Array.from(new Set(examplesOf(version).flatMap(example => resourceTypes(example.resource)))));
+  }
+});
+
+test('compare graphs', async () => {
+  const expected = [
+    '<http://hl7.org/fhir/Observation/o1> <http://hl7.org/fhir/Observation.status> _:b0 .',
+    '_:b0 <http://hl7.org/fhir/v> "final" .',
+    '<http://hl7.org/fhir/Observation/o1> <http://hl7.org/fhir/Observation.category> _:b1 .',
+    '_:b1 <http://hl7.org/fhir/index> "0"^^<http://www.w3.org/2001/XMLSchema#integer> .',
+    '_:b1 <http://hl7.org/fhir/CodeableConcept.text> _:b2 .',
+    '_:b2 <http://hl7.org/fhir/v> "vital-signs" .',
+  ].join('\n') + '\n';
+  const relabeled = expected.replace(/_:b(\d)/g, (_, n) => '_:x' + (9 - n));
+  expect(await JsonLdConformance.compare(relabeled, expected)).toEqual({isomorphic: true, missing: [], extra: []});
+
+  const changed = expected.replace('"vital-signs"', '"laboratory"');
+  expect(await JsonLdConformance.compare(changed, expected)).toEqual({
+    isomorphic: false,
+    missing: ['_:<http://hl7.org/fhir/Observation/o1>/Observation.category[0]/CodeableConcept.text <http://hl7.org/fhir/v> "vital-signs" .'],
+    extra: ['_:<http://hl7.org/fhir/Observation/o1>/Observation.category[0]/CodeableConcept.text <http://hl7.org/fhir/v> "laboratory" .'],
+  });
+});
+
+test('every example has a FHIR version', () => {
+  expect(Examples.filter(example => !Object.values(Versions).find(pattern => pattern.test(example.name)))).toEqual([]);
+});
+
+describe.each(Object.keys(Versions))('%s', (version) => {
+  const ExpectedReport = Path.join(__dirname, 'fhir', `conformance-${version}-RDVch-expected.json`);
+  const GotReport = Path.join(__dirname, 'fhir', `conformance-${version}-RDVch-got.json`);
+
+  test('every example against the reference RDF', async () => {
+    const conformance = new JsonLdConformance(Shexjs[version], {fhirVersion: version});
+    const report = await conformance.checkAll(examplesOf(version), References);
+    expect(report.examples.map(result => result.example)).toEqual(expect.arrayContaining(examplesOf(version).map(example => example.name)));
+
+    const failures = report.examples.filter(result => 'error' in result);
+    expect(Array.from(new Set(failures.map(result => result.example))).sort()).toEqual(Object.keys(KnownFailures[version]).sort());
+    failures.forEach(result => expect(result.error).toMatch(KnownFailures[version][result.example]));
+    if (version === 'R4') {
+      expect(report.examples).toContainEqual({example: 'playground-Observation-r4.json', reference: 'playground-Observation.RDVch.nt', isomorphic: true, missing: [], extra: []});
+
+      // Bundle entries are named by their fullUrl, and references to them link there. Only the datatype of the
+      // unsignedInt Bundle.total differs: the model types all integers as xsd:integer.
+      const total = datatype => `_:<http://hl7.org/fhir/Bundle/bundle-example>/Bundle.total <http://hl7.org/fhir/v> "3"^^<http://www.w3.org/2001/XMLSchema#${datatype}> .`;
+      expect(report.examples).toContainEqual({example: 'playground-Bundle-r4.json', reference: 'playground-Bundle.RDVch.nt', isomorphic: false, missing: [total('nonNegativeInteger')], extra: [total('integer')]});
+    }
+
+    // Test against the expected report so changes in conformance show up. Review and rename the got report to update it.
+    const expected = Fs.existsSync(ExpectedReport) ? JSON.parse(await Fs.promises.readFile(ExpectedReport, 'utf8')) : null;
+    try {
+      expect(report).toEqual(expected);
+    } catch (e) {
+      await Fs.promises.writeFile(GotReport, JSON.stringify(report, null, 2) + '\n');
+      e.message += `\n    compare ${GotReport}\n    to ${ExpectedReport}\n\n` + conformance.toMarkdown(report);
+      throw e;
+    }
+  }, 60 * 1000); // toRDF takes a second or two per example
+});
+
+function examplesOf (version) {
+  return Examples.filter(example => Versions[version].test(example.name));
+}
+
+function resourceTypes (resource) {
+  return [resource.resourceType]
+    .concat((resource.contained || []).flatMap(resourceTypes))
+    .concat((resource.entry || []).filter(entry => entry.resource).flatMap(entry => resourceTypes(entry.resource)));
+}
@@ -0,0 +1,26 @@
+const {Writer} = require('../NestedWriter');
+const N3DataFactory = require('n3/lib/N3DataFactory').default;
+
+const {namedNode, blankNode, literal} = N3DataFactory;
+const EX = 'http://example.org/';
+
+test('objects of repeated predicates share the predicate', () => {
+  const writer = new Writer(null, {format: 'text/turtle', prefixes: {ex: EX}});
+  const b = blankNode('b');
+  writer.addQuad(namedNode(EX + 's'), namedNode(EX + 'p'), literal('a'));
+  writer.addQuad(namedNode(EX + 's'), namedNode(EX + 'p'), literal('b'));
+  writer.addQuad(namedNode(EX + 's'), namedNode(EX + 'q'), b);
+  writer.addQuad(b, namedNode(EX + 'r'), literal('c'));
+  writer.addQuad(b, namedNode(EX + 'r'), literal('d'));
+  writer.addQuad(namedNode(EX + 's'), namedNode(EX + 'q'), literal('e'));
+
+  let turtle = null;
+  writer.end((error, result) => { turtle = result; });
+  expect(turtle).toEqual(`@prefix ex: <http://example.org/>.
+
+ex:s ex:p "a", "b";
+  ex:q [
+    ex:r "c", "d"
+  ], "e".
+`);
+});
@@ -0,0 +1,42 @@
+const Path = require('path');
+const {NpmPackageDefinitionLoader} = require('../NpmPackageDefinitionLoader');
+
+const NPM_DIR = Path.join(__dirname, 'npm');
+const VS_URL = 'http://example.org/fhir/ValueSet/bp-method';
+
+test('load a .tgz package and its dependencies from the cache', async () => {
+  const loader = new NpmPackageDefinitionLoader(
+    [Path.join(NPM_DIR, 'example.ig-2.0.0.tgz')],
+    {cache: Path.join(NPM_DIR, 'cache')}
+  );
+  expect((await loader.getDefinitionByCanonical(VS_URL)).version).toEqual('2.0.0');
+  expect((await loader.getDefinitionByCanonical(VS_URL + '|1.0.0')).version).toEqual('1.0.0');
+  expect(await loader.getDefinitionByCanonical(VS_URL + '|3.0.0')).toBeUndefined();
+  expect((await loader.getCodesystemByUrl('http://example.org/fhir/CodeSystem/bp-method')).concept.length).toEqual(2);
+  expect((await loader.getStructureDefinitionByName('bp-long')).kind).toEqual('logical'); // long name in the tarball
+  expect((await loader.getStructureDefinitionByName('bp-method')).version).toEqual('2.0.0'); // latest version
+  expect(await loader.getStructureDefinitionByName('example')).toBeUndefined(); // Patient example isn't indexed
+  expect(Array.from(loader.loaded.keys())).toEqual(['example.ig#2.0.0', 'example.base#1.0.0']);
+});
+
+test('load an unpacked package by id', async () => {
+  const loader = new NpmPackageDefinitionLoader(['example.base#1.0.0'], {cache: Path.join(NPM_DIR, 'cache')});
+  expect((await loader.getDefinitionByCanonical(VS_URL)).version).toEqual('1.0.0');
+});
+
+test('load an unpacked package by a path containing #', async () => {
+  const loader = new NpmPackageDefinitionLoader([Path.join(NPM_DIR, 'cache', 'example.base#1.0.0')], {cache: Path.join(NPM_DIR, 'no-such-cache')});
+  expect((await loader.getDefinitionByCanonical(VS_URL)).version).toEqual('1.0.0');
+  expect(NpmPackageDefinitionLoader.isPackageId('./pkgs/foo#1')).toBe(false);
+  expect(NpmPackageDefinitionLoader.isPackageId('hl7.fhir.r4.core#4.0.1')).toBe(true);
+});
+
+test('report missing dependencies', async () => {
+  const errors = [];
+  const loader = new NpmPackageDefinitionLoader(
+    [Path.join(NPM_DIR, 'example.ig-2.0.0.tgz')],
+    {cache: Path.join(NPM_DIR, 'no-such-cache'), error: e => errors.push(e)}
+  );
+  expect((await loader.getDefinitionByCanonical(VS_URL)).version).toEqual('2.0.0');
+  expect(errors.map(e => e.message)).toEqual([expect.stringMatching(/example.base#1.0.0 required by example.ig#2.0.0/)]);
+});
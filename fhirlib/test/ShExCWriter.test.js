@@ -0,0 +1,82 @@
+const Fs = require('fs');
+const Path = require('path');
+const {ShExCWriter} = require('../ShExCWriter');
+const FhirShExJGenerator = require('../FhirShExJGenerator');
+const ShExParser = require('@shexjs/parser');
+const P = require('../Prefixes');
+
+const SCHEMA = {
+  type: 'Schema',
+  shapes: [
+    { type: 'ShapeDecl', id: P.fhirshex + 'Patient', shapeExpr: {
+      type: 'Shape', extends: [P.fhirshex + 'DomainResource'], closed: true,
+      expression: { type: 'EachOf', expressions: [
+        { type: 'TripleConstraint', predicate: P.rdf + 'type', valueExpr: { type: 'NodeConstraint', values: [P.fhir + 'Patient'] } },
+        { type: 'TripleConstraint', predicate: P.fhir + 'Patient.contact', min: 0, max: -1,
+          valueExpr: { type: 'Shape', closed: true, expression: { type: 'EachOf', expressions: [
+            { type: 'TripleConstraint', predicate: P.fhir + 'Patient.contact.name', valueExpr: P.fhirshex + 'HumanName', min: 0, max: 1 },
+            { type: 'TripleConstraint', predicate: P.fhir + 'Patient.contact.gender', valueExpr: {
+              type: 'ShapeAnd', shapeExprs: [P.fhirshex + 'code', { type: 'Shape', expression: { type: 'TripleConstraint', predicate: P.fhir + 'v', valueExpr: P.fhirvs + 'administrative-gender' } }]
+            }, min: 0, max: 1 },
+          ] } } },
+        { type: 'OneOf', min: 0, max: 1, expressions: [
+          { type: 'TripleConstraint', predicate: P.fhir + 'Patient.deceasedBoolean', valueExpr: P.fhirshex + 'boolean' },
+          { type: 'TripleConstraint', predicate: P.fhir + 'Patient.deceasedDateTime', valueExpr: P.fhirshex + 'dateTime' },
+        ] },
+        { type: 'TripleConstraint', predicate: P.fhir + 'Patient.link', min: 2, max: 5,
+          annotations: [{ type: 'Annotation', predicate: P.fhir + 'version', object: { value: '4.0.1' } }],
+          semActs: [{ type: 'SemAct', name: P.fhir + 'invariant', code: '{"key":"pat-1","note":"100%"}' }] },
+      ] }
+    } },
+    { type: 'ShapeDecl', id: P.fhirvs + 'administrative-gender', shapeExpr: {
+      type: 'NodeConstraint', values: ['male', 'female'].map(value => ({ value })).concat([{ value: '1', type: P.xsd + 'integer' }])
+    } },
+    { type: 'ShapeDecl', id: 'http://example.org/shape/a|b', shapeExpr: {
+      type: 'ShapeOr', shapeExprs: [{ type: 'ShapeAnd', shapeExprs: [P.fhirshex + 'A', P.fhirshex + 'B'] }, { type: 'ShapeNot', shapeExpr: { type: 'NodeConstraint', nodeKind: 'iri' } }]
+    } },
+  ]
+};
+
+test('write ShExC', () => {
+  const shexc = new ShExCWriter().write(SCHEMA);
+  expect(shexc.split('\n\n').slice(1)).toEqual([
+    `<http://example.org/shape/a\\u007cb> @fhirshex:A AND @fhirshex:B OR NOT IRI`,
+    `fhirvs:administrative-gender ["male" "female" "1"^^xsd:integer]`,
+    `fhirshex:Patient EXTENDS @fhirshex:DomainResource CLOSED {
+  a [fhir:Patient] ;
+  fhir:Patient.contact CLOSED {
+    fhir:Patient.contact.name @fhirshex:HumanName ? ;
+    fhir:Patient.contact.gender @fhirshex:code AND { fhir:v @fhirvs:administrative-gender } ?
+  } * ;
+  (
+    fhir:Patient.deceasedBoolean @fhirshex:boolean |
+    fhir:Patient.deceasedDateTime @fhirshex:dateTime
+  ) ? ;
+  fhir:Patient.link . {2,5} // fhir:version "4.0.1" %fhir:invariant{{"key":"pat-1","note":"100\\%"}%}
+}
+`,
+  ]);
+  expect(shexc.split('\n\n')[0].split('\n')).toEqual(Object.entries(P).map(([prefix, ns]) => `PREFIX ${prefix}: <${ns}>`));
+
+  // shape order doesn't depend on the schema's
+  const reversed = Object.assign({}, SCHEMA, {shapes: SCHEMA.shapes.slice().reverse()});
+  expect(new ShExCWriter().write(reversed)).toEqual(shexc);
+  expect(new ShExCWriter({sort: false}).write(SCHEMA)).not.toEqual(shexc);
+});
+
+test('write generated schema', async () => {
+  const schema = JSON.parse(await Fs.promises.readFile(Path.join(__dirname, 'fhir/medreq-min-RDVch-expected.shexj'), 'utf8'));
+  const shexc = new ShExCWriter().write(schema);
+  expect(shexc).toContain('\nstart = @fhirshex:Base AND { fhir:nodeRole [fhir:treeRoot] }\n');
+  expect(shexc).toContain('\n  fhir:Observation.status @fhirshex:code AND { fhir:v @fhirvs:observation-status } ;\n');
+  expect(shexc.match(/^fhirshex:Observation .*$/m)[0]).toEqual('fhirshex:Observation EXTENDS @fhirshex:DomainResource CLOSED {');
+});
+
+test('write nested schema', async () => {
+  const schema = JSON.parse(await Fs.promises.readFile(Path.join(__dirname, 'fhir/medreq-min-RDVch-expected.shexj'), 'utf8'));
+  const nested = FhirShExJGenerator.nestShapes(schema); // as fhirToShExJ --nest --format shexc does
+  expect(nested.shapes.map(decl => decl.id)).not.toContain(P.fhirshex + 'Observation.component');
+  const shexc = new ShExCWriter().write(nested);
+  expect(shexc).toContain('\n  fhir:Observation.component EXTENDS @fhirshex:BackboneElement CLOSED {\n');
+  expect(ShExParser.construct(P.fhirshex).parse(shexc).shapes.length).toEqual(nested.shapes.length);
+});
@@ -0,0 +1,70 @@
+const Fs = require('fs');
+const Path = require('path');
+const {ShExJDiff} = require('../ShExJDiff');
+const P = require('../Prefixes');
+
+const RDVch = readShExJ('medreq-min-RDVch-expected.shexj');
+const rDVch = readShExJ('medreq-min-rDVch-expected.shexj');
+
+test('identical schemas', () => {
+  const differ = new ShExJDiff();
+  const report = differ.diff(RDVch, RDVch);
+  expect(report).toEqual({summary: {}, changes: []});
+  expect(differ.toMarkdown(report)).toEqual('# ShExJ schema changes\n\nNo changes.\n');
+});
+
+test('predicate renames between axes', () => {
+  const report = new ShExJDiff().diff(RDVch, rDVch);
+  expect(Object.keys(report.summary)).toEqual(['predicate-renamed']);
+  expect(report.changes).toContainEqual({
+    kind: 'predicate-renamed', shape: P.fhirshex + 'Observation',
+    before: P.fhir + 'Observation.identifier', after: P.fhir + 'identifier',
+  });
+});
+
+test('shape, cardinality, datatype and value set changes', () => {
+  const after = JSON.parse(JSON.stringify(RDVch));
+  after.shapes = after.shapes.filter(decl => decl.id !== P.fhirshex + 'Timing.repeat');
+  after.shapes.push({type: 'ShapeDecl', id: P.fhirshex + 'Foo', shapeExpr: {type: 'Shape'}});
+  const observation = tripleConstraints(after, 'Observation');
+  observation.find(tc => tc.predicate === P.fhir + 'Observation.code').min = 0;
+  observation.find(tc => tc.predicate === P.fhir + 'Observation.issued').valueExpr = P.fhirshex + 'dateTime';
+  observation.splice(observation.findIndex(tc => tc.predicate === P.fhir + 'Observation.interpretation'), 1);
+  const status = tripleConstraints(after, 'MedicationRequest').find(tc => tc.predicate === P.fhir + 'MedicationRequest.status');
+  status.valueExpr.shapeExprs[1].expression.valueExpr = P.fhirvs + 'narrative-status';
+  const valueSet = after.shapes.find(decl => decl.id === P.fhirvs + 'medicationrequest-status').shapeExpr;
+  valueSet.values = valueSet.values.filter(v => v.value !== 'ended').concat([{value: 'paused'}]);
+
+  const differ = new ShExJDiff();
+  const report = differ.diff(RDVch, after);
+  expect(report.summary).toEqual({
+    'shape-added': 1, 'shape-removed': 1, 'predicate-removed': 1,
+    'cardinality-changed': 1, 'datatype-changed': 1, 'binding-changed': 1, 'valueset-changed': 1,
+  });
+  expect(report.changes).toEqual(expect.arrayContaining([
+    {kind: 'shape-added', shape: P.fhirshex + 'Foo'},
+    {kind: 'shape-removed', shape: P.fhirshex + 'Timing.repeat'},
+    {kind: 'predicate-removed', shape: P.fhirshex + 'Observation', predicate: P.fhir + 'Observation.interpretation'},
+    {kind: 'cardinality-changed', shape: P.fhirshex + 'Observation', predicate: P.fhir + 'Observation.code', before: '1..1', after: '0..1'},
+    {kind: 'datatype-changed', shape: P.fhirshex + 'Observation', predicate: P.fhir + 'Observation.issued', before: [P.fhirshex + 'instant'], after: [P.fhirshex + 'dateTime']},
+    {kind: 'binding-changed', shape: P.fhirshex + 'MedicationRequest', predicate: P.fhir + 'MedicationRequest.status',
+     before: [P.fhirvs + 'medicationrequest-status'], after: [P.fhirvs + 'narrative-status']},
+    {kind: 'valueset-changed', valueSet: P.fhirvs + 'medicationrequest-status', added: ['paused'], removed: ['ended']},
+  ]));
+
+  const markdown = differ.toMarkdown(report);
+  expect(markdown).toMatch(/^\| shape-added \| 1 \|$/m);
+  expect(markdown).toMatch(/^## Added shapes\n\n- `fhirshex:Foo`$/m);
+  expect(markdown).toMatch(/^### `fhirshex:Observation`$/m);
+  expect(markdown).toMatch(/^\| cardinality \| `fhir:Observation.code` \| `1..1` \| `0..1` \|$/m);
+  expect(markdown).toMatch(/^\| datatype \| `fhir:Observation.issued` \| `fhirshex:instant` \| `fhirshex:dateTime` \|$/m);
+  expect(markdown).toMatch(/^- `fhirvs:medicationrequest-status`: added `paused`; removed `ended`$/m);
+});
+
+function readShExJ (file) {
+  return JSON.parse(Fs.readFileSync(Path.join(__dirname, 'fhir', file), 'utf8'));
+}
+
+function tripleConstraints (schema, shapeName) {
+  return schema.shapes.find(decl => decl.id === P.fhirshex + shapeName).shapeExpr.expression.expressions;
+}
@@ -0,0 +1,109 @@
+const {ValueSetExpander} = require('../ValueSetExpander');
+const {BundleDefinitionLoader} = require('../BundleDefinitionLoader');
+
+const CS = 'http://example.org/CodeSystem/vitals';
+
+// vital-sign
+//   bp (panel)
+//     systolic
+//     diastolic
+//   temp
+// note (parent by property)
+const VITALS = {
+  resourceType: 'CodeSystem', id: 'vitals', url: CS, content: 'complete', hierarchyMeaning: 'is-a',
+  property: [{code: 'kind', type: 'code'}, {code: 'parent', type: 'code'}],
+  concept: [
+    {code: 'vital-sign', property: [{code: 'kind', valueCode: 'group'}], concept: [
+      {code: 'bp', property: [{code: 'kind', valueCode: 'panel'}], concept: [
+        {code: 'systolic', display: 'Systolic'},
+        {code: 'diastolic', display: 'Diastolic'},
+      ]},
+      {code: 'temp'},
+    ]},
+    {code: 'note'},
+    {code: 'bp-note', property: [{code: 'parent', valueCode: 'bp'}]},
+  ]
+};
+
+const SNOMED = {resourceType: 'CodeSystem', id: 'sct', url: 'http://snomed.info/sct', content: 'not-present'};
+
+function valueSet (id, compose) {
+  return {resourceType: 'ValueSet', id, url: 'http://example.org/ValueSet/' + id, compose};
+}
+
+async function expand (vs, ...others) {
+  const expander = new ValueSetExpander(new BundleDefinitionLoader([VITALS, SNOMED, vs, ...others]));
+  const ret = await expander.expand(vs);
+  return Object.assign(ret, {codes: ret.codes.map(c => c.code)});
+}
+
+test('whole system and enumerated includes', async () => {
+  expect((await expand(valueSet('all', {include: [{system: CS}]}))).codes).toEqual([
+    'vital-sign', 'bp', 'systolic', 'diastolic', 'temp', 'note', 'bp-note',
+  ]);
+  // enumerated codes don't need the CodeSystem
+  const enumerated = await expand(valueSet('some', {include: [{system: 'http://loinc.org', concept: [{code: '8480-6'}]}]}));
+  expect(enumerated).toEqual(expect.objectContaining({complete: true, codes: ['8480-6']}));
+});
+
+test('hierarchy filters', async () => {
+  const filtered = async (op, value) =>
+        (await expand(valueSet('f', {include: [{system: CS, filter: [{property: 'concept', op, value}]}]}))).codes;
+  expect(await filtered('is-a', 'bp')).toEqual(['bp', 'systolic', 'diastolic', 'bp-note']);
+  expect(await filtered('descendent-of', 'vital-sign')).toEqual(['bp', 'systolic', 'diastolic', 'temp', 'bp-note']);
+  expect(await filtered('is-not-a', 'vital-sign')).toEqual(['note']);
+  expect(await filtered('generalizes', 'systolic')).toEqual(['vital-sign', 'bp', 'systolic']);
+  expect(await filtered('in', 'temp,note')).toEqual(['temp', 'note']);
+});
+
+test('property filters', async () => {
+  const filtered = async (...filter) =>
+        (await expand(valueSet('f', {include: [{system: CS, filter}]}))).codes;
+  expect(await filtered({property: 'kind', op: '=', value: 'panel'})).toEqual(['bp']);
+  expect(await filtered({property: 'kind', op: 'exists', value: 'true'})).toEqual(['vital-sign', 'bp']);
+  // filters are ANDed
+  expect(await filtered({property: 'kind', op: 'exists', value: 'true'}, {property: 'concept', op: 'descendent-of', value: 'vital-sign'})).toEqual(['bp']);
+});
+
+test('imports and excludes', async () => {
+  const bp = valueSet('bp', {include: [{system: CS, filter: [{property: 'concept', op: 'is-a', value: 'bp'}]}]});
+  const vs = valueSet('vs', {
+    include: [{valueSet: [bp.url]}, {system: CS, concept: [{code: 'temp'}]}],
+    exclude: [{system: CS, concept: [{code: 'bp-note'}]}],
+  });
+  expect((await expand(vs, bp)).codes).toEqual(['bp', 'systolic', 'diastolic', 'temp']);
+
+  // an include with a system and valueSets selects their intersection
+  const both = valueSet('both', {include: [{system: CS, concept: [{code: 'systolic'}, {code: 'temp'}], valueSet: [bp.url]}]});
+  expect((await expand(both, bp)).codes).toEqual(['systolic']);
+});
+
+test('report what can\'t be expanded offline', async () => {
+  const sct = await expand(valueSet('sct', {include: [{system: 'http://snomed.info/sct', filter: [{property: 'concept', op: 'is-a', value: '363787002'}]}]}));
+  expect(sct).toEqual(expect.objectContaining({complete: false, codes: []}));
+  expect(sct.issues).toEqual(['CodeSystem http://snomed.info/sct content is "not-present"']);
+
+  const missing = await expand(valueSet('missing', {include: [{system: 'urn:ietf:bcp:13'}, {valueSet: ['http://example.org/ValueSet/nope']}]}));
+  expect(missing.complete).toBe(false);
+  expect(missing.missing).toEqual({codesystems: ['urn:ietf:bcp:13'], valuesets: ['http://example.org/ValueSet/nope']});
+
+  const filter = await expand(valueSet('f', {include: [{system: CS, filter: [{property: 'concept', op: 'child-of', value: 'bp'}]}]}));
+  expect(filter.issues).toEqual([`filter "concept child-of bp" on ${CS} is not supported`]);
+
+  const regex = await expand(valueSet('r', {include: [{system: CS, filter: [{property: 'code', op: 'regex', value: 'bp('}]}]}));
+  expect(regex).toEqual(expect.objectContaining({complete: false, codes: []}));
+  expect(regex.issues).toEqual([expect.stringMatching(new RegExp(`^filter "code regex bp\\(" on ${CS} has an invalid pattern: `))]);
+
+  const empty = await expand(valueSet('e', {include: [{concept: [{code: 'bp'}]}]}));
+  expect(empty.issues).toEqual(['compose include or exclude in ValueSet http://example.org/ValueSet/e has neither a system nor a valueSet']);
+
+  const a = valueSet('a', {include: [{valueSet: ['http://example.org/ValueSet/b']}]});
+  const b = valueSet('b', {include: [{valueSet: ['http://example.org/ValueSet/a']}]});
+  expect((await expand(a, b)).issues).toEqual(['ValueSet import cycle: http://example.org/ValueSet/a -> http://example.org/ValueSet/b -> http://example.org/ValueSet/a']);
+
+  // fall back to an included expansion
+  const expanded = Object.assign(valueSet('x', {include: [{system: 'urn:ietf:bcp:13'}]}), {
+    expansion: {contains: [{system: 'urn:ietf:bcp:13', code: 'text/plain'}]}
+  });
+  expect(await expand(expanded)).toEqual(expect.objectContaining({complete: true, codes: ['text/plain']}));
+});
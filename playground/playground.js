@@ -70,6 +70,9 @@ const GEN_JSONLD_CONTEXT_CONFIG = {
 
   playground.fhircat = {
     shexj: null,
+    // context URLs and @base for each FHIR version, shared by the preprocessors and the document loader; set from
+    // the contextStem and base query parameters when the document is ready.
+    jsonLdConfigs: {R4: null, R5: null},
     profile: {
       resources: null,
       datatypes: null,
@@ -205,13 +208,13 @@ const GEN_JSONLD_CONTEXT_CONFIG = {
   }
 
   const fhirPreprocessR4 = function (input) {
-    let processor = new FhirPreprocessor.R4(playground.fhircat.shexj, { axes: constructAxes() });
+    let processor = new FhirPreprocessor.R4(playground.fhircat.shexj, { axes: constructAxes(), jsonLdConfig: playground.fhircat.jsonLdConfigs.R4 });
     return processor.preprocess(input);
   };
 
 
   const fhirPreprocessR5 = function (input) {
-    let processor = new FhirPreprocessor.R5(playground.fhircat.shexj);
+    let processor = new FhirPreprocessor.R5(playground.fhircat.shexj, { jsonLdConfig: playground.fhircat.jsonLdConfigs.R5 });
     return processor.preprocess(input);
   };
 
@@ -2000,6 +2003,15 @@ const GEN_JSONLD_CONTEXT_CONFIG = {
 
   // event handlers
   $(document).ready(function() {
+    const jsonLdParams = {
+      contextStem: getParameterByName('contextStem'),
+      base: getParameterByName('base'),
+    };
+    playground.fhircat.jsonLdConfigs = {
+      R4: FhirJsonLdConfig.R4.override(jsonLdParams),
+      R5: FhirJsonLdConfig.R5.override(jsonLdParams),
+    };
+
     // Add custom document loader that uses a context URL map.
     var xhrDocumentLoader = jsonld.documentLoaders.xhr();
     // FIXME: add UI to let users control and set context mapping
@@ -2019,6 +2031,27 @@ const GEN_JSONLD_CONTEXT_CONFIG = {
           url = modified;
         }
       }
+      // generate FHIR contexts from the current schema, wherever the R4 config says they live
+      const genMe = playground.fhircat.jsonLdConfigs.R4.contextName(url);
+      if (genMe !== null) {
+        try {
+          const generator = new FhirJsonLdContextGenerator(playground.fhircat.shexj);
+          const context = generator.genJsonldContext(genMe, Object.assign({}, GEN_JSONLD_CONTEXT_CONFIG, {
+            axes: constructAxes(),
+          }));
+          globalThis.Contexts[genMe] = context;
+          const ret = {
+            contextUrl: null,
+            documentUrl: url,
+            document: JSON.stringify(context, null, 2)
+          };
+          return Promise.resolve(ret);
+        } catch (e) {
+          console.warn("error trying to genJsonldContext:" + e.stack);
+          throw e; // not that anyone appears to care
+        }
+      }
+
       // rewrite URLs that we know have secure JSON-LD Contexts
       if(url === 'http://schema.org/') {
         url = 'https://schema.org/';
@@ -2038,25 +2071,6 @@ const GEN_JSONLD_CONTEXT_CONFIG = {
         ].join('');
       }
 
-      if (url.startsWith(FhirJsonLdContextGenerator.STEM) && url.endsWith(FhirJsonLdContextGenerator.SUFFIX)) {
-        try {
-          const genMe = url.substr(FhirJsonLdContextGenerator.STEM.length, url.length - FhirJsonLdContextGenerator.STEM.length - FhirJsonLdContextGenerator.SUFFIX.length);
-          const generator = new FhirJsonLdContextGenerator(playground.fhircat.shexj);
-          const context = generator.genJsonldContext(genMe, Object.assign({}, GEN_JSONLD_CONTEXT_CONFIG, {
-            axes: constructAxes(),
-          }));
-          globalThis.Contexts[genMe] = context;
-          const ret = {
-            contextUrl: null,
-            documentUrl: url,
-            document: JSON.stringify(context, null, 2)
-          };
-          return Promise.resolve(ret);
-        } catch (e) {
-          console.warn("error trying to genJsonldContext:" + e.stack);
-          throw e; // not that anyone appears to care
-        }
-      }
       return xhrDocumentLoader(url);
     };
 